@@ -9,6 +9,7 @@ const path = require('path');
 const EventEmitter = require('events');
 const { apiLogger } = require('./logger');
 const { ConnectionError } = require('./errors');
+const { convertLongValue } = require('./utils');
 
 const CONNECTION_TIMEOUT_MS = 10000;
 const REQUEST_TIMEOUT_MS = 30000;
@@ -16,27 +17,50 @@ const HEARTBEAT_INTERVAL_MS = 10000;
 const HEARTBEAT_TIMEOUT_MS = 30000;
 const MAX_RECONNECT_DELAY_MS = 60000;
 const CLEANUP_INTERVAL_MS = 60000;
+const DEFAULT_QUEUE_SIZE = 100;
+const DEFAULT_QUEUE_TTL_MS = 30000;
+
+// 連線流程本身的訊息：只需 TCP 連線即可送出，不排隊
+const CONNECTION_MESSAGES = ['ProtoOAApplicationAuthReq', 'ProtoOAAccountAuthReq', 'ProtoHeartbeatEvent'];
+// 下單類請求：連線未就緒時立即失敗，不排隊 (避免重連後送出過時的訂單)
+const ORDER_REQUESTS = ['ProtoOANewOrderReq', 'ProtoOACancelOrderReq', 'ProtoOAAmendOrderReq', 'ProtoOAAmendPositionSLTPReq', 'ProtoOAClosePositionReq'];
 
 class CTraderConnection extends EventEmitter {
-    constructor(config, tokenManager = null) {
+    /**
+     * @param {string} mode - demo / live (每個伺服器一條連線，服務該模式下的所有帳戶)
+     */
+    constructor(config, tokenManager = null, mode = config.ctrader.mode) {
         super();
 
         this.config = config;
         this.tokenManager = tokenManager;
+        this.mode = mode;
+        this.host = config.ctrader.hosts?.[mode] || config.ctrader.host;
+        this.accounts = (config.accounts || []).filter(account => account.mode === mode);
+        this.authenticatedAccounts = new Set();
+        this.accountTokens = new Map(); // 帳戶 -> Account Auth 使用的 Access Token (判斷 Token 失效後是否需刷新)
         this.socket = null;
         this.proto = null;
+        this.payloadTypeIds = new Map();   // 訊息類型名稱 -> payloadType (loadProto 時建立)
+        this.payloadTypeNames = new Map(); // payloadType -> 訊息類型名稱
         this.connected = false;
+        this.appAuthenticated = false;
         this.authenticated = false;
 
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
         this.reconnectDelay = 1000;
         this.reconnectTimeout = null;
+        this.reconnectNotBefore = null;      // 伺服器維護結束前不重連 (ProtoOAClientDisconnectEvent)
+        this.maintenanceEndTimestamp = null; // 最近一次 ProtoOAErrorRes 提供的維護結束時間
 
         this.heartbeatInterval = null;
         this.lastHeartbeat = Date.now();
 
+        // 連線未就緒時的非下單請求，認證完成後送出 (超過上限或 TTL 時拒絕)
         this.messageQueue = [];
+        this.queueSize = config.ctrader.requestQueue?.size ?? DEFAULT_QUEUE_SIZE;
+        this.queueTtlMs = config.ctrader.requestQueue?.ttlMs ?? DEFAULT_QUEUE_TTL_MS;
         this.pendingRequests = new Map();
         this.nextClientMsgId = 1;
         this.incomingBuffer = Buffer.alloc(0);
@@ -54,7 +78,8 @@ class CTraderConnection extends EventEmitter {
             ];
 
             this.proto = await protobuf.load(protoFiles);
-            console.log('✅ Protobuf 定義檔載入成功 (含 Heartbeat)');
+            this.buildPayloadRegistry();
+            console.log(`✅ Protobuf 定義檔載入成功 (含 Heartbeat，${this.payloadTypeIds.size} 種訊息)`);
             return true;
         } catch (error) {
             console.error('❌ Protobuf 載入失敗:', error.message);
@@ -63,6 +88,29 @@ class CTraderConnection extends EventEmitter {
         }
     }
 
+    /**
+     * 建立訊息類型 <-> payloadType 對照表
+     * 每個訊息的 payloadType 欄位預設值即為其 ProtoOAPayloadType / ProtoPayloadType (ProtoMessage 無預設值，不列入)
+     */
+    buildPayloadRegistry() {
+        this.proto.resolveAll();
+        this.payloadTypeIds.clear();
+        this.payloadTypeNames.clear();
+
+        const visit = (namespace) => {
+            for (const nested of namespace.nestedArray) {
+                const field = nested instanceof protobuf.Type ? nested.fields.payloadType : null;
+                if (field?.resolvedType instanceof protobuf.Enum && field.options?.default !== undefined) {
+                    const typeId = field.resolvedType.values[field.options.default];
+                    this.payloadTypeIds.set(nested.name, typeId);
+                    this.payloadTypeNames.set(typeId, nested.name);
+                }
+                if (nested.nestedArray) visit(nested);
+            }
+        };
+        visit(this.proto);
+    }
+
     /** 連接到 cTrader 伺服器 */
     async connect() {
         if (!this.proto) {
@@ -70,17 +118,22 @@ class CTraderConnection extends EventEmitter {
         }
 
         return new Promise((resolve, reject) => {
-            const { host, port } = this.config.ctrader;
+            const host = this.host;
+            const { port, tls: useTls = true, rejectUnauthorized = true } = this.config.ctrader;
+
+            console.log(`📡 正在連接 cTrader ${this.mode} 伺服器...`);
+            console.log(`   Host: ${host}:${port}${useTls ? '' : ' (TCP，未加密)'}`);
 
-            console.log(`📡 正在連接 cTrader ${this.config.ctrader.mode} 伺服器...`);
-            console.log(`   Host: ${host}:${port}`);
+            // 正式伺服器一律 TLS；純 TCP 僅供本地模擬伺服器 (mock/server.js)
+            const connectSocket = (options, onConnect) => (useTls
+                ? tls.connect({ ...options, rejectUnauthorized }, onConnect)
+                : net.connect(options, onConnect));
 
-            this.socket = tls.connect({
+            this.socket = connectSocket({
                 host: host,
-                port: port,
-                rejectUnauthorized: true
+                port: port
             }, () => {
-                console.log('✅ TLS 連線建立成功');
+                console.log(`✅ ${useTls ? 'TLS' : 'TCP'} 連線建立成功`);
                 this.connected = true;
                 this.reconnectAttempts = 0;
                 // 發送 ApplicationAuth 請求
@@ -103,7 +156,10 @@ class CTraderConnection extends EventEmitter {
             this.socket.on('close', () => {
                 console.log('⚠️ TCP 連線已關閉');
                 this.connected = false;
+                this.appAuthenticated = false;
                 this.authenticated = false;
+                this.authenticatedAccounts.clear();
+                this.rejectPendingRequests('TCP 連線已關閉');
                 this.stopHeartbeat();
                 this.scheduleReconnect();
             });
@@ -133,28 +189,67 @@ class CTraderConnection extends EventEmitter {
         return this.send('ProtoOAApplicationAuthReq', message);
     }
 
-    /** 發送 Account Auth */
-    async sendAccountAuth() {
-        // 優先使用 TokenManager 的動態 Token
-        const accessToken = this.tokenManager
+    /**
+     * 發送 Account Auth
+     * @param {string} accountId - ctidTraderAccountId (預設為主要帳戶)
+     * @param {string} [accountToken] - 帳戶專屬 Access Token (預設共用)
+     */
+    async sendAccountAuth(accountId = this.config.ctrader.accountId, accountToken = null) {
+        // 優先使用帳戶專屬 Token，其次 TokenManager 的動態 Token
+        const accessToken = accountToken || (this.tokenManager
             ? this.tokenManager.getAccessToken()
-            : this.config.ctrader.accessToken;
+            : this.config.ctrader.accessToken);
 
         const ProtoOAAccountAuthReq = this.proto.lookupType('ProtoOAAccountAuthReq');
         const message = ProtoOAAccountAuthReq.create({
-            ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
+            ctidTraderAccountId: parseInt(accountId),
             accessToken: accessToken
         });
 
+        this.accountTokens.set(parseInt(accountId), accessToken);
         return this.send('ProtoOAAccountAuthReq', message);
     }
 
-    /** 發送訊息（通用） */
+    /** 對本連線的所有帳戶發送 Account Auth */
+    async sendAccountAuths() {
+        for (const account of this.accounts) {
+            await this.sendAccountAuth(account.accountId, account.accessToken);
+        }
+    }
+
+    /** 重新認證單一帳戶 (回應非 ProtoOAAccountAuthRes 時拋出 ConnectionError) */
+    async reauthenticateAccount(account) {
+        const response = await this.sendAccountAuth(account.accountId, account.accessToken);
+        const responseType = this.getPayloadTypeName(response.payloadType);
+        if (responseType !== 'ProtoOAAccountAuthRes') {
+            const payload = this.payloadTypeIds.has(responseType) ? this.proto.lookupType(responseType).decode(response.payload) : {};
+            throw new ConnectionError(`Account Auth 失敗: ${payload.errorCode || responseType}${payload.description ? ` - ${payload.description}` : ''}`, {
+                accountId: account.accountId, responseType, errorCode: payload.errorCode, description: payload.description
+            });
+        }
+    }
+
+    /** 本連線負責的帳戶設定 (不屬於本連線時為 null) */
+    findAccount(accountId) {
+        return this.accounts.find(account => parseInt(account.accountId) === accountId) || null;
+    }
+
+    /**
+     * 發送訊息（通用）
+     * 連線 / 認證未就緒時：下單類請求立即以 ConnectionError 失敗，其餘請求排入佇列
+     */
     async send(payloadType, payload) {
-        if (!this.socket || !this.connected) {
-            throw new Error('Socket 未連線');
+        if (!this.isReadyFor(payloadType, payload)) {
+            if (ORDER_REQUESTS.includes(payloadType) || CONNECTION_MESSAGES.includes(payloadType)) {
+                throw new ConnectionError(`連線未就緒，無法發送 ${payloadType}`, { payloadType, sent: false });
+            }
+            return this.enqueue(payloadType, payload);
         }
+        return this.transmit(payloadType, payload);
+    }
 
+    /** 寫入 socket 並等待回應 (以 clientMsgId 對應) */
+    async transmit(payloadType, payload) {
         const clientMsgId = this.nextClientMsgId++;
 
         // 建立 ProtoMessage wrapper
@@ -174,25 +269,96 @@ class CTraderConnection extends EventEmitter {
         const packet = Buffer.concat([lengthPrefix, buffer]);
 
         return new Promise((resolve, reject) => {
-            this.pendingRequests.set(clientMsgId.toString(), { resolve, reject, type: payloadType });
+            // 超時處理
+            const timer = setTimeout(() => {
+                if (this.pendingRequests.has(clientMsgId.toString())) {
+                    this.pendingRequests.delete(clientMsgId.toString());
+                    reject(new ConnectionError(`Request timeout: ${payloadType}`, { payloadType, clientMsgId }));
+                }
+            }, REQUEST_TIMEOUT_MS);
+
+            this.pendingRequests.set(clientMsgId.toString(), { resolve, reject, type: payloadType, timer });
 
             this.socket.write(packet, (error) => {
                 if (error) {
+                    clearTimeout(timer);
                     this.pendingRequests.delete(clientMsgId.toString());
                     reject(error);
                 }
             });
+        });
+    }
 
-            // 超時處理
-            setTimeout(() => {
-                if (this.pendingRequests.has(clientMsgId.toString())) {
-                    this.pendingRequests.delete(clientMsgId.toString());
-                    reject(new Error(`Request timeout: ${payloadType}`));
-                }
-            }, REQUEST_TIMEOUT_MS);
+    /** 連線與認證是否足以發送此請求 (帳戶層級請求需該帳戶已完成 Account Auth) */
+    isReadyFor(payloadType, payload) {
+        if (!this.connected) return false;
+        if (CONNECTION_MESSAGES.includes(payloadType)) return true;
+        const accountId = payload?.ctidTraderAccountId;
+        return accountId ? this.authenticatedAccounts.has(convertLongValue(accountId)) : this.appAuthenticated;
+    }
+
+    /** 請求排入佇列，連線恢復並完成認證後由 flushMessageQueue 送出 */
+    enqueue(payloadType, payload) {
+        if (this.messageQueue.length >= this.queueSize) {
+            return Promise.reject(new ConnectionError(`請求佇列已滿 (${this.queueSize})，無法發送 ${payloadType}`, { payloadType, sent: false }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const item = { payloadType, payload, resolve, reject };
+            item.timer = setTimeout(() => {
+                this.messageQueue = this.messageQueue.filter(queued => queued !== item);
+                reject(new ConnectionError(`連線未恢復，${payloadType} 排隊逾時 (${this.queueTtlMs}ms)`, { payloadType, sent: false }));
+            }, this.queueTtlMs);
+            this.messageQueue.push(item);
+            console.log(`⏸️ 連線未就緒，${payloadType} 排入佇列 (${this.messageQueue.length}/${this.queueSize})`);
         });
     }
 
+    /** 送出已可發送的排隊請求 (Application / Account Auth 成功後呼叫) */
+    flushMessageQueue() {
+        const ready = this.messageQueue.filter(item => this.isReadyFor(item.payloadType, item.payload));
+        if (ready.length === 0) return;
+
+        this.messageQueue = this.messageQueue.filter(item => !ready.includes(item));
+        console.log(`▶️ 送出佇列中的 ${ready.length} 筆請求`);
+        for (const item of ready) {
+            clearTimeout(item.timer);
+            this.send(item.payloadType, item.payload).then(item.resolve, item.reject);
+        }
+    }
+
+    /** 連線中斷：立即拒絕所有等待回應的請求 */
+    rejectPendingRequests(reason) {
+        for (const [clientMsgId, request] of this.pendingRequests) {
+            clearTimeout(request.timer);
+            request.reject(new ConnectionError(`${reason}，${request.type} 未收到回應`, { payloadType: request.type, clientMsgId }));
+        }
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * 發送請求並等待指定類型的回應，回傳解碼後的內容
+     * 收到 ProtoOAErrorRes / ProtoErrorRes 或其他類型 (如 ProtoOAOrderErrorEvent) 時以 ConnectionError 拒絕
+     * @param {string} reqType - 請求類型 (例如 ProtoOAReconcileReq)
+     * @param {object} fields - 請求欄位
+     * @param {string} [resType] - 回應類型 (預設為對應的 Res，下單類請求為 ProtoOAExecutionEvent)
+     */
+    async request(reqType, fields = {}, resType = reqType.replace(/Req$/, 'Res')) {
+        this.getPayloadTypeId(reqType); // 未知類型直接拋出 ConnectionError
+        const response = await this.send(reqType, this.proto.lookupType(reqType).create(fields));
+        const responseType = this.getPayloadTypeName(response.payloadType);
+        const payload = this.payloadTypeIds.has(responseType)
+            ? this.proto.lookupType(responseType).decode(response.payload)
+            : {};
+        if (responseType === resType) return payload;
+
+        const details = { reqType, responseType, errorCode: payload.errorCode, description: payload.description };
+        if (responseType === 'ProtoOAErrorRes' || responseType === 'ProtoErrorRes') {
+            throw new ConnectionError(`${reqType} 失敗: ${payload.errorCode}${payload.description ? ` - ${payload.description}` : ''}`, details);
+        }
+        throw new ConnectionError(`${reqType} 回應類型不符: ${responseType}${payload.errorCode ? ` (${payload.errorCode})` : ''}，預期 ${resType}`, details);
+    }
+
     /** 處理接收到的資料 */
     handleIncomingData(data) {
         // 將新資料追加到緩衝區
@@ -249,7 +415,8 @@ class CTraderConnection extends EventEmitter {
 
         // 處理回應
         if (message.clientMsgId && this.pendingRequests.has(message.clientMsgId)) {
-            const { resolve } = this.pendingRequests.get(message.clientMsgId);
+            const { resolve, timer } = this.pendingRequests.get(message.clientMsgId);
+            clearTimeout(timer);
             this.pendingRequests.delete(message.clientMsgId);
             resolve(message);
         }
@@ -258,13 +425,19 @@ class CTraderConnection extends EventEmitter {
         switch (payloadTypeName) {
             case 'ProtoOAApplicationAuthRes':
                 console.log('✅ Application Auth 成功');
+                this.appAuthenticated = true;
+                this.flushMessageQueue();
                 this.emit('app-auth-success');
                 break;
 
             case 'ProtoOAAccountAuthRes':
-                console.log('✅ Account Auth 成功');
+                const AccountAuthRes = this.proto.lookupType('ProtoOAAccountAuthRes');
+                const authAccountId = convertLongValue(AccountAuthRes.decode(message.payload).ctidTraderAccountId);
+                console.log(`✅ Account Auth 成功 (帳戶 ${authAccountId})`);
                 this.authenticated = true;
-                this.emit('account-auth-success');
+                this.authenticatedAccounts.add(authAccountId);
+                this.flushMessageQueue();
+                this.emit('account-auth-success', authAccountId);
                 break;
 
             case 'ProtoOAErrorRes':
@@ -272,6 +445,9 @@ class CTraderConnection extends EventEmitter {
                 const errorPayload = ErrorRes.decode(message.payload);
                 console.error(`❌ API 錯誤: Code=${errorPayload.errorCode}, Desc=${errorPayload.description || '無描述'}, Maintenance=${errorPayload.maintenanceEndTimestamp || 'N/A'}`);
                 console.error(`   詳細: ${JSON.stringify(errorPayload)}`);
+                if (errorPayload.maintenanceEndTimestamp) {
+                    this.maintenanceEndTimestamp = convertLongValue(errorPayload.maintenanceEndTimestamp);
+                }
                 this.emit('api-error', errorPayload);
 
                 // 自動重連機制：當偵測到帳戶未授權錯誤時，自動重新連線
@@ -295,6 +471,21 @@ class CTraderConnection extends EventEmitter {
                 this.emit('order-error', orderError);
                 break;
 
+            case 'ProtoOAAccountsTokenInvalidatedEvent':
+                const TokenInvalidatedEvent = this.proto.lookupType('ProtoOAAccountsTokenInvalidatedEvent');
+                this.handleTokenInvalidated(TokenInvalidatedEvent.decode(message.payload));
+                break;
+
+            case 'ProtoOAClientDisconnectEvent':
+                const ClientDisconnectEvent = this.proto.lookupType('ProtoOAClientDisconnectEvent');
+                this.handleClientDisconnect(ClientDisconnectEvent.decode(message.payload));
+                break;
+
+            case 'ProtoOAAccountDisconnectEvent':
+                const AccountDisconnectEvent = this.proto.lookupType('ProtoOAAccountDisconnectEvent');
+                this.handleAccountDisconnect(AccountDisconnectEvent.decode(message.payload));
+                break;
+
             case 'ProtoHeartbeatEvent':
                 this.lastHeartbeat = Date.now();
                 break;
@@ -304,6 +495,73 @@ class CTraderConnection extends EventEmitter {
         this.emit('message', { type: payloadTypeName, payload: message.payload });
     }
 
+    /**
+     * Token 失效 (過期、撤銷或已刷新)：移除帳戶認證狀態，刷新 Access Token 後重新 Account Auth
+     * 僅在帳戶使用共用 Token 且仍為失效的那一個時刷新；自動更新或其他連線已換發時直接以新 Token 認證，避免互相作廢
+     */
+    async handleTokenInvalidated(event) {
+        const accountIds = (event.ctidTraderAccountIds || []).map(convertLongValue);
+        const accounts = accountIds.map(id => this.findAccount(id)).filter(Boolean);
+        console.warn(`🔑 Token 已失效 (帳戶 ${accountIds.join(', ')}): ${event.reason || '無描述'}`);
+
+        for (const account of accounts) {
+            this.authenticatedAccounts.delete(parseInt(account.accountId));
+        }
+        this.authenticated = this.authenticatedAccounts.size > 0;
+        this.emit('token-invalidated', { accountIds, reason: event.reason || null });
+        if (accounts.length === 0) return;
+
+        try {
+            const needsRefresh = this.tokenManager && accounts.some(account =>
+                !account.accessToken && this.accountTokens.get(parseInt(account.accountId)) === this.tokenManager.getAccessToken());
+            if (needsRefresh) {
+                console.log('🔄 刷新 Access Token...');
+                await this.tokenManager.refreshAccessToken();
+            }
+            for (const account of accounts) {
+                await this.reauthenticateAccount(account);
+            }
+        } catch (error) {
+            this.handleReauthFailure(accounts.map(account => parseInt(account.accountId)), error);
+        }
+    }
+
+    /**
+     * 伺服器斷開整條連線：若有維護結束時間 (最近一次 ProtoOAErrorRes) 則延後至維護結束才重連
+     */
+    handleClientDisconnect(event) {
+        const resumeAt = this.maintenanceEndTimestamp > Date.now() ? this.maintenanceEndTimestamp : null;
+        console.warn(`⛔ 伺服器斷開連線: ${event.reason || '無描述'}${resumeAt ? `，維護至 ${new Date(resumeAt).toLocaleString()}` : ''}`);
+
+        this.reconnectNotBefore = resumeAt;
+        this.emit('client-disconnect', { reason: event.reason || null, resumeAt });
+        this.disconnect();
+        this.scheduleReconnect();
+    }
+
+    /** 伺服器斷開單一帳戶 (其他帳戶的連線不受影響)：僅重新認證該帳戶 */
+    async handleAccountDisconnect(event) {
+        const accountId = convertLongValue(event.ctidTraderAccountId);
+        console.warn(`⚠️ 帳戶 ${accountId} 已被伺服器斷開`);
+
+        this.authenticatedAccounts.delete(accountId);
+        this.authenticated = this.authenticatedAccounts.size > 0;
+        this.emit('account-disconnect', { accountId });
+
+        const account = this.findAccount(accountId);
+        if (!account) return;
+        try {
+            await this.reauthenticateAccount(account);
+        } catch (error) {
+            this.handleReauthFailure([accountId], error);
+        }
+    }
+
+    handleReauthFailure(accountIds, error) {
+        console.error(`❌ 帳戶 ${accountIds.join(', ')} 重新認證失敗:`, error.message);
+        this.emit('reauth-failed', { accountIds, error });
+    }
+
     /** 啟動 Heartbeat */
     startHeartbeat() {
         this.stopHeartbeat();
@@ -345,18 +603,26 @@ class CTraderConnection extends EventEmitter {
 
     /** 排程重連 */
     scheduleReconnect() {
+        if (this.reconnectTimeout) return; // 已排程 (例如伺服器斷線事件後 socket 隨即關閉)
+
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
             console.error('❌ 重連次數已達上限，停止重連');
             this.emit('reconnect-failed');
             return;
         }
 
-        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts), MAX_RECONNECT_DELAY_MS);
+        let delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts), MAX_RECONNECT_DELAY_MS);
+        // 伺服器維護中：延後至維護結束
+        if (this.reconnectNotBefore) {
+            delay = Math.max(delay, this.reconnectNotBefore - Date.now());
+        }
         this.reconnectAttempts++;
 
         console.log(`🔄 將在 ${delay}ms 後重連 (第 ${this.reconnectAttempts} 次嘗試)...`);
 
         this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            this.reconnectNotBefore = null;
             this.connect().catch((error) => {
                 console.error('重連失敗:', error.message);
             });
@@ -366,7 +632,10 @@ class CTraderConnection extends EventEmitter {
     /** 斷開連線 */
     disconnect() {
         this.connected = false;
+        this.appAuthenticated = false;
         this.authenticated = false;
+        this.authenticatedAccounts.clear();
+        this.rejectPendingRequests('已斷開連線');
 
         this.stopHeartbeat();
 
@@ -391,82 +660,18 @@ class CTraderConnection extends EventEmitter {
         return timeSinceLastHeartbeat < HEARTBEAT_TIMEOUT_MS;
     }
 
-    /** 工具函數：取得 Payload Type ID */
+    /** 工具函數：取得 Payload Type ID (未知類型拋出 ConnectionError，避免送出 payloadType 0) */
     getPayloadTypeId(typeName) {
-        let key;
-
-        if (typeName.startsWith('ProtoOA')) {
-            // Open API Messages
-            // ProtoOAApplicationAuthReq -> APPLICATION_AUTH_REQ -> PROTO_OA_APPLICATION_AUTH_REQ
-            const baseName = typeName.substring(7); // Remove 'ProtoOA'
-            // 改進的 snake case 轉換：處理連續大寫字母（如 SLTP）
-            const snakeName = baseName
-                .replace(/([a-z])([A-Z])/g, '$1_$2')  // camelCase 轉換
-                .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')  // 處理連續大寫如 SLTPReq -> SLTP_Req
-                .toUpperCase();
-            key = `PROTO_OA_${snakeName}`;
-
-            const enumType = this.proto.lookupEnum('ProtoOAPayloadType');
-            const result = enumType.values[key];
-
-            if (result === undefined) {
-                console.warn(`⚠️ [getPayloadTypeId] 找不到 payloadType: ${key} (from ${typeName})`);
-                // 嘗試其他可能的命名格式
-                const altKey = `PROTO_OA_${baseName.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
-                if (enumType.values[altKey] !== undefined) {
-                    console.log(`   使用替代 key: ${altKey}`);
-                    return enumType.values[altKey];
-                }
-                console.error(`❌ 無法找到 enum 值，可用的值:`, Object.keys(enumType.values).filter(k => k.includes('AMEND')));
-            }
-            return result || 0;
-        } else {
-            // Common Messages
-            // ProtoHeartbeatEvent -> HEARTBEAT_EVENT
-            const baseName = typeName.substring(5); // Remove 'Proto'
-            const snakeName = baseName.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
-            key = snakeName;
-
-            const enumType = this.proto.lookupEnum('ProtoPayloadType');
-            return enumType.values[key];
+        const typeId = this.payloadTypeIds.get(typeName);
+        if (typeId === undefined) {
+            throw new ConnectionError(`未知的訊息類型: ${typeName}`, { typeName });
         }
+        return typeId;
     }
 
     /** 工具函數：取得 Payload Type Name */
     getPayloadTypeName(typeId) {
-        // 根據 ID 範圍判斷 (OA > 2000, Common < 2000)
-        if (typeId < 2000) {
-            const ProtoPayloadType = this.proto.lookupEnum('ProtoPayloadType');
-            for (const [name, id] of Object.entries(ProtoPayloadType.values)) {
-                if (id === typeId) {
-                    // Common Message (e.g. HEARTBEAT_EVENT -> ProtoHeartbeatEvent)
-                    return name
-                        .split('_')
-                        .map(part => part.charAt(0) + part.slice(1).toLowerCase()) // Capitalize
-                        .join('')
-                        .replace('Req', 'Req').replace('Res', 'Res') // Already capitalized
-                        .replace(/^/, 'Proto'); // Prepend Proto
-                    // Example: HEARTBEAT_EVENT -> HeartbeatEvent -> ProtoHeartbeatEvent
-                }
-            }
-        } else {
-            const ProtoOAPayloadType = this.proto.lookupEnum('ProtoOAPayloadType');
-            for (const [name, id] of Object.entries(ProtoOAPayloadType.values)) {
-                if (id === typeId) {
-                    // 將 PROTO_OA_ERROR_RES 轉為 ProtoOAErrorRes
-                    return name
-                        .split('_')
-                        .map(part => {
-                            if (part === 'OA') return 'OA'; // 保留 OA 大寫
-                            if (part === 'PROTO') return 'Proto';
-                            return part.charAt(0) + part.slice(1).toLowerCase();
-                        })
-                        .join('')
-                        .replace('Req', 'Req').replace('Res', 'Res').replace('Event', 'Event'); // 確保尾綴格式正確
-                }
-            }
-        }
-        return `Unknown(${typeId})`;
+        return this.payloadTypeNames.get(typeId) ?? `Unknown(${typeId})`;
     }
 }
 
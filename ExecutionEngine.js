@@ -4,45 +4,223 @@
  */
 
 const EventEmitter = require('events');
-const { convertLongValue, rawToRealPrice, realToRawPrice, getTaipeiTime, isUsDst, API_PRICE_MULTIPLIER, TAIPEI_OFFSET_MS } = require('./utils');
+const crypto = require('crypto');
+const { convertLongValue, rawToRealPrice, realToRawPrice, getTaipeiTime, getTaipeiDateString, getZonedTime, isUsDst, getMarketOpenUtc, isWithinTradingHours, API_PRICE_MULTIPLIER, TAIPEI_OFFSET_MS, BASELINE_METHODS, getBaselineReadyTime, computeBaseline, trendbarToBar } = require('./utils');
 const { tradeLogger, logAudit } = require('./logger');
-const { OrderError, MarketDataError } = require('./errors');
+const { OrderError, MarketDataError, ConfigError } = require('./errors');
+const { DEFAULT_STRATEGY, getStrategyClass, createStrategy, listStrategies } = require('./strategies');
+const { normalizeSchedule, resolveSchedule } = require('./ParameterSchedule');
 
-const PNL_DIVISOR = 10000;
 const VOLUME_DIVISOR = 100;
 const MONEY_DIGITS_DEFAULT = 2;
 const TRADE_HISTORY_MAX = 50;
 const SYMBOL_CACHE_TTL = 3600000;
 const ACCOUNT_CACHE_TTL = 300000;
 
+// 持倉管理參數 (updateConfig / 狀態持久化共用)
+const POSITION_MANAGEMENT_FIELDS = ['breakEvenTrigger', 'breakEvenOffset', 'trailingDistance', 'trailingMode', 'trailingStep', 'tightenStopTime', 'tightenStopDistance', 'partialTpRatio', 'partialTpPoints'];
+const SCALE_OUT_RETRY_MS = 60000; // 分批止盈平倉失敗後的重試間隔
+
+// 進場方式 -> ProtoOAOrderType (limit / stop 為基準點 ± entryOffset 兩側的掛單)
+const ENTRY_ORDER_TYPES = { market: 1, limit: 2, stop: 3 };
+
+// ProtoOAOrderStatus (在途訂單查證用)
+const ORDER_STATUS = { ACCEPTED: 1, FILLED: 2, REJECTED: 3, EXPIRED: 4, CANCELLED: 5 };
+const INFLIGHT_LOOKBACK_MS = 60000; // 查詢訂單 / 成交紀錄時往送出時間前多查的範圍 (伺服器時間誤差)
+const INFLIGHT_NOT_FOUND_GRACE_MS = 60000; // 查無訂單時須送出後超過此時間 (大於請求逾時 30 秒) 且再查一次仍查無才視為未送達
+const INFLIGHT_RECHECK_MS = 10000; // 查無訂單後再次查證的最短間隔
+
+// 基準點計算方式 (日誌顯示用)
+const BASELINE_LABELS = {
+    'bar-open': 'M1 開盤價',
+    'bar-close': 'M1 收盤價',
+    'prev-close': '前一交易時段收盤價',
+    'range-mid': '開盤區間中間價',
+    'vwap': '開盤區間 VWAP',
+    'manual': '手動輸入'
+};
+const BASELINE_HISTORY_MAX = 60; // 保留最近 N 個交易日的基準點紀錄
+
+// 報價品質過濾參數 (updateConfig / 狀態持久化共用)
+const QUOTE_FILTER_FIELDS = ['maxSpread', 'spreadPercentile', 'spreadWindow'];
+const SPREAD_MIN_SAMPLES = 30; // 百分位過濾至少需要的報價筆數
+
+// 時間出場參數 (updateConfig / 狀態持久化共用)
+const TIME_EXIT_FIELDS = ['maxHoldMinutes', 'exitTime', 'exitTimeZone', 'sessionCloseExit', 'sessionCloseBufferMinutes'];
+const SESSION_CLOSE_EXITS = ['off', 'session', 'weekend'];
+const TIME_EXIT_LABELS = {
+    'max-hold': '持倉時間上限',
+    'exit-time': '固定出場時間',
+    'session-close': '交易時段收盤前',
+    'weekend-close': '週末休市前'
+};
+const WEEK_SECONDS = 7 * 86400;
+const WEEKEND_GAP_SECONDS = 86400; // 收盤後休市 1 天以上視為週末 (或長假) 收盤
+
+// 熔斷參數 (updateConfig / 狀態持久化共用)
+const CIRCUIT_BREAKER_FIELDS = ['maxDailyLoss', 'maxConsecutiveLosses', 'maxDrawdownPercent', 'circuitBreakerFlatten'];
+
+// 部位大小計算方式 (見 calculateVolume)
+const SIZING_MODES = ['fixed', 'percent', 'dollar'];
+const DEFAULT_MAX_LOT_SIZE = 10;
+
+// 波動度自適應：計算方式與可用波動度倍數表示的參數 (欄位 -> 倍數欄位)
+const VOLATILITY_MODES = ['off', 'atr', 'range'];
+const VOLATILITY_TARGET_FIELDS = { entryOffset: 'entryOffsetMult', longTP: 'longTPMult', shortTP: 'shortTPMult', longSL: 'longSLMult', shortSL: 'shortSLMult' };
+const VOLATILITY_FIELDS = ['volatilityMode', 'volatilityPeriod', ...Object.values(VOLATILITY_TARGET_FIELDS)];
+
+// Profile (參數預設) 保存的參數：進場 / 止盈止損 / 手數 / 時間 (熔斷與報價過濾屬風控設定，不隨 Profile 切換)
+const PROFILE_FIELDS = [
+    'entryOffset', 'longTP', 'shortTP', 'longSL', 'shortSL',
+    'lotSize', 'sizingMode', 'riskPercent', 'riskAmount', 'maxLotSize',
+    'minsAfterOpen', 'baselineOffsetMinutes', 'baselineMethod', 'baselineRangeMinutes',
+    ...VOLATILITY_FIELDS, 'entryOrderType', ...POSITION_MANAGEMENT_FIELDS, ...TIME_EXIT_FIELDS,
+    'maxTradesPerDay', 'reentryCooldownMinutes', 'reentryRequiresBandReturn'
+];
+
+// 找不到精確 Symbol 名稱時嘗試的替代名稱 (各券商命名不同)
+const SYMBOL_ALIASES = {
+    US30: ['US30', 'DJ30', 'Wall Street 30', 'WS30', 'US30.cash', 'DJ30.cash'],
+    NAS100: ['NAS100', 'US100', 'USTEC', 'NAS100.cash', 'US100.cash', 'Nasdaq 100']
+};
+
 class ExecutionEngine extends EventEmitter {
-    constructor(connection, config, db) {
+    /**
+     * @param {object} instrument - config.instruments 其中一項 (每個商品一個引擎)
+     * @param {object} account - config.accounts 其中一項 (每個帳戶一組引擎)
+     */
+    constructor(connection, config, db, instrument = config.instruments[0], account = config.accounts[0]) {
         super();
 
         this.connection = connection;
         this.config = config;
         this.db = db;
 
+        // 帳戶 (同一條連線可授權多個帳戶，以 ctidTraderAccountId 分流)
+        this.accountId = parseInt(account.accountId);
+        this.accountLabel = account.label;
+        const isPrimaryAccount = account.accountId === config.accounts[0].accountId;
+
+        // 商品 (共用同一條連線，以 symbolId 分流報價與執行事件)
+        this.symbol = instrument.symbol;
+        this.symbolId = null;
+        this.tag = config.accounts.length > 1 ? `${account.label}/${instrument.symbol}` : instrument.symbol;
+
+        // MongoDB 狀態文件：主要帳戶的主要商品沿用 current_state
+        if (!isPrimaryAccount) {
+            this.stateId = `state_${account.accountId}_${instrument.symbol}`;
+        } else if (instrument.symbol !== config.instruments[0].symbol) {
+            this.stateId = `state_${instrument.symbol}`;
+        } else {
+            this.stateId = db.DEFAULT_STATE_ID;
+        }
+
         // 策略參數
-        this.entryOffset = config.strategy.entryOffset;
-        this.longTP = config.strategy.longTP;
-        this.shortTP = config.strategy.shortTP;
-        this.longSL = config.strategy.longSL;
-        this.shortSL = config.strategy.shortSL;
-        this.lotSize = config.account.baseLotSize;
-        this.minsAfterOpen = config.market.minsAfterOpen || 1;
-        this.baselineOffsetMinutes = config.market.baselineOffsetMinutes || 0;
+        this.entryOffset = instrument.entryOffset;
+        this.longTP = instrument.longTP;
+        this.shortTP = instrument.shortTP;
+        this.longSL = instrument.longSL;
+        this.shortSL = instrument.shortSL;
+        this.lotSize = account.lotSize ?? instrument.lotSize;
+        this.sizingMode = SIZING_MODES.includes(instrument.sizingMode) ? instrument.sizingMode : 'fixed';
+        this.riskPercent = instrument.riskPercent ?? 1;
+        this.riskAmount = instrument.riskAmount ?? 0;
+        this.maxLotSize = instrument.maxLotSize > 0 ? instrument.maxLotSize : DEFAULT_MAX_LOT_SIZE;
+        this.accountCurrency = null; // { assetId, name }，首次計算下單量時查詢
+        this.minsAfterOpen = instrument.minsAfterOpen ?? 1;
+
+        // 波動度自適應 (基準點取得時計算當日波動度，effective 值見 getEffectiveTargets)
+        this.volatilityMode = VOLATILITY_MODES.includes(instrument.volatilityMode) ? instrument.volatilityMode : 'off';
+        this.volatilityPeriod = instrument.volatilityPeriod ?? 14;
+        Object.values(VOLATILITY_TARGET_FIELDS).forEach(f => { this[f] = instrument[f] ?? 0; });
+        this.volatility = null; // { date, mode, period, value, bars }
+        this.baselineOffsetMinutes = instrument.baselineOffsetMinutes || 0;
+        this.baselineMethod = BASELINE_METHODS.includes(instrument.baselineMethod) ? instrument.baselineMethod : 'bar-open';
+        this.baselineRangeMinutes = instrument.baselineRangeMinutes || 15;
+        this.manualBaseline = null;    // 手動基準價 (真實價格，當日有效)
+        this.baseline = null;          // 當日基準點紀錄：{ date, method, price, ... }
+        this.baselineHistory = [];     // 每日基準點紀錄 (審計用，最新在前)
+        this.entryOrderType = ENTRY_ORDER_TYPES[instrument.entryOrderType] ? instrument.entryOrderType : 'market';
+        this.orderLabel = `${instrument.symbol}_MR`;
+
+        // 持倉管理：保本 / 追蹤止損 / 定時收緊 (每次報價更新檢查)
+        this.breakEvenTrigger = instrument.breakEvenTrigger ?? 0;
+        this.breakEvenOffset = instrument.breakEvenOffset ?? 0;
+        this.trailingDistance = instrument.trailingDistance ?? 0;
+        this.trailingMode = instrument.trailingMode === 'broker' ? 'broker' : 'engine';
+        this.trailingStep = instrument.trailingStep ?? 1;
+        this.tightenStopTime = instrument.tightenStopTime || '';
+        this.tightenStopDistance = instrument.tightenStopDistance ?? 0;
+        this.partialTpRatio = instrument.partialTpRatio ?? 0;
+        this.partialTpPoints = instrument.partialTpPoints ?? 0;
+        this.amendingPositions = new Set(); // 改單進行中的持倉，避免同一持倉重複送出
+        this.partialCloses = {};            // 分批平倉累計 (round-trip)：{ [positionId]: { count, volume, profit, pending?, retryAt? } }
+
+        // 報價品質：點差上限 / 近期點差百分位，以及進場滑價追蹤
+        this.maxSpread = instrument.maxSpread ?? 0;
+        this.spreadPercentile = instrument.spreadPercentile ?? 0;
+        this.spreadWindow = instrument.spreadWindow ?? 500;
+        this.currentSpread = null;     // 目前點差 (點)
+        this.spreadHistory = [];       // 近期點差 (最多 spreadWindow 筆)
+        this.spreadBlocked = false;
+        this.pendingEntry = null;      // 送出進場單時的訊號價 / 請求價，成交後計算滑價
+        this.entryFills = {};          // 進場成交紀錄：{ [positionId]: { signalPrice, requestedPrice, fillPrice, slippage, entrySpread } }
+
+        // 時間出場：持倉時間上限 / 固定時間 / 交易時段收盤前，由 trading-bot 每分鐘檢查
+        this.maxHoldMinutes = instrument.maxHoldMinutes ?? 0;
+        this.exitTime = instrument.exitTime || '';
+        this.exitTimeZone = instrument.exitTimeZone || 'Asia/Taipei';
+        this.sessionCloseExit = SESSION_CLOSE_EXITS.includes(instrument.sessionCloseExit) ? instrument.sessionCloseExit : 'off';
+        this.sessionCloseBufferMinutes = instrument.sessionCloseBufferMinutes ?? 5;
+        this.sessionClosing = null;    // 收盤前平倉時段 (session-close / weekend-close)，期間不進場
+        this.closeReasons = {};        // 引擎送出的平倉原因：{ [positionId]: reason }，結算時寫入交易紀錄
+
+        // 熔斷：當日虧損 / 連續虧損 / 權益回撤，觸發後 lockout 持久化，重啟後仍維持暫停
+        // 當日虧損與權益回撤由 TradingBot 以帳戶合計檢查，連續虧損由引擎各自檢查
+        this.maxDailyLoss = instrument.maxDailyLoss ?? 0;
+        this.maxConsecutiveLosses = instrument.maxConsecutiveLosses ?? 0;
+        this.maxDrawdownPercent = instrument.maxDrawdownPercent ?? 0;
+        this.circuitBreakerFlatten = instrument.circuitBreakerFlatten ?? false;
+        this.todayRealizedPnL = 0;     // 當日已實現損益 (含部分平倉)
+        this.consecutiveLosses = 0;    // 連續虧損筆數 (整筆交易計)
+        this.peakEquity = null;        // 帳戶權益高點 (由 TradingBot 同步至同帳戶各引擎並持久化)
+        this.dailyLossAck = null;      // 解除熔斷時的帳戶當日虧損水位 (由 TradingBot 設定，虧損超過此水位才再觸發，每日重置清除)
+        this.lockout = null;           // { code, reason, time, value, limit, scope: 'engine' | 'account' }
+
+        // 每日進場次數與再進場規則
+        this.maxTradesPerDay = instrument.maxTradesPerDay ?? 1;
+        this.reentryCooldownMinutes = instrument.reentryCooldownMinutes ?? 0;
+        this.reentryRequiresBandReturn = instrument.reentryRequiresBandReturn ?? true;
+
+        // 策略插件 (各策略專屬參數以策略 ID 為 key 保存)
+        this.strategyParams = {};
+        this.strategy = createStrategy(instrument.strategy || DEFAULT_STRATEGY);
+        this.enforceEntryOrderType();
+        this.currentBar = null;
+        this.activeProfile = null;     // 目前套用的 Profile：{ id, name, appliedAt }，記錄於交易紀錄
+        this.profiles = null;          // ProfileStore (由 trading-bot 注入，排程以名稱或 ID 取得 Profile)
+
+        // 參數排程：依星期 / 日期套用參數或不交易，每個交易日解析一次
+        this.schedule = normalizeSchedule(instrument.schedule || []);
+        this.scheduleEntry = null;     // 今日排程：{ date, index, label, action, profile, reason }
+        this.scheduleBase = null;      // 排程套用前的參數 { config, activeProfile }，之後無排程符合時恢復
 
         // 狀態追蹤
         this.balance = null;
         this.positions = [];
-        this.todayTradeDone = false;
+        this.todayTradeDone = false;   // 今日進場次數已用完
+        this.todayTradeCount = 0;      // 今日已成交的進場次數
+        this.lastCloseTime = null;     // 最近一次平倉時間 (冷卻計算用)
+        this.awaitingBandReturn = false; // 等待價格回到進場區間內才允許再進場
         this.todayOpenPrice = null;
         this.currentPrice = null;
         this.isWatching = false;
         this.isPlacingOrder = false;
         this.tradingPaused = false;
         this.orderFailureCount = 0;
+        this.restingOrders = {}; // 掛單進場 (OCO)：{ long: { orderId, price }, short: { orderId, price } }
+        this.inflightOrders = {}; // 在途訂單 (以 clientOrderId 為 key，持久化)：送出後到成交 / 被拒前，結果未知時重連後查證
+        this.resolvingInflight = false;
 
         // 統計
         this.wins = 0;
@@ -52,14 +230,22 @@ class ExecutionEngine extends EventEmitter {
         this.lastReportLosses = 0;
         this.lastReportProfit = 0;
 
+        this.newsCalendar = null;           // NewsCalendar (由 TradingBot 注入，所有引擎共用)
+        this.newsFlattened = new Set();     // 已執行事前平倉的新聞時段
+        this.activeBlackoutKey = null;      // 目前的禁止進場時段 (只記錄一次日誌)
+
         this.symbolInfoCache = {};
         this.closedPositionIds = new Set(); // 去重：防止同一筆平倉被重複計算勝負
+        this.processedDealIds = new Set();  // 去重：部分平倉以 dealId 識別
 
         this.connection.on('message', this.handleMarketData.bind(this));
-        this.connection.on('account-auth-success', () => {
-            console.log('🔄 Account Auth 成功，重新訂閱報價並同步持倉...');
+        this.connection.on('account-auth-success', async (accountId) => {
+            if (accountId !== undefined && accountId !== this.accountId) return;
+            console.log(`🔄 [${this.tag}] Account Auth 成功，重新訂閱報價並同步持倉...`);
             this.subscribeToMarketData();
-            this.reconcilePositions();
+            await this.reconcilePositions();
+            await this.recoverRestingOrders();
+            await this.resolveInflightOrders();
         });
     }
 
@@ -72,12 +258,36 @@ class ExecutionEngine extends EventEmitter {
     /** 初始化：從資料庫載入狀態 */
     async initialize() {
         try {
-            const state = await this.db.loadState();
+            const state = await this.db.loadState(this.stateId);
             if (state) {
                 this.wins = state.wins || 0;
                 this.losses = state.losses || 0;
                 this.trades = state.trades || [];
                 this.todayTradeDone = state.todayTradeDone || false;
+                this.todayTradeCount = state.todayTradeCount ?? (this.todayTradeDone ? 1 : 0);
+                this.lastCloseTime = state.lastCloseTime ? new Date(state.lastCloseTime) : null;
+                this.awaitingBandReturn = state.awaitingBandReturn || false;
+                this.partialCloses = state.partialCloses || {};
+                this.entryFills = state.entryFills || {};
+                this.manualBaseline = state.manualBaseline ?? null;
+                this.baseline = state.baseline || null;
+                this.baselineHistory = state.baselineHistory || [];
+                this.todayRealizedPnL = state.todayRealizedPnL || 0;
+                this.consecutiveLosses = state.consecutiveLosses || 0;
+                this.peakEquity = state.peakEquity ?? null;
+                this.dailyLossAck = state.dailyLossAck ?? null;
+                this.lockout = state.lockout || null;
+                this.activeProfile = state.activeProfile || null;
+                this.scheduleEntry = state.scheduleEntry || null;
+                this.scheduleBase = state.scheduleBase || null;
+                // 重啟前送出的訂單結果一律視為未知，待對賬後查證
+                this.inflightOrders = Object.fromEntries(Object.entries(state.inflightOrders || {})
+                    .map(([id, order]) => [id, { ...order, status: 'unknown' }]));
+                if (this.lockout) {
+                    this.tradingPaused = true;
+                    console.warn(`🛑 [${this.tag}] 熔斷鎖定中 (${this.lockout.reason})，需由 Dashboard 解除`);
+                }
+                this.volatility = state.volatility || null; // 當日波動度 (每日重置時清除)
                 this.lastResetDate = state.lastResetDate || null; // 恢復重置日期
                 if (state.config) {
                     this.entryOffset = state.config.entryOffset || this.entryOffset;
@@ -86,8 +296,26 @@ class ExecutionEngine extends EventEmitter {
                     this.longSL = state.config.longSL || this.longSL;
                     this.shortSL = state.config.shortSL || this.shortSL;
                     this.lotSize = state.config.lotSize || this.lotSize;
+                    if (SIZING_MODES.includes(state.config.sizingMode)) this.sizingMode = state.config.sizingMode;
+                    if (state.config.riskPercent !== undefined) this.riskPercent = state.config.riskPercent;
+                    if (state.config.riskAmount !== undefined) this.riskAmount = state.config.riskAmount;
+                    if (state.config.maxLotSize) this.maxLotSize = state.config.maxLotSize;
                     if (state.config.minsAfterOpen !== undefined) this.minsAfterOpen = state.config.minsAfterOpen;
                     if (state.config.baselineOffsetMinutes !== undefined) this.baselineOffsetMinutes = state.config.baselineOffsetMinutes;
+                    if (BASELINE_METHODS.includes(state.config.baselineMethod)) this.baselineMethod = state.config.baselineMethod;
+                    if (state.config.baselineRangeMinutes) this.baselineRangeMinutes = state.config.baselineRangeMinutes;
+                    VOLATILITY_FIELDS.forEach(f => { if (state.config[f] !== undefined) this[f] = state.config[f]; });
+                    if (ENTRY_ORDER_TYPES[state.config.entryOrderType]) this.entryOrderType = state.config.entryOrderType;
+                    POSITION_MANAGEMENT_FIELDS.forEach(f => { if (state.config[f] !== undefined) this[f] = state.config[f]; });
+                    CIRCUIT_BREAKER_FIELDS.forEach(f => { if (state.config[f] !== undefined) this[f] = state.config[f]; });
+                    QUOTE_FILTER_FIELDS.forEach(f => { if (state.config[f] !== undefined) this[f] = state.config[f]; });
+                    TIME_EXIT_FIELDS.forEach(f => { if (state.config[f] !== undefined) this[f] = state.config[f]; });
+                    if (state.config.maxTradesPerDay !== undefined) this.maxTradesPerDay = state.config.maxTradesPerDay;
+                    if (state.config.reentryCooldownMinutes !== undefined) this.reentryCooldownMinutes = state.config.reentryCooldownMinutes;
+                    if (state.config.reentryRequiresBandReturn !== undefined) this.reentryRequiresBandReturn = state.config.reentryRequiresBandReturn;
+                    if (state.config.strategyParams) this.strategyParams = state.config.strategyParams;
+                    if (state.config.strategy) this.setStrategy(state.config.strategy);
+                    this.enforceEntryOrderType();
                     console.log('⚙️ 策略參數已從資料庫恢復');
                 }
 
@@ -99,6 +327,12 @@ class ExecutionEngine extends EventEmitter {
 
             this.isWatching = false;
             this.todayOpenPrice = null;
+            this.applySchedule();
+            this.runStrategyHook('onSessionStart', this.getStrategyContext());
+
+            // 恢復重啟前的進場掛單，並查證重啟前結果未知的訂單
+            await this.recoverRestingOrders();
+            await this.resolveInflightOrders();
             console.log('⏳ 等待盯盤訊號 (cron 觸發)...');
 
             // 啟動基準價輪詢
@@ -125,19 +359,22 @@ class ExecutionEngine extends EventEmitter {
                 const volume = convertLongValue(rawVolume);
                 const rawPrice = convertLongValue(p.price);
                 const openTimestamp = convertLongValue(p.tradeData.openTimestamp);
-                const volumeInLots = volume ? volume / VOLUME_DIVISOR : null;
+                const volumeInLots = volume ? volume / this.getLotVolume() : null;
 
                 return {
                     id: positionId,
                     type: isBuy ? 'long' : 'short',
                     entryPrice: rawPrice,
                     volume: volumeInLots,
-                    openTime: new Date(openTimestamp)
+                    openTime: new Date(openTimestamp),
+                    stopLoss: p.stopLoss || null,
+                    takeProfit: p.takeProfit || null,
+                    trailingStopLoss: p.trailingStopLoss || false
                 };
             });
 
             if (this.positions.length > 0) {
-                console.log(`⚠️ 偵測到 ${this.positions.length} 個未平倉部位，同步中...`);
+                console.log(`⚠️ [${this.tag}] 偵測到 ${this.positions.length} 個未平倉部位，同步中...`);
                 const now = new Date();
                 const isDst = isUsDst(now);
                 const marketConfig = isDst ? this.config.market.summer : this.config.market.winter;
@@ -164,7 +401,7 @@ class ExecutionEngine extends EventEmitter {
                 await this.saveState();
                 this.emit('positions-reconciled', this.positions);
             } else {
-                console.log('✅ 無未平倉部位');
+                console.log(`✅ [${this.tag}] 無未平倉部位`);
             }
         } catch (error) {
             console.error('❌ 狀態對賬失敗:', error);
@@ -172,18 +409,46 @@ class ExecutionEngine extends EventEmitter {
     }
 
 
-    /** 取得當前持倉 */
-    async getOpenPositions() {
-        const ProtoOAReconcileReq = this.connection.proto.lookupType('ProtoOAReconcileReq');
-        const message = ProtoOAReconcileReq.create({
-            ctidTraderAccountId: parseInt(this.config.ctrader.accountId)
-        });
+    /**
+     * 取得當前持倉
+     * @param {boolean} allSymbols - true 時回傳帳戶所有商品的持倉，否則只回傳本引擎商品
+     */
+    async getOpenPositions(allSymbols = false) {
+        const payload = await this.fetchReconcile();
+        const positions = payload.position || [];
+
+        if (allSymbols) return positions;
+
+        const symbolData = await this.getSymbolInfo(this.symbol);
+        if (!symbolData) return [];
+        const symbolId = convertLongValue(symbolData.symbolId);
+        return positions.filter(p => convertLongValue(p.tradeData.symbolId) === symbolId);
+    }
 
-        const response = await this.connection.send('ProtoOAReconcileReq', message);
-        const ProtoOAReconcileRes = this.connection.proto.lookupType('ProtoOAReconcileRes');
-        const payload = ProtoOAReconcileRes.decode(response.payload);
+    /** 取得本商品的未成交掛單 (ProtoOAReconcileReq 的 order 欄位) */
+    async getPendingOrders() {
+        const payload = await this.fetchReconcile();
+        const symbolData = await this.getSymbolInfo(this.symbol);
+        if (!symbolData) return [];
+        const symbolId = convertLongValue(symbolData.symbolId);
+        return (payload.order || []).filter(o => convertLongValue(o.tradeData.symbolId) === symbolId);
+    }
+
+    /** 發送 ProtoOAReconcileReq (持倉 + 未成交掛單) */
+    async fetchReconcile() {
+        return this.connection.request('ProtoOAReconcileReq', { ctidTraderAccountId: this.accountId });
+    }
+
+    /** 發送 ProtoOAOrderListReq (指定期間的歷史訂單) */
+    async fetchOrderList(fromTimestamp, toTimestamp) {
+        const payload = await this.connection.request('ProtoOAOrderListReq', { ctidTraderAccountId: this.accountId, fromTimestamp, toTimestamp });
+        return payload.order || [];
+    }
 
-        return payload.position || [];
+    /** 發送 ProtoOADealListReq (指定期間的成交) */
+    async fetchDealList(fromTimestamp, toTimestamp) {
+        const payload = await this.connection.request('ProtoOADealListReq', { ctidTraderAccountId: this.accountId, fromTimestamp, toTimestamp });
+        return payload.deal || [];
     }
 
     /** 取得帳戶資訊 (餘額、淨值、保證金等) */
@@ -197,14 +462,7 @@ class ExecutionEngine extends EventEmitter {
 
         try {
             // 1. 取得帳戶基本資訊
-            const ProtoOATraderReq = this.connection.proto.lookupType('ProtoOATraderReq');
-            const traderMessage = ProtoOATraderReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId)
-            });
-
-            const traderResponse = await this.connection.send('ProtoOATraderReq', traderMessage);
-            const ProtoOATraderRes = this.connection.proto.lookupType('ProtoOATraderRes');
-            const traderPayload = ProtoOATraderRes.decode(traderResponse.payload);
+            const traderPayload = await this.connection.request('ProtoOATraderReq', { ctidTraderAccountId: this.accountId });
 
             const moneyDigits = traderPayload.trader.moneyDigits || 2;
             const divisor = Math.pow(10, moneyDigits);
@@ -214,7 +472,7 @@ class ExecutionEngine extends EventEmitter {
             let usedMargin = 0;
             let unrealizedPnL = 0;
             try {
-                const positions = await this.getOpenPositions();
+                const positions = await this.getOpenPositions(true);
                 for (const pos of positions) {
                     const posMoneyDigits = pos.moneyDigits || moneyDigits;
                     const posDivisor = Math.pow(10, posMoneyDigits);
@@ -258,20 +516,18 @@ class ExecutionEngine extends EventEmitter {
     /** 訂閱報價 */
     async subscribeToMarketData() {
         try {
-            const ProtoOASubscribeSpotsReq = this.connection.proto.lookupType('ProtoOASubscribeSpotsReq');
-            const symbolData = await this.getSymbolInfo(this.config.market.symbol);
+            const symbolData = await this.getSymbolInfo(this.symbol);
             if (!symbolData) {
                 console.error('❌ 無法取得 Symbol 資訊，訂閱失敗');
                 return;
             }
+            this.symbolId = convertLongValue(symbolData.symbolId);
 
-            const message = ProtoOASubscribeSpotsReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
+            await this.connection.request('ProtoOASubscribeSpotsReq', {
+                ctidTraderAccountId: this.accountId,
                 symbolId: [symbolData.symbolId]
             });
-
-            await this.connection.send('ProtoOASubscribeSpotsReq', message);
-            console.log(`📊 已訂閱 ${this.config.market.symbol} 報價`);
+            console.log(`📊 已訂閱 ${this.symbol} 報價`);
         } catch (error) {
             console.error('❌ 訂閱報價失敗:', error.message);
         }
@@ -287,15 +543,8 @@ class ExecutionEngine extends EventEmitter {
         console.log(`🔍 正在查詢 Symbol 資訊: ${symbolName}...`);
 
         try {
-            const ProtoOASymbolsListReq = this.connection.proto.lookupType('ProtoOASymbolsListReq');
-            const message = ProtoOASymbolsListReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId)
-            });
-
             // 請求所有 Symbols
-            const response = await this.connection.send('ProtoOASymbolsListReq', message);
-            const ProtoOASymbolsListRes = this.connection.proto.lookupType('ProtoOASymbolsListRes');
-            const payload = ProtoOASymbolsListRes.decode(response.payload);
+            const payload = await this.connection.request('ProtoOASymbolsListReq', { ctidTraderAccountId: this.accountId });
 
             // 尋找匹配的 Symbol
             let symbol = payload.symbol.find(s => s.symbolName === symbolName);
@@ -303,7 +552,7 @@ class ExecutionEngine extends EventEmitter {
             // 如果找不到精確匹配，嘗試模糊搜尋
             if (!symbol) {
                 console.warn(`⚠️ 找不到精確名稱 '${symbolName}'，嘗試搜尋替代名稱...`);
-                const candidates = ['US30', 'DJ30', 'Wall Street 30', 'WS30', 'US30.cash', 'DJ30.cash'];
+                const candidates = SYMBOL_ALIASES[symbolName.toUpperCase()] || [symbolName];
 
                 for (const candidate of candidates) {
                     symbol = payload.symbol.find(s => s.symbolName.toUpperCase().includes(candidate.toUpperCase()));
@@ -315,28 +564,34 @@ class ExecutionEngine extends EventEmitter {
             }
 
             if (symbol) {
-                // 取得 Lot Size (in cents)，如果沒有則預設為 100 (1 unit)
-                const lotSize = symbol.lotSize || 100;
-                const digits = symbol.digits || 2; // 預設 2 位小數
-                // 取得 Volume 限制
-                const stepVolume = symbol.stepVolume || 100000; // 預設較大的 step 以防錯誤
-                const minVolume = symbol.minVolume || 100000;
+                // 清單只有 ProtoOALightSymbol，Volume 限制與交易時段需另外查詢完整 Symbol
+                const details = await this.fetchSymbolDetails(symbol.symbolId) || {};
+
+                // Volume 欄位皆為 cents：lotSize 100 = 1 lot 為 1 單位；預設值僅在查不到完整資訊時使用
+                const lotSize = convertLongValue(details.lotSize) || 100;
+                const digits = details.digits || 2; // 預設 2 位小數
+                const stepVolume = convertLongValue(details.stepVolume) || 1;
+                const minVolume = convertLongValue(details.minVolume) || stepVolume;
+                const maxVolume = convertLongValue(details.maxVolume) || null;
 
                 // 取得交易時段和假日資訊
-                const schedule = symbol.schedule || [];
-                const holidays = symbol.holiday || [];
-                const scheduleTimeZone = symbol.scheduleTimeZone || 'UTC';
+                const schedule = details.schedule || [];
+                const holidays = details.holiday || [];
+                const scheduleTimeZone = details.scheduleTimeZone || 'UTC';
 
-                console.log(`✅ 找到 Symbol: ${symbol.symbolName} (ID: ${symbol.symbolId}, LotSize: ${lotSize}, Digits: ${digits}, Step: ${stepVolume})`);
+                console.log(`✅ 找到 Symbol: ${symbol.symbolName} (ID: ${symbol.symbolId}, LotSize: ${lotSize}, Digits: ${digits}, Step: ${stepVolume}, Min: ${minVolume}, Max: ${maxVolume ?? '-'})`);
                 console.log(`   📅 交易時段: ${schedule.length} 個區間, 假日: ${holidays.length} 個`);
 
                 const info = {
                     symbolId: symbol.symbolId,
                     symbolName: symbol.symbolName,
+                    baseAssetId: convertLongValue(symbol.baseAssetId) || null,
+                    quoteAssetId: convertLongValue(symbol.quoteAssetId) || null,
                     lotSize: lotSize,
                     digits: digits,
                     stepVolume: stepVolume,
                     minVolume: minVolume,
+                    maxVolume: maxVolume,
                     schedule: schedule,
                     holidays: holidays,
                     scheduleTimeZone: scheduleTimeZone
@@ -364,12 +619,113 @@ class ExecutionEngine extends EventEmitter {
             // Fallback: 如果查詢失敗且是標準 US30
             if (symbolName === 'US30') {
                 console.warn('⚠️ API 查詢失敗，使用預設值嘗試...');
-                return { symbolId: 1, lotSize: 100, digits: 2 };
+                // Volume 限制與正常路徑相同的預設值，避免 calculateVolume 算出 NaN
+                return { symbolId: 1, lotSize: 100, digits: 2, stepVolume: 1, minVolume: 1, maxVolume: null };
             }
             return null;
         }
     }
 
+    /** 查詢完整 Symbol 資訊 (ProtoOASymbolByIdReq)，失敗時回傳 null */
+    async fetchSymbolDetails(symbolId) {
+        try {
+            const payload = await this.connection.request('ProtoOASymbolByIdReq', {
+                ctidTraderAccountId: this.accountId,
+                symbolId: [symbolId]
+            });
+            return payload.symbol?.[0] || null;
+        } catch (error) {
+            console.warn(`⚠️ 查詢完整 Symbol 資訊失敗 (${error.message})，Volume 限制使用預設值`);
+            return null;
+        }
+    }
+
+    /** 帳戶幣別 (ProtoOATrader.depositAssetId + ProtoOAAssetListReq)，結果快取 */
+    async getAccountCurrency() {
+        if (this.accountCurrency) return this.accountCurrency;
+
+        const { trader } = await this.connection.request('ProtoOATraderReq', { ctidTraderAccountId: this.accountId });
+        const assetId = convertLongValue(trader.depositAssetId) || null;
+
+        let name = null;
+        try {
+            const { asset: assets = [] } = await this.connection.request('ProtoOAAssetListReq', { ctidTraderAccountId: this.accountId });
+            const asset = assets.find(a => convertLongValue(a.assetId) === assetId);
+            name = asset ? (asset.displayName || asset.name) : null;
+        } catch (error) {
+            console.warn(`⚠️ 查詢資產清單失敗: ${error.message}`);
+        }
+
+        this.accountCurrency = { assetId, name };
+        return this.accountCurrency;
+    }
+
+    /**
+     * 報價幣別 -> 帳戶幣別匯率 (每點損益換算用)
+     * 幣別相同或無法判斷時回傳 1；不同時以 ProtoOASymbolsForConversionReq 的換算鏈與各商品最新 M1 收盤價相乘
+     */
+    async getQuoteToAccountRate(symbolData) {
+        const currency = await this.getAccountCurrency();
+        const quoteAssetId = symbolData.quoteAssetId;
+        if (!quoteAssetId || !currency.assetId || quoteAssetId === currency.assetId) return 1;
+
+        const cached = this.conversionRateCache;
+        if (cached && cached.quoteAssetId === quoteAssetId && Date.now() - cached.time < ACCOUNT_CACHE_TTL) {
+            return cached.rate;
+        }
+
+        try {
+            const { symbol: chain = [] } = await this.connection.request('ProtoOASymbolsForConversionReq', {
+                ctidTraderAccountId: this.accountId,
+                firstAssetId: quoteAssetId,
+                lastAssetId: currency.assetId
+            });
+            if (chain.length === 0) throw new MarketDataError('找不到換算商品');
+
+            // 沿換算鏈逐步換算：持有 base 時乘上價格，持有 quote 時除以價格
+            let rate = 1;
+            let assetId = quoteAssetId;
+            for (const link of chain) {
+                const price = await this.fetchLastClose(link.symbolId);
+                if (!price) throw new MarketDataError(`${link.symbolName} 無報價`);
+                if (convertLongValue(link.baseAssetId) === assetId) {
+                    rate *= price;
+                    assetId = convertLongValue(link.quoteAssetId);
+                } else {
+                    rate /= price;
+                    assetId = convertLongValue(link.baseAssetId);
+                }
+            }
+
+            this.conversionRateCache = { quoteAssetId, rate, time: Date.now() };
+            return rate;
+        } catch (error) {
+            console.warn(`⚠️ [${this.tag}] 無法取得報價幣別換算匯率 (${error.message})，以 1 計算`);
+            return 1;
+        }
+    }
+
+    /** 取得商品最近一根 M1 收盤價 (真實價格) */
+    async fetchLastClose(symbolId) {
+        const ProtoOATrendbarPeriod = this.connection.proto.lookupEnum('ProtoOATrendbarPeriod');
+        const now = Date.now();
+        const { trendbar: bars = [] } = await this.connection.request('ProtoOAGetTrendbarsReq', {
+            ctidTraderAccountId: this.accountId,
+            period: ProtoOATrendbarPeriod.values.M1,
+            symbolId: symbolId,
+            fromTimestamp: now - 3600000, // 最近 1 小時 (週末 / 休市時可能沒有資料)
+            toTimestamp: now
+        });
+        const last = bars[bars.length - 1];
+        if (!last) return null;
+        return rawToRealPrice(convertLongValue(last.low) + convertLongValue(last.deltaClose));
+    }
+
+    /** 每手 volume (cents)，Symbol 資訊尚未載入時為 VOLUME_DIVISOR */
+    getLotVolume() {
+        return this.symbolInfoCache[this.symbol]?.lotSize || VOLUME_DIVISOR;
+    }
+
     /** 處理市場數據 */
     handleMarketData(data) {
         const { type, payload } = data;
@@ -390,6 +746,10 @@ class ExecutionEngine extends EventEmitter {
         const ProtoOASpotEvent = this.connection.proto.lookupType('ProtoOASpotEvent');
         const spot = ProtoOASpotEvent.decode(payload);
 
+        // 共用連線：只處理本引擎帳戶與商品的報價
+        if (convertLongValue(spot.ctidTraderAccountId) !== this.accountId) return;
+        if (convertLongValue(spot.symbolId) !== this.symbolId) return;
+
         // 使用工具函數處理 protobuf Long 物件轉換
         const bid = convertLongValue(spot.bid);
         const ask = convertLongValue(spot.ask);
@@ -409,8 +769,13 @@ class ExecutionEngine extends EventEmitter {
         this.currentPrice = (bid + ask) / 2;
         this.currentBid = bid;
         this.currentAsk = ask;
+        this.recordSpread(rawToRealPrice(ask - bid));
+
+        this.updateLiveBar(this.currentPrice, Date.now());
 
         this.emit('price-update', {
+            symbol: this.symbol,
+            accountId: this.accountId,
             price: this.currentPrice,
             bid: bid,
             ask: ask,
@@ -419,6 +784,171 @@ class ExecutionEngine extends EventEmitter {
         });
 
         this.executeStrategy();
+        this.managePositions();
+    }
+
+    /**
+     * 持倉管理：依保本 / 追蹤止損 / 定時收緊規則計算新止損，只會往有利方向移動
+     * 止損以 cTrader 持倉的 stopLoss 為準 (重啟後由對賬恢復)，不需額外狀態
+     */
+    managePositions() {
+        if (this.positions.length === 0 || !this.currentBid || !this.currentAsk) return;
+        const scaleOutEnabled = this.partialTpRatio > 0 && this.partialTpRatio < 1 && this.partialTpPoints > 0;
+        if (!scaleOutEnabled && !this.breakEvenTrigger && !this.trailingDistance && !(this.tightenStopTime && this.tightenStopDistance)) return;
+
+        const tightenActive = this.isTightenStopTime();
+
+        for (const position of this.positions) {
+            const isLong = position.type === 'long';
+            const dir = isLong ? 1 : -1;
+            // 多單以 bid 出場、空單以 ask 出場
+            const exitPrice = rawToRealPrice(isLong ? this.currentBid : this.currentAsk);
+            const profitPoints = (exitPrice - position.entryPrice) * dir;
+
+            // 分批止盈：第一目標平倉部分手數，其餘留給 TP / 追蹤止損
+            // 已送出 (或已完成) 的分批止盈不再送出，送出失敗者待 retryAt 後重試
+            const scaledOut = this.partialCloses[position.id];
+            if (scaleOutEnabled && profitPoints >= this.partialTpPoints && (!scaledOut || scaledOut.retryAt <= Date.now())) {
+                this.scaleOut(position);
+            }
+
+            if (!position.stopLoss || this.amendingPositions.has(position.id)) continue;
+            const candidates = [];
+
+            if (this.breakEvenTrigger > 0 && profitPoints >= this.breakEvenTrigger) {
+                candidates.push({ reason: 'break-even', stopLoss: position.entryPrice + this.breakEvenOffset * dir });
+            }
+            // broker 模式啟用後由 cTrader 追蹤，引擎不再改單
+            if (this.trailingDistance > 0 && !position.trailingStopLoss) {
+                candidates.push({ reason: 'trailing', stopLoss: exitPrice - this.trailingDistance * dir, trailing: this.trailingMode === 'broker' });
+            }
+            if (tightenActive && this.tightenStopDistance > 0) {
+                candidates.push({ reason: 'time-tighten', stopLoss: exitPrice - this.tightenStopDistance * dir });
+            }
+
+            // 選出最有利的止損，且至少改善 trailingStep 點才改單
+            const best = candidates
+                .filter(c => (c.stopLoss - position.stopLoss) * dir >= this.trailingStep)
+                .sort((a, b) => (b.stopLoss - a.stopLoss) * dir)[0];
+            if (best) this.amendStopLoss(position, best);
+        }
+    }
+
+    /**
+     * 第一目標部分平倉 (volume 依 partialTpRatio 計算並對齊 stepVolume，剩餘至少保留 minVolume)
+     * 送出前先在 partialCloses 標記並寫入資料庫，成交前 (回應只到 ACCEPTED) 或重啟後都不會重複送出；
+     * 明確失敗時才清除標記並延後 SCALE_OUT_RETRY_MS 重試
+     */
+    async scaleOut(position) {
+        const symbolData = this.symbolInfoCache[this.symbol] || {};
+        const step = symbolData.stepVolume || 1;
+        const minVolume = symbolData.minVolume || 1;
+        const totalUnits = Math.round(position.volume * this.getLotVolume());
+        const closeUnits = Math.min(
+            Math.round(totalUnits * this.partialTpRatio / step) * step,
+            Math.floor((totalUnits - minVolume) / step) * step
+        );
+        if (closeUnits < minVolume) return;
+
+        const marker = this.partialCloses[position.id] || { count: 0, volume: 0, profit: 0 };
+        marker.pending = true;
+        delete marker.retryAt;
+        this.partialCloses[position.id] = marker;
+        await this.saveState();
+
+        console.log(`🎯 [${this.tag}] 第一目標 (+${this.partialTpPoints} 點) 達成，平倉 ${closeUnits}/${totalUnits} volume units`);
+        const sent = await this.closePosition(position.id, closeUnits);
+        if (!sent && this.partialCloses[position.id] === marker && marker.pending) {
+            marker.pending = false;
+            marker.retryAt = Date.now() + SCALE_OUT_RETRY_MS;
+            console.warn(`⚠️ [${this.tag}] 分批止盈平倉失敗，${SCALE_OUT_RETRY_MS / 1000} 秒後重試`);
+            this.saveState();
+        }
+    }
+
+    /** 持倉管理參數 (狀態持久化 / Dashboard 用) */
+    getPositionManagementConfig() {
+        return Object.fromEntries(POSITION_MANAGEMENT_FIELDS.map(f => [f, this[f]]));
+    }
+
+    /** 是否已到定時收緊止損時間 (以交易時段起點計算，處理跨日) */
+    isTightenStopTime(date = new Date()) {
+        return this.isPastSessionTime(this.tightenStopTime, date);
+    }
+
+    /**
+     * 當前交易時段是否已過指定時間 HH:MM (time 無效時為 false)
+     * @param {string} timeZone - time 所在時區 (預設台北時間)
+     */
+    isPastSessionTime(time, date = new Date(), timeZone = 'Asia/Taipei') {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+        if (!match) return false;
+
+        // 開盤時間 (台北) 換算為 timeZone 的當地分鐘數
+        const zoned = getZonedTime(date, timeZone);
+        const zoneOffsetMinutes = Math.round((Date.UTC(zoned.getFullYear(), zoned.getMonth(), zoned.getDate(),
+            zoned.getHours(), zoned.getMinutes(), zoned.getSeconds()) - date.getTime()) / 60000);
+        const marketConfig = this.getMarketConfig(date);
+        const openMinutes = marketConfig.openHour * 60 + marketConfig.openMinute - TAIPEI_OFFSET_MS / 60000 + zoneOffsetMinutes;
+        const nowMinutes = zoned.getHours() * 60 + zoned.getMinutes();
+        const targetMinutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+
+        // 換算為「開盤後第幾分鐘」再比較，例如 04:30 在 06:00 開盤的時段中屬於隔天凌晨
+        const sinceOpen = (minutes) => ((minutes - openMinutes) % 1440 + 1440) % 1440;
+        return sinceOpen(nowMinutes) >= sinceOpen(targetMinutes);
+    }
+
+    /** 改單移動止損 (保留原 TP)，記錄審計日誌並推送 Dashboard */
+    async amendStopLoss(position, { reason, stopLoss, trailing = false }) {
+        const symbolData = this.symbolInfoCache[this.symbol];
+        const newStopLoss = Number(stopLoss.toFixed(symbolData?.digits ?? 2));
+        const previous = position.stopLoss;
+
+        this.amendingPositions.add(position.id);
+        try {
+            const ok = await this.setPositionSlTp(position.id, newStopLoss, position.takeProfit, { trailingStopLoss: trailing || position.trailingStopLoss });
+            if (!ok) return;
+
+            const reasonLabel = { 'break-even': '保本', trailing: trailing ? '追蹤止損 (cTrader)' : '追蹤止損', 'time-tighten': '定時收緊' }[reason];
+            console.log(`🛡️ [${this.tag}] ${reasonLabel}: 持倉 ${position.id} 止損 ${previous.toFixed(2)} -> ${newStopLoss.toFixed(2)}`);
+
+            const amendment = {
+                accountId: this.accountId,
+                symbol: this.symbol,
+                positionId: position.id,
+                reason,
+                from: previous,
+                to: newStopLoss,
+                trailingStopLoss: position.trailingStopLoss
+            };
+            logAudit('AMEND_STOP_LOSS', amendment);
+            this.emit('stop-amended', amendment);
+            this.emit('positions-reconciled', this.positions);
+        } finally {
+            this.amendingPositions.delete(position.id);
+        }
+    }
+
+    /**
+     * 由報價聚合 M1 K 線，收線時呼叫策略 onBar
+     * K 線價格為 Raw Price (中間價)
+     */
+    updateLiveBar(price, timestamp) {
+        const minute = Math.floor(timestamp / 60000);
+
+        if (this.currentBar && this.currentBar.utcTimestampInMinutes !== minute) {
+            this.runStrategyHook('onBar', this.currentBar, this.getStrategyContext());
+            this.currentBar = null;
+        }
+
+        if (!this.currentBar) {
+            this.currentBar = { utcTimestampInMinutes: minute, open: price, high: price, low: price, close: price, ticks: 0 };
+        }
+
+        this.currentBar.high = Math.max(this.currentBar.high, price);
+        this.currentBar.low = Math.min(this.currentBar.low, price);
+        this.currentBar.close = price;
+        this.currentBar.ticks++;
     }
 
     /** 計算即時帳戶資訊（基於當前價格） */
@@ -467,8 +997,14 @@ class ExecutionEngine extends EventEmitter {
         const ProtoOAExecutionEvent = this.connection.proto.lookupType('ProtoOAExecutionEvent');
         const execution = ProtoOAExecutionEvent.decode(payload);
 
+        // 共用連線：只處理本引擎帳戶與商品的執行事件
+        if (convertLongValue(execution.ctidTraderAccountId) !== this.accountId) return;
+        const symbolId = this.getExecutionSymbolId(execution);
+        if (symbolId !== null && symbolId !== this.symbolId) return;
+
         const execType = execution.executionType;
-        console.log('📨 訂單執行事件:', execType);
+        console.log(`📨 [${this.tag}] 訂單執行事件:`, execType);
+        this.settleInflightOrder(execution);
 
         // ORDER_FILLED
         if (execType === 3 || execType === 'ORDER_FILLED') {
@@ -478,12 +1014,22 @@ class ExecutionEngine extends EventEmitter {
 
                 // 檢查是否為平倉交易 (Closing Deal)
                 if (deal.closePositionDetail) {
-                    this.handleTradeClosed(deal);
+                    this.handleTradeClosed(deal, execution.position);
                 } else {
-                    // 開倉交易成功 - 標記今日已交易
-                    this.todayTradeDone = true;
-                    this.saveState();
-                    console.log('✅ 開倉成功，今日交易任務完成');
+                    // 開倉交易成功 - 計入今日進場次數
+                    this.recordEntryFill();
+
+                    // 掛單成交：設定該方向的 SL/TP 並撤銷另一側 (OCO)
+                    this.handleRestingOrderFill(execution);
+
+                    this.recordEntryExecution(execution);
+
+                    this.runStrategyHook('onFill', {
+                        positionId: execution.position ? convertLongValue(execution.position.positionId) : null,
+                        type: deal.tradeSide === 1 || deal.tradeSide === 'BUY' ? 'long' : 'short',
+                        price: deal.executionPrice,
+                        volume: convertLongValue(deal.filledVolume)
+                    }, this.getStrategyContext());
 
                     // 設定 SL/TP（基於基準點）
                     if (this.pendingSlTp && execution.position) {
@@ -502,9 +1048,7 @@ class ExecutionEngine extends EventEmitter {
                 }
             } else {
                 // 向下相容舊邏輯 (雖然 ORDER_FILLED 通常都有 Deal)
-                this.todayTradeDone = true;
-                this.saveState();
-                console.log('✅ 訂單成交，今日交易任務完成');
+                this.recordEntryFill();
 
                 // 同步持倉
                 this.reconcilePositions();
@@ -512,10 +1056,16 @@ class ExecutionEngine extends EventEmitter {
                 this.emit('order-filled', execution);
             }
         }
-        // 處理訂單被拒 (例如：保證金不足、市場關閉) - executionType = 4 (ORDER_REJECTED)
-        else if (execType === 4 || execType === 'ORDER_REJECTED') {
+        // ORDER_CANCELLED / ORDER_EXPIRED：移除已不存在的進場掛單
+        else if (execType === 5 || execType === 'ORDER_CANCELLED' || execType === 6 || execType === 'ORDER_EXPIRED') {
+            this.forgetRestingOrder(execution.order ? convertLongValue(execution.order.orderId) : null);
+        }
+        // 處理訂單被拒 (例如：保證金不足、市場關閉) - executionType = 7 (ORDER_REJECTED)
+        // 注意：4 為 ORDER_REPLACED (例如設定 SL/TP 後)，不可視為被拒
+        else if (execType === 7 || execType === 'ORDER_REJECTED') {
             const errCode = execution.errorCode || '原因未知';
             console.error('❌ 訂單被拒:', errCode);
+            this.forgetRestingOrder(execution.order ? convertLongValue(execution.order.orderId) : null);
 
             this.orderFailureCount++;
 
@@ -537,14 +1087,213 @@ class ExecutionEngine extends EventEmitter {
         }
     }
 
+    /** 開倉成交：計入今日進場次數，用完時標記今日交易完成 */
+    recordEntryFill() {
+        this.todayTradeCount++;
+        this.todayTradeDone = this.todayTradeCount >= this.maxTradesPerDay;
+        this.saveState();
+
+        if (this.todayTradeDone) {
+            console.log(`✅ [${this.tag}] 開倉成功，今日進場次數已用完 (${this.todayTradeCount}/${this.maxTradesPerDay})`);
+        } else {
+            console.log(`✅ [${this.tag}] 開倉成功 (今日第 ${this.todayTradeCount}/${this.maxTradesPerDay} 次進場)，平倉後可再進場`);
+        }
+    }
+
+    /** 進場成交：比對訊號價 / 請求價與實際成交價，滑價以點計 (正值 = 不利) */
+    recordEntryExecution(execution) {
+        const entry = this.pendingEntry;
+        this.pendingEntry = null;
+        const fillPrice = execution.deal?.executionPrice;
+        if (!entry || !execution.position || !fillPrice) return;
+
+        const positionId = convertLongValue(execution.position.positionId);
+        const digits = this.symbolInfoCache[this.symbol]?.digits ?? 5;
+        const dir = entry.type === 'long' ? 1 : -1;
+        const slippage = Number(((fillPrice - entry.requestedPrice) * dir).toFixed(digits));
+        this.entryFills[positionId] = {
+            signalPrice: entry.signalPrice,
+            requestedPrice: entry.requestedPrice,
+            fillPrice,
+            slippage,
+            entrySpread: entry.entrySpread,
+            profileId: this.activeProfile?.id ?? null,
+            profile: this.activeProfile?.name ?? null
+        };
+
+        console.log(`🎯 [${this.tag}] 成交價 ${fillPrice} | 請求價 ${entry.requestedPrice} | 訊號價 ${entry.signalPrice} | 滑價 ${slippage} 點`);
+        logAudit('ENTRY_FILL', { accountId: this.accountId, symbol: this.symbol, positionId, type: entry.type, ...this.entryFills[positionId] });
+    }
+
+    /** 記錄點差 (近期 spreadWindow 筆，百分位過濾用) */
+    recordSpread(spread) {
+        this.currentSpread = spread;
+        this.spreadHistory.push(spread);
+        const window = Math.max(SPREAD_MIN_SAMPLES, this.spreadWindow || 0);
+        if (this.spreadHistory.length > window) this.spreadHistory.splice(0, this.spreadHistory.length - window);
+    }
+
+    /** 近期點差的第 N 百分位 (樣本不足時為 null) */
+    getSpreadPercentile(percentile) {
+        if (this.spreadHistory.length < SPREAD_MIN_SAMPLES) return null;
+        const sorted = [...this.spreadHistory].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil(percentile / 100 * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+
+    /**
+     * 點差過濾：超過點差上限或近期點差的第 N 百分位時不進場 (進入 / 離開時記錄日誌)
+     * @returns {boolean} true = 允許進場
+     */
+    checkSpreadAllowed() {
+        const spread = this.currentSpread;
+        if (spread === null) return true;
+
+        let reason = null;
+        if (this.maxSpread > 0 && spread > this.maxSpread) {
+            reason = `點差 ${spread.toFixed(2)} 超過上限 ${this.maxSpread}`;
+        } else if (this.spreadPercentile > 0) {
+            const limit = this.getSpreadPercentile(this.spreadPercentile);
+            if (limit !== null && spread > limit) {
+                reason = `點差 ${spread.toFixed(2)} 超過近 ${this.spreadHistory.length} 筆報價第 ${this.spreadPercentile} 百分位 ${limit.toFixed(2)}`;
+            }
+        }
+
+        if (!!reason !== this.spreadBlocked) {
+            this.spreadBlocked = !!reason;
+            if (reason) {
+                console.log(`📶 [${this.tag}] ${reason}，暫停進場`);
+                logAudit('SPREAD_FILTER', { accountId: this.accountId, symbol: this.symbol, spread, reason });
+            } else {
+                console.log(`📶 [${this.tag}] 點差恢復正常 (${spread.toFixed(2)})`);
+            }
+        }
+        return !reason;
+    }
+
+    /** 進場滑價統計 (交易歷史中有成交紀錄的交易) */
+    getSlippageStats() {
+        const samples = this.trades.filter(t => typeof t.slippage === 'number');
+        if (samples.length === 0) return { count: 0, average: null, last: null };
+        const total = samples.reduce((sum, t) => sum + t.slippage, 0);
+        return { count: samples.length, average: total / samples.length, last: samples[0].slippage };
+    }
+
+    /** 依 Profile 統計績效 (交易歷史中的交易，未套用 Profile 者歸為 null) */
+    getProfileStats() {
+        const stats = {};
+        for (const trade of this.trades) {
+            const key = trade.profileId ?? '';
+            const entry = stats[key] || (stats[key] = { profileId: trade.profileId ?? null, profile: trade.profile ?? null, trades: 0, wins: 0, losses: 0, profit: 0 });
+            entry.trades++;
+            if (trade.profit > 0) entry.wins++;
+            else entry.losses++;
+            entry.profit += trade.profit || 0;
+        }
+        return Object.values(stats).map(s => ({ ...s, winRate: s.trades > 0 ? ((s.wins / s.trades) * 100).toFixed(1) + '%' : '--' }));
+    }
+
+    /**
+     * 平倉後準備再進場：今日仍有進場次數時恢復盯盤，並套用冷卻與回到區間規則
+     * 只對今日開出的部位生效 (隔夜部位於新交易日平倉不會自動開始盯盤)
+     */
+    armReentry() {
+        this.lastCloseTime = new Date();
+        if (this.todayTradeDone || this.todayTradeCount === 0) return;
+
+        this.awaitingBandReturn = this.reentryRequiresBandReturn;
+        this.isWatching = true;
+
+        const rules = [];
+        if (this.reentryCooldownMinutes > 0) rules.push(`冷卻 ${this.reentryCooldownMinutes} 分鐘`);
+        if (this.awaitingBandReturn) rules.push('價格須先回到進場區間內');
+        console.log(`🔁 [${this.tag}] 已平倉，剩餘 ${this.maxTradesPerDay - this.todayTradeCount} 次進場機會，恢復盯盤${rules.length ? ` (${rules.join('，')})` : ''}`);
+    }
+
+    /** 是否位於新聞禁止交易時段 (進入 / 離開時段時記錄日誌) */
+    isNewsBlackout() {
+        const window = this.newsCalendar?.getActiveWindow(new Date());
+        const key = window?.key || null;
+        if (key !== this.activeBlackoutKey) {
+            if (window) {
+                console.log(`📰 [${this.tag}] 新聞禁止進場: ${window.event.currency} ${window.event.title} (${new Date(window.start).toLocaleTimeString('zh-TW', { timeZone: 'Asia/Taipei', hour12: false })} - ${new Date(window.end).toLocaleTimeString('zh-TW', { timeZone: 'Asia/Taipei', hour12: false })})`);
+            } else {
+                console.log(`📰 [${this.tag}] 新聞禁止交易時段結束`);
+            }
+            this.activeBlackoutKey = key;
+        }
+        return !!window;
+    }
+
+    /** flatten 規則的新聞時段開始時平倉並撤銷掛單 (每個時段只執行一次) */
+    async enforceNewsFlatten() {
+        const window = this.newsCalendar?.getActiveWindow(new Date(), 'flatten');
+        if (!window || this.newsFlattened.has(window.key)) return;
+        if (this.positions.length === 0 && Object.keys(this.restingOrders).length === 0) return;
+        this.newsFlattened.add(window.key);
+
+        console.log(`📰 [${this.tag}] 新聞事件前平倉: ${window.event.currency} ${window.event.title} @ ${new Date(window.event.time).toISOString()}`);
+        logAudit('NEWS_FLATTEN', { accountId: this.accountId, symbol: this.symbol, event: window.event, positions: this.positions.map(p => p.id) });
+        try {
+            await this.cancelRestingOrders('新聞事件前平倉');
+            await this.closeAllPositions('news-flatten');
+        } catch (error) {
+            console.error(`❌ [${this.tag}] 新聞事件前平倉失敗:`, error.message);
+        }
+    }
+
+    /**
+     * 再進場限制：冷卻時間未到或價格尚未回到 ±entryOffset 區間內時不進場
+     * @returns {boolean} true = 允許進場
+     */
+    checkReentryAllowed() {
+        if (this.todayTradeCount === 0) return true;
+
+        // 仍有本商品持倉 (含剛成交尚未同步的部位) 時不再進場
+        if (this.positions.length > 0 || !this.lastCloseTime) return false;
+
+        if (Date.now() - this.lastCloseTime.getTime() < this.reentryCooldownMinutes * 60000) return false;
+
+        if (this.awaitingBandReturn) {
+            const offsetRaw = this.getEffectiveTargets().entryOffset * API_PRICE_MULTIPLIER;
+            if (Math.abs(this.currentPrice - this.todayOpenPrice) >= offsetRaw) return false;
+            this.awaitingBandReturn = false;
+            console.log(`↩️ [${this.tag}] 價格已回到進場區間內，允許再進場`);
+            return false; // 回到區間的當下不進場，等待下一次觸發
+        }
+
+        return true;
+    }
+
+    /** 從執行事件的持倉 / 訂單 / 成交取得 symbolId */
+    getExecutionSymbolId(execution) {
+        const symbolId = execution.position?.tradeData?.symbolId
+            ?? execution.order?.tradeData?.symbolId
+            ?? execution.deal?.symbolId;
+        return symbolId !== undefined && symbolId !== null ? convertLongValue(symbolId) : null;
+    }
+
     /**
      * 處理平倉結算
      */
-    handleTradeClosed(deal) {
+    handleTradeClosed(deal, position = null) {
         const detail = deal.closePositionDetail;
         const positionId = deal.positionId;
         const positionIdNorm = convertLongValue(positionId);
 
+        // 計算損益 (Net Profit = Gross Profit + Swap + Commission)，金額皆以 moneyDigits 表示
+        const moneyDigits = detail.moneyDigits || MONEY_DIGITS_DEFAULT;
+        const divisor = Math.pow(10, moneyDigits);
+        const netProfit = (convertLongValue(detail.grossProfit || 0) + convertLongValue(detail.swap || 0) + convertLongValue(detail.commission || 0)) / divisor;
+        const balance = convertLongValue(detail.balance || 0) / divisor;
+
+        // 部分平倉：持倉仍為 OPEN (positionStatus=1)，只累計損益，待全部平倉後合併為一筆交易
+        const isPartial = position && (position.positionStatus === 1 || position.positionStatus === 'POSITION_STATUS_OPEN');
+        if (isPartial) {
+            this.handlePartialClose(deal, position, netProfit, balance);
+            return;
+        }
+
         // 去重：防止 cTrader 對同一筆平倉發送多個 ORDER_FILLED 事件
         if (this.closedPositionIds.has(positionIdNorm)) {
             console.log(`⚠️ 重複的平倉事件 (ID: ${positionIdNorm})，已忽略`);
@@ -552,29 +1301,48 @@ class ExecutionEngine extends EventEmitter {
         }
         this.closedPositionIds.add(positionIdNorm);
 
-        // 計算損益 (Net Profit = Gross Profit + Swap + Commission)
-        const netProfitRaw = (detail.grossProfit || 0) + (detail.swap || 0) + (detail.commission || 0);
-        const netProfit = netProfitRaw / PNL_DIVISOR;
+        // 合併先前的部分平倉，整筆交易 (round-trip) 只計一次勝負
+        const partial = this.partialCloses[positionIdNorm];
+        delete this.partialCloses[positionIdNorm];
+        const totalProfit = netProfit + (partial?.profit || 0);
 
-        // balance 使用 moneyDigits 計算
-        const moneyDigits = detail.moneyDigits || MONEY_DIGITS_DEFAULT;
-        const balance = (detail.balance || 0) / Math.pow(10, moneyDigits);
+        // 平倉原因：引擎送出的平倉 (手動 / 時間出場 / 熔斷 / 新聞)，否則為 cTrader 觸發的 SL / TP
+        const closeReason = this.closeReasons[positionIdNorm] || 'sl-tp';
+        delete this.closeReasons[positionIdNorm];
+        const entryFill = this.entryFills[positionIdNorm];
+        delete this.entryFills[positionIdNorm];
 
-        console.log(`💰 交易平倉 ID: ${positionIdNorm} | 損益: $${netProfit.toFixed(2)} | 餘額: $${balance.toFixed(2)}`);
+        console.log(`💰 [${this.tag}] 交易平倉 (${closeReason}) ID: ${positionIdNorm} | 損益: $${totalProfit.toFixed(2)}${partial?.count ? ` (含 ${partial.count} 次部分平倉 $${partial.profit.toFixed(2)})` : ''} | 餘額: $${balance.toFixed(2)}`);
 
         // 更新狀態
         this.balance = balance;
-        if (netProfit > 0) this.wins++;
-        else if (netProfit < 0) this.losses++;
-        // netProfit == 0 (打平) 不計入勝負
+        if (totalProfit > 0) this.wins++;
+        else if (totalProfit < 0) this.losses++;
+        // totalProfit == 0 (打平) 不計入勝負
+        if (totalProfit < 0) this.consecutiveLosses++;
+        else if (totalProfit > 0) this.consecutiveLosses = 0;
+        this.recordRealizedPnL(netProfit, balance); // 部分平倉損益已於 handlePartialClose 計入
+
+        // 持倉方向：優先使用持倉資料 (平倉成交的方向與持倉相反)
+        const positionSide = position?.tradeData?.tradeSide;
+        const isLong = positionSide !== undefined
+            ? positionSide === 1 || positionSide === 'BUY'
+            : !(deal.tradeSide === 1 || deal.tradeSide === 'BUY');
 
         // 記錄交易歷史
         const tradeRecord = {
             id: positionId,
-            closeTime: new Date(deal.executionTimestamp),
-            profit: netProfit,
+            accountId: this.accountId,
+            symbol: this.symbol,
+            closeTime: new Date(convertLongValue(deal.executionTimestamp)),
+            profit: totalProfit,
             balance: this.balance,
-            type: deal.tradeSide === 1 || deal.tradeSide === 'BUY' ? 'long' : 'short' // 1=BUY, 2=SELL
+            type: isLong ? 'long' : 'short',
+            partials: partial?.count || 0,
+            reason: closeReason,
+            profileId: this.activeProfile?.id ?? null,
+            profile: this.activeProfile?.name ?? null,
+            ...entryFill
         };
         this.trades.unshift(tradeRecord);
         if (this.trades.length > TRADE_HISTORY_MAX) this.trades.pop();
@@ -586,19 +1354,33 @@ class ExecutionEngine extends EventEmitter {
         // 儲存狀態
         this.saveState();
 
+        this.runStrategyHook('onClose', tradeRecord, this.getStrategyContext());
+
+        // 今日仍有進場次數時準備再進場
+        this.armReentry();
+
+        this.checkCircuitBreaker();
+
         // 發送事件通知
         this.emit('trade-closed', tradeRecord);
 
         // 審計日誌
         logAudit('CLOSE_POSITION', {
+            accountId: this.accountId,
+            symbol: this.symbol,
             positionId: closedPositionId,
-            profit: netProfit,
+            profit: totalProfit,
+            partials: tradeRecord.partials,
             balance: this.balance,
-            type: tradeRecord.type
+            type: tradeRecord.type,
+            reason: closeReason,
+            slippage: entryFill?.slippage
         });
 
         // 發送帳戶更新事件 (用於 Socket.IO 即時推送)
         this.emit('account-update', {
+            symbol: this.symbol,
+            accountId: this.accountId,
             balance: this.balance,
             wins: this.wins,
             losses: this.losses,
@@ -606,46 +1388,131 @@ class ExecutionEngine extends EventEmitter {
         });
     }
 
+    /** 記錄已實現損益：累計當日損益並同步快取餘額 (即時權益計算用)，通知 TradingBot 檢查帳戶熔斷 */
+    recordRealizedPnL(profit, balance) {
+        this.todayRealizedPnL += profit;
+        if (this.cachedAccountInfo) this.cachedAccountInfo.balance = balance;
+        this.emit('realized-pnl', { symbol: this.symbol, accountId: this.accountId, profit, balance });
+    }
+
+    /** 平倉後檢查連續虧損 (當日虧損與權益回撤由 TradingBot 以帳戶合計檢查) */
+    checkCircuitBreaker() {
+        if (this.lockout) return;
+
+        if (this.maxConsecutiveLosses > 0 && this.consecutiveLosses >= this.maxConsecutiveLosses) {
+            this.tripCircuitBreaker('consecutive-losses', `連續虧損 ${this.consecutiveLosses} 筆達上限`, this.consecutiveLosses, this.maxConsecutiveLosses);
+        }
+    }
+
     /**
-     * 檢查是否在交易時段內
-     * 交易時段：台北時間 07:01 ~ 隔天 06:00 (對應美股交易時間)
-     * 冬令: 開盤 07:30，收盤 06:00
-     * 夏令: 開盤 06:30，收盤 05:00
+     * 觸發熔斷：暫停交易、撤銷掛單、(可選) 平倉，鎖定原因寫入資料庫
+     * @param {string} scope - 'engine' 僅本引擎 / 'account' 帳戶層級 (由 TradingBot 對同帳戶所有引擎觸發)
      */
-    isWithinTradingHours() {
-        const now = new Date();
+    async tripCircuitBreaker(code, reason, value, limit, scope = 'engine') {
+        if (this.lockout) return;
+
+        this.lockout = { code, reason, value, limit, scope, time: new Date() };
+        this.tradingPaused = true;
+        this.isWatching = false;
+        console.error(`🛑 [${this.tag}] 熔斷觸發: ${reason}，已暫停交易`);
 
-        // 使用台北時區 (UTC+8) 計算時間，避免伺服器時區問題
-        const taipeiTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Taipei' }));
-        const hour = taipeiTime.getHours();
-        const minute = taipeiTime.getMinutes();
-        const currentMinutes = hour * 60 + minute;
+        logAudit('CIRCUIT_BREAKER', { accountId: this.accountId, symbol: this.symbol, ...this.lockout, flatten: this.circuitBreakerFlatten });
+        this.emit('circuit-breaker', { symbol: this.symbol, accountId: this.accountId, lockout: this.lockout, flatten: this.circuitBreakerFlatten });
 
-        // 判斷夏令/冬令
-        const isDst = isUsDst(now);
+        // 先撤單 / 平倉再寫入資料庫，避免資料庫延遲拖慢風控動作
+        try {
+            await this.cancelRestingOrders('熔斷');
+            if (this.circuitBreakerFlatten) await this.closeAllPositions('circuit-breaker');
+        } catch (error) {
+            console.error(`❌ [${this.tag}] 熔斷後撤單 / 平倉失敗:`, error.message);
+        }
+        await this.saveState();
+    }
 
-        // 冬令時間：台北時間 07:30 - 隔天 06:00 (即 07:30-23:59 和 00:00-06:00)
-        // 夏令時間：台北時間 06:30 - 隔天 05:00 (即 06:30-23:59 和 00:00-05:00)
-        const openMinutes = isDst ? (6 * 60 + 30) : (7 * 60 + 30);  // 夏令 06:30，冬令 07:30
-        const closeMinutes = isDst ? (5 * 60) : (6 * 60);           // 夏令 05:00，冬令 06:00
+    /** 解除熔斷 (Dashboard 手動操作)：清除鎖定、連續虧損，並以目前權益重新計算回撤高點 */
+    unlockCircuitBreaker() {
+        if (!this.lockout) return false;
 
-        // 交易時段跨越午夜
-        // 有效時段：開盤時間 ~ 23:59 或 00:00 ~ 收盤時間
-        if (currentMinutes >= openMinutes) {
-            // 開盤後 (07:30+ 或 06:30+)
-            return true;
-        } else if (currentMinutes < closeMinutes) {
-            // 隔天未收盤前 (00:00 ~ 06:00 或 00:00 ~ 05:00)
-            return true;
+        console.log(`🔓 [${this.tag}] 熔斷已解除 (原因: ${this.lockout.reason})`);
+        logAudit('CIRCUIT_BREAKER_UNLOCK', { accountId: this.accountId, symbol: this.symbol, lockout: this.lockout });
+        this.lockout = null;
+        this.tradingPaused = false;
+        this.consecutiveLosses = 0;
+        this.peakEquity = null;
+        this.saveState();
+        return true;
+    }
+
+    /** 部分平倉結算：累計損益、更新剩餘手數，不計勝負 */
+    handlePartialClose(deal, position, netProfit, balance) {
+        const dealId = convertLongValue(deal.dealId);
+        if (this.processedDealIds.has(dealId)) {
+            console.log(`⚠️ 重複的部分平倉事件 (Deal: ${dealId})，已忽略`);
+            return;
         }
+        this.processedDealIds.add(dealId);
+
+        const positionId = convertLongValue(deal.positionId);
+        const closedVolume = convertLongValue(deal.closePositionDetail.closedVolume || deal.filledVolume) / this.getLotVolume();
+        const remainingVolume = convertLongValue(position.tradeData.volume) / this.getLotVolume();
+
+        const partial = this.partialCloses[positionId] || { count: 0, volume: 0, profit: 0 };
+        partial.count++;
+        partial.volume += closedVolume;
+        partial.profit += netProfit;
+        delete partial.pending;
+        delete partial.retryAt;
+        this.partialCloses[positionId] = partial;
 
-        return false;
+        this.balance = balance;
+        this.recordRealizedPnL(netProfit, balance);
+        const local = this.positions.find(p => p.id === positionId);
+        if (local) local.volume = remainingVolume;
+
+        console.log(`✂️ [${this.tag}] 部分平倉 ID: ${positionId} | 平倉 ${closedVolume} lots，剩餘 ${remainingVolume} lots | 損益: $${netProfit.toFixed(2)} | 餘額: $${balance.toFixed(2)}`);
+        this.checkCircuitBreaker();
+        this.saveState();
+
+        logAudit('PARTIAL_CLOSE', {
+            accountId: this.accountId,
+            symbol: this.symbol,
+            positionId,
+            closedVolume,
+            remainingVolume,
+            profit: netProfit,
+            balance
+        });
+
+        this.emit('partial-close', { symbol: this.symbol, accountId: this.accountId, positionId, closedVolume, remainingVolume, profit: netProfit });
+        this.emit('positions-reconciled', this.positions);
+        this.emit('account-update', {
+            symbol: this.symbol,
+            accountId: this.accountId,
+            balance: this.balance,
+            wins: this.wins,
+            losses: this.losses,
+            positions: this.positions
+        });
+    }
+
+    /**
+     * 檢查是否在交易時段內
+     * 交易時段：台北時間 07:01 ~ 隔天 06:00 (對應美股交易時間)
+     * 冬令: 開盤 07:30，收盤 06:00
+     * 夏令: 開盤 06:30，收盤 05:00
+     */
+    isWithinTradingHours() {
+        // 使用台北時區 (UTC+8) 計算時間，避免伺服器時區問題 (與回測共用 utils 實作)
+        return isWithinTradingHours(new Date());
     }
 
     /**
      * 執行策略邏輯
      */
     async executeStrategy() {
+        // 新聞事前平倉不受暫停 / 盯盤狀態影響
+        this.enforceNewsFlatten();
+
         if (this.tradingPaused) return;
         if (!this.currentPrice || !this.todayOpenPrice) return;
         if (this.todayTradeDone || !this.isWatching) return;
@@ -655,65 +1522,119 @@ class ExecutionEngine extends EventEmitter {
             return; // 非交易時段，不執行策略
         }
 
-        // cTrader API 的 Raw Price = 真實價格 * API_PRICE_MULTIPLIER
-        const diff = this.currentPrice - this.todayOpenPrice;
-        const offsetRaw = this.entryOffset * API_PRICE_MULTIPLIER;
-
-        // 做空條件：價格高於開盤 + 進場偏移
-        if (diff >= offsetRaw) {
-            console.log(`📉 訊號觸發: 現價(${this.currentPrice}) >= 開盤(${this.todayOpenPrice}) + Offset(${offsetRaw})`);
-            this.openPosition('short');
-        }
-        // 做多條件：價格低於開盤 - 進場偏移
-        else if (diff <= -offsetRaw) {
-            console.log(`📈 訊號觸發: 現價(${this.currentPrice}) <= 開盤(${this.todayOpenPrice}) - Offset(${offsetRaw})`);
-            this.openPosition('long');
+        // 新聞禁止交易時段：不進場，並撤銷進場掛單
+        if (this.isNewsBlackout()) {
+            if (Object.keys(this.restingOrders).length > 0) await this.cancelRestingOrders('新聞禁止進場');
+            return;
         }
-    }
-
-    /**
-     * 開倉
-     */
-    async openPosition(type) {
-        if (this.todayTradeDone || this.isPlacingOrder) return;
-        this.isPlacingOrder = true;
 
-        try {
-            const tradeType = type === 'long' ? 'BUY' : 'SELL';
+        // 排程今日不交易：不進場，並撤銷進場掛單
+        if (this.scheduleEntry?.action === 'no-trade') {
+            if (Object.keys(this.restingOrders).length > 0) await this.cancelRestingOrders('排程不交易');
+            return;
+        }
 
-            // 取得 Symbol 資訊以計算 Volume
-            const symbolData = await this.getSymbolInfo(this.config.market.symbol);
-            if (!symbolData) throw new Error('無法取得 Symbol 資訊');
+        // 收盤前平倉時段：不進場，並撤銷進場掛單
+        if (this.sessionClosing) {
+            if (Object.keys(this.restingOrders).length > 0) await this.cancelRestingOrders(TIME_EXIT_LABELS[this.sessionClosing]);
+            return;
+        }
 
-            // cTrader Volume 計算：
-            // - cTrader volume 單位: 1 lot = 100 volume units (centilots)
-            // - 所以 0.1 lots = 10 volume units
-            // - 最小 volume 通常是 100 (= 0.01 lots) 或根據 broker 設定
+        // 有結果未知的在途訂單時不再下單，待查證後再決定是否重試
+        if (this.hasUnresolvedOrders()) return;
 
-            // 計算 volume (lots * 100)
-            let volume = Math.round(this.lotSize * 100);
+        // 再進場限制 (冷卻 / 回到區間)
+        if (!this.checkReentryAllowed()) return;
 
-            // 最小量檢查 (0.01 lots = 1 volume, 但通常最小是 0.1 lots = 10 volume)
-            const minVolume = 10; // 0.1 lots = 10 volume units (大部分 broker 的最小)
-            if (volume < minVolume) {
-                console.warn(`⚠️ 計算出的交易量 (${volume}) 小於最小限制 (${minVolume})，已自動修正為最小量。`);
-                volume = minVolume;
-            }
+        // 點差過大時不進場 (已送出的掛單保留)
+        if (!this.checkSpreadAllowed()) return;
 
-            console.log(`📊 下單量: ${this.lotSize} lots = ${volume} volume units`);
+        // 掛單進場：依策略提供的價格掛 LIMIT / STOP 單，不使用報價觸發的市價單
+        if (this.entryOrderType !== 'market') {
+            await this.ensureRestingOrders();
+            return;
+        }
 
-            // 計算基於基準點的 TP/SL 絕對價格
-            // 策略：TP/SL 是相對於「基準點」而非「成交價」
-            const openPriceReal = rawToRealPrice(this.todayOpenPrice);
+        // 進場判斷交由策略插件
+        const tick = { price: this.currentPrice, bid: this.currentBid, ask: this.currentAsk, timestamp: Date.now() };
+        const signal = this.runStrategyHook('onTick', tick, this.getStrategyContext());
+        if (signal && (signal.type === 'long' || signal.type === 'short')) {
+            this.openPosition(signal.type, signal);
+        }
+    }
 
-            let tpPriceReal, slPriceReal;
-            if (type === 'long') {
-                tpPriceReal = openPriceReal + this.longTP;
-                slPriceReal = openPriceReal - this.longSL;
-            } else {
-                tpPriceReal = openPriceReal - this.shortTP;
-                slPriceReal = openPriceReal + this.shortSL;
-            }
+    /**
+     * 建立策略 Hook 的上下文
+     */
+    getStrategyContext() {
+        return {
+            baseline: this.todayOpenPrice,
+            price: this.currentPrice,
+            bid: this.currentBid,
+            ask: this.currentAsk,
+            config: this.getEffectiveTargets(),
+            positions: this.positions,
+            now: new Date(),
+            watchStart: this.getSessionOpenUtc() + (this.minsAfterOpen || 0) * 60000
+        };
+    }
+
+    /**
+     * 呼叫策略 Hook，策略內部錯誤不影響引擎運作
+     */
+    runStrategyHook(hook, ...args) {
+        try {
+            return this.strategy[hook](...args);
+        } catch (error) {
+            console.error(`❌ 策略 ${this.strategy.id}.${hook} 執行失敗:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 切換策略 (保留各策略專屬參數)
+     */
+    setStrategy(id) {
+        if (this.strategy) {
+            this.strategyParams[this.strategy.id] = { ...this.strategy.params };
+        }
+
+        try {
+            this.strategy = createStrategy(id, this.strategyParams[id]);
+            console.log(`🧩 使用策略: ${this.strategy.constructor.label} (${id})`);
+        } catch (error) {
+            console.error(`❌ 無法切換策略: ${error.message}`);
+        }
+    }
+
+    /** 策略不支援目前的進場方式時改用市價進場 (啟動 / 狀態恢復時) */
+    enforceEntryOrderType() {
+        if (this.strategy.supportsEntryOrderType(this.entryOrderType)) return;
+        console.warn(`⚠️ [${this.tag}] 策略 ${this.strategy.id} 不支援 ${this.entryOrderType} 進場，改用市價進場`);
+        this.entryOrderType = 'market';
+    }
+
+    /**
+     * 開倉
+     */
+    async openPosition(type, signal = {}) {
+        if (this.todayTradeDone || this.isPlacingOrder) return;
+        this.isPlacingOrder = true;
+
+        try {
+            const tradeType = type === 'long' ? 'BUY' : 'SELL';
+
+            // 取得 Symbol 資訊以計算 Volume
+            const symbolData = await this.getSymbolInfo(this.symbol);
+            if (!symbolData) throw new Error('無法取得 Symbol 資訊');
+
+            // 計算 TP/SL 絕對價格 (由策略決定，預設相對於「基準點」而非「成交價」)
+            const targets = this.strategy.getTargets(type, this.getStrategyContext());
+            const tpPriceReal = targets.takeProfit;
+            const slPriceReal = targets.stopLoss;
+
+            // 下單量依現價到止損的距離計算 (風險模式)
+            const volume = await this.calculateVolume(rawToRealPrice(this.currentPrice), slPriceReal);
 
             // 儲存待設定的 SL/TP（成交後才設定）
             this.pendingSlTp = {
@@ -722,28 +1643,31 @@ class ExecutionEngine extends EventEmitter {
                 takeProfit: tpPriceReal
             };
 
+            const currentPriceReal = rawToRealPrice(this.currentPrice);
+            // 市價單：多單以 ask、空單以 bid 成交
+            this.pendingEntry = {
+                type,
+                signalPrice: currentPriceReal,
+                requestedPrice: rawToRealPrice(type === 'long' ? this.currentAsk : this.currentBid),
+                entrySpread: this.currentSpread
+            };
+            console.log(`${type === 'long' ? '📈' : '📉'} 開${type === 'long' ? '多' : '空'} | Price: ${currentPriceReal.toFixed(2)} | 目標TP: ${tpPriceReal.toFixed(2)} | 目標SL: ${slPriceReal.toFixed(2)}`);
+
             // 發送訂單（不帶 SL/TP）
             // 成交後在 handleExecutionEvent 中設定 SL/TP
-            const ProtoOANewOrderReq = this.connection.proto.lookupType('ProtoOANewOrderReq');
-            const order = ProtoOANewOrderReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
+            await this.submitOrder({
                 symbolId: symbolData.symbolId,
-                orderType: 1, // MARKET
+                orderType: ENTRY_ORDER_TYPES.market,
                 tradeSide: type === 'long' ? 1 : 2, // BUY=1, SELL=2
-                volume: volume,
-                // 不帶 SL/TP，成交後設定
-                label: 'US30_MR'
-            });
-
-            const currentPriceReal = rawToRealPrice(this.currentPrice);
-            console.log(`${type === 'long' ? '📈' : '📉'} 開${type === 'long' ? '多' : '空'} | Price: ${currentPriceReal.toFixed(2)} | 目標TP: ${tpPriceReal.toFixed(2)} | 目標SL: ${slPriceReal.toFixed(2)}`);
-
-            const response = await this.connection.send('ProtoOANewOrderReq', order);
+                volume: volume
+            }, { kind: 'market', side: type, stopLoss: slPriceReal, takeProfit: tpPriceReal });
 
             console.log('📨 訂單發送成功，等待執行（SL/TP 將在成交後設定）...');
 
             // 發送 Discord 通知
             this.emit('trade-opened', {
+                symbol: this.symbol,
+                accountId: this.accountId,
                 type,
                 price: this.currentPrice,
                 tp: tpPriceReal,
@@ -754,7 +1678,11 @@ class ExecutionEngine extends EventEmitter {
 
             // 審計日誌
             logAudit('OPEN_POSITION', {
+                accountId: this.accountId,
+                symbol: this.symbol,
                 type,
+                strategy: this.strategy.id,
+                reason: signal.reason,
                 price: currentPriceReal,
                 volume: volume,
                 tp: tpPriceReal,
@@ -772,12 +1700,601 @@ class ExecutionEngine extends EventEmitter {
         }
     }
 
+    /**
+     * 計算下單量 (cTrader volume 單位，cents：1 lot = Symbol lotSize)
+     * - fixed:   固定 lotSize 手
+     * - percent: 權益 × riskPercent% / 每手停損金額
+     * - dollar:  riskAmount / 每手停損金額
+     * 每手停損金額 = |進場價 - 止損價| × 每手單位數 × 報價幣別匯率
+     * 結果向下對齊 stepVolume，並以 maxLotSize / Symbol maxVolume 為上限
+     * 低於 Symbol minVolume 時：fixed 提高至最小量；風險模式拋出 OrderError (不進場，避免超出風險預算)
+     * Symbol 缺少 lotSize / stepVolume / minVolume 時拋出 OrderError，不以 NaN 下單
+     * @param {number} entryPrice - 預期進場價 (真實價格)
+     * @param {number} stopLoss - 止損價 (真實價格)
+     */
+    async calculateVolume(entryPrice, stopLoss) {
+        const symbolData = await this.getSymbolInfo(this.symbol);
+        if (!symbolData) throw new Error('無法取得 Symbol 資訊');
+        const { lotSize, stepVolume, minVolume, maxVolume } = symbolData;
+        if (!(lotSize > 0) || !(stepVolume > 0) || !(minVolume > 0)) {
+            throw new OrderError('Symbol 缺少 Volume 限制資訊，無法計算下單量', {
+                reason: 'missing-volume-limits', symbol: this.symbol, lotSize, stepVolume, minVolume
+            });
+        }
+
+        let lots = this.lotSize;
+        let sizing = null;
+        const slDistance = Math.abs(entryPrice - stopLoss);
+
+        if (this.sizingMode !== 'fixed' && !(slDistance > 0)) {
+            console.warn(`⚠️ [${this.tag}] 止損距離無效，改用固定手數 ${this.lotSize}`);
+        } else if (this.sizingMode !== 'fixed') {
+            let riskAmount = this.riskAmount;
+            let equity = null;
+            if (this.sizingMode === 'percent') {
+                const accountInfo = await this.getAccountInfo();
+                equity = accountInfo?.equity ?? this.balance;
+                if (!equity) throw new OrderError('無法取得帳戶權益，無法依風險計算下單量', { sizingMode: this.sizingMode });
+                riskAmount = equity * this.riskPercent / 100;
+            }
+
+            const rate = await this.getQuoteToAccountRate(symbolData);
+            const lossPerLot = slDistance * (lotSize / 100) * rate;
+            lots = riskAmount / lossPerLot;
+            sizing = { mode: this.sizingMode, equity, riskAmount, slDistance, rate, lossPerLot, lots };
+
+            const currency = this.accountCurrency?.name || '';
+            console.log(`📐 [${this.tag}] 風險計算: 風險 ${riskAmount.toFixed(2)} ${currency} / (止損 ${slDistance.toFixed(2)} 點 × 每手 ${(lossPerLot / slDistance).toFixed(4)}) = ${lots.toFixed(4)} lots`);
+        }
+
+        if (lots > this.maxLotSize) {
+            console.warn(`⚠️ [${this.tag}] 計算手數 ${lots.toFixed(4)} 超過上限 ${this.maxLotSize}，以上限下單`);
+            lots = this.maxLotSize;
+        }
+
+        let volume = Math.floor(lots * lotSize / stepVolume + 1e-9) * stepVolume;
+        if (maxVolume && volume > maxVolume) {
+            volume = Math.floor(maxVolume / stepVolume) * stepVolume;
+        }
+        if (volume < minVolume) {
+            if (sizing) {
+                logAudit('POSITION_SIZING_SKIPPED', { accountId: this.accountId, symbol: this.symbol, ...sizing, volume, minVolume });
+                throw new OrderError(`風險預算不足以下最小量 (${volume} < ${minVolume})，略過進場`, {
+                    reason: 'below-min-volume', sizingMode: this.sizingMode, volume, minVolume
+                });
+            }
+            console.warn(`⚠️ 計算出的交易量 (${volume}) 小於最小限制 (${minVolume})，已自動修正為最小量。`);
+            volume = minVolume;
+        }
+
+        console.log(`📊 下單量: ${(volume / lotSize).toFixed(2)} lots = ${volume} volume units (${this.sizingMode})`);
+        if (sizing) {
+            logAudit('POSITION_SIZING', { accountId: this.accountId, symbol: this.symbol, ...sizing, volume });
+        }
+        return volume;
+    }
+
+    /**
+     * 掛單進場價格 (真實價格)，由策略的 getRestingOrderPrices Hook 提供
+     * @returns {{ long?: number, short?: number } | null} 策略尚未就緒或不再進場時為 null
+     */
+    getRestingOrderPrices() {
+        return this.runStrategyHook('getRestingOrderPrices', this.entryOrderType, this.getStrategyContext());
+    }
+
+    /**
+     * 確保策略指定的進場掛單存在 (由 executeStrategy 在盯盤中呼叫)
+     * 價格已越過任一側進場價時不掛單，等待回到掛單價內側；策略不再提供價格時撤銷掛單
+     */
+    async ensureRestingOrders() {
+        if (this.isPlacingOrder) return;
+        const prices = this.getRestingOrderPrices();
+        const resting = Object.keys(this.restingOrders);
+        if (!prices) {
+            if (resting.length > 0) await this.cancelRestingOrders('策略停止進場');
+            return;
+        }
+        if (resting.length > 0) return; // 已掛單 (或一側已成交，等待 OCO 撤單)
+
+        const missing = ['long', 'short'].filter(side => Number.isFinite(prices[side]));
+        if (missing.length === 0) return;
+        const currentReal = rawToRealPrice(this.currentPrice);
+        const crossed = side => (side === 'long') === (this.entryOrderType === 'stop')
+            ? currentReal >= prices[side]
+            : currentReal <= prices[side];
+        if (missing.some(crossed)) return;
+
+        this.isPlacingOrder = true;
+        try {
+            const symbolData = await this.getSymbolInfo(this.symbol);
+            if (!symbolData) throw new Error('無法取得 Symbol 資訊');
+
+            // 兩側止損距離可能不同，各自依掛單價計算下單量 (兩側皆計算完成才掛單)
+            const volumes = {};
+            const sidePrices = {};
+            for (const side of missing) {
+                sidePrices[side] = Number(prices[side].toFixed(symbolData.digits));
+                const targets = this.strategy.getTargets(side, this.getStrategyContext());
+                volumes[side] = await this.calculateVolume(sidePrices[side], targets.stopLoss);
+            }
+            for (const side of missing) {
+                this.restingOrders[side] = await this.placeRestingOrder(side, sidePrices[side], volumes[side], symbolData.symbolId);
+            }
+
+            console.log(`📌 [${this.tag}] 已掛 ${this.entryOrderType.toUpperCase()} 單 | ${missing.map(side => `${side === 'long' ? '多' : '空'}: ${this.restingOrders[side].price.toFixed(2)}`).join(' | ')}`);
+            logAudit('PLACE_RESTING_ORDERS', {
+                accountId: this.accountId,
+                symbol: this.symbol,
+                orderType: this.entryOrderType,
+                long: this.restingOrders.long,
+                short: this.restingOrders.short,
+                volumes
+            });
+        } catch (error) {
+            console.error(`❌ [${this.tag}] 掛單失敗:`, error.message);
+            // 掛單價與止損當日固定，風險預算不足時停止盯盤，不每個 tick 重試
+            if (error.details?.reason === 'below-min-volume') this.isWatching = false;
+            // 只掛上一側時撤銷，避免單邊曝險
+            await this.cancelRestingOrders('掛單失敗');
+            this.emit('trade-error', error);
+        } finally {
+            this.isPlacingOrder = false;
+        }
+    }
+
+    /** 發送單一進場掛單，回傳 { orderId, price } */
+    async placeRestingOrder(side, price, volume, symbolId) {
+        const orderType = ENTRY_ORDER_TYPES[this.entryOrderType];
+        const execution = await this.submitOrder({
+            symbolId: symbolId,
+            orderType: orderType,
+            tradeSide: side === 'long' ? 1 : 2, // BUY=1, SELL=2
+            volume: volume,
+            // 不帶 SL/TP，成交後設定
+            ...(orderType === ENTRY_ORDER_TYPES.limit ? { limitPrice: price } : { stopPrice: price })
+        }, { kind: 'resting', side, price });
+        return { orderId: convertLongValue(execution.order.orderId), price };
+    }
+
+    /** 掛單成交：設定該方向的 SL/TP，並撤銷另一側掛單 (OCO) */
+    handleRestingOrderFill(execution) {
+        const orderId = execution.order ? convertLongValue(execution.order.orderId) : null;
+        const side = Object.keys(this.restingOrders).find(s => this.restingOrders[s]?.orderId === orderId);
+        if (!side) return;
+
+        const filled = this.restingOrders[side];
+        delete this.restingOrders[side];
+        this.isWatching = false;
+
+        const targets = this.strategy.getTargets(side, this.getStrategyContext());
+        this.pendingSlTp = { type: side, stopLoss: targets.stopLoss, takeProfit: targets.takeProfit };
+        this.pendingEntry = { type: side, signalPrice: filled.price, requestedPrice: filled.price, entrySpread: this.currentSpread };
+
+        console.log(`${side === 'long' ? '📈' : '📉'} [${this.tag}] ${side === 'long' ? '多' : '空'}單掛單成交 @ ${filled.price.toFixed(2)}，撤銷另一側掛單`);
+        this.cancelRestingOrders('OCO');
+
+        this.emit('trade-opened', {
+            symbol: this.symbol,
+            accountId: this.accountId,
+            type: side,
+            price: realToRawPrice(filled.price),
+            tp: targets.takeProfit,
+            sl: targets.stopLoss,
+            baselinePrice: rawToRealPrice(this.todayOpenPrice),
+            positionId: execution.position ? convertLongValue(execution.position.positionId) : null
+        });
+
+        logAudit('OPEN_POSITION', {
+            accountId: this.accountId,
+            symbol: this.symbol,
+            type: side,
+            strategy: this.strategy.id,
+            reason: `${this.entryOrderType}-order`,
+            price: filled.price,
+            volume: execution.deal ? convertLongValue(execution.deal.filledVolume) : null,
+            tp: targets.takeProfit,
+            sl: targets.stopLoss
+        });
+    }
+
+    /** 撤銷所有進場掛單 (ProtoOACancelOrderReq) */
+    async cancelRestingOrders(reason) {
+        for (const side of Object.keys(this.restingOrders)) {
+            const resting = this.restingOrders[side];
+            delete this.restingOrders[side];
+            if (!resting) continue;
+
+            try {
+                await this.connection.request('ProtoOACancelOrderReq', {
+                    ctidTraderAccountId: this.accountId,
+                    orderId: resting.orderId
+                }, 'ProtoOAExecutionEvent');
+                console.log(`🗑️ [${this.tag}] 已撤銷${side === 'long' ? '多' : '空'}單掛單 ${resting.orderId} (${reason})`);
+                logAudit('CANCEL_ORDER', { accountId: this.accountId, symbol: this.symbol, orderId: resting.orderId, side, reason });
+            } catch (error) {
+                console.error(`❌ [${this.tag}] 撤銷掛單 ${resting.orderId} 失敗:`, error.message);
+            }
+        }
+    }
+
+    /** 基準點或進場偏移變更時改價 (ProtoOAAmendOrderReq) */
+    async amendRestingOrders() {
+        if (!this.todayOpenPrice || Object.keys(this.restingOrders).length === 0) return;
+
+        const symbolData = await this.getSymbolInfo(this.symbol);
+        const prices = this.getRestingOrderPrices();
+        if (!prices) return;
+
+        for (const [side, resting] of Object.entries(this.restingOrders)) {
+            if (!Number.isFinite(prices[side])) continue;
+            const price = Number(prices[side].toFixed(symbolData?.digits ?? 2));
+            if (price === resting.price) continue;
+
+            try {
+                await this.connection.request('ProtoOAAmendOrderReq', {
+                    ctidTraderAccountId: this.accountId,
+                    orderId: resting.orderId,
+                    ...(this.entryOrderType === 'limit' ? { limitPrice: price } : { stopPrice: price })
+                }, 'ProtoOAExecutionEvent');
+                console.log(`✏️ [${this.tag}] ${side === 'long' ? '多' : '空'}單掛單改價: ${resting.price.toFixed(2)} -> ${price.toFixed(2)}`);
+                resting.price = price;
+            } catch (error) {
+                console.error(`❌ [${this.tag}] 掛單改價失敗:`, error.message);
+            }
+        }
+    }
+
+    /** 掛單已撤銷 / 過期 / 被拒時移除記錄 */
+    forgetRestingOrder(orderId) {
+        const side = Object.keys(this.restingOrders).find(s => this.restingOrders[s]?.orderId === orderId);
+        if (side) delete this.restingOrders[side];
+    }
+
+    /** 重啟 / 重連後從 cTrader 未成交掛單恢復進場掛單 (以 orderLabel 辨識) */
+    async recoverRestingOrders() {
+        let orders;
+        try {
+            orders = await this.getPendingOrders();
+        } catch (error) {
+            console.error(`❌ [${this.tag}] 恢復掛單失敗:`, error.message);
+            return;
+        }
+        this.restingOrders = {};
+
+        for (const order of orders) {
+            if (order.tradeData.label !== this.orderLabel) continue;
+            const side = order.tradeData.tradeSide === 1 || order.tradeData.tradeSide === 'BUY' ? 'long' : 'short';
+            const price = order.limitPrice || order.stopPrice;
+            this.restingOrders[side] = { orderId: convertLongValue(order.orderId), price };
+        }
+
+        const sides = Object.keys(this.restingOrders);
+        if (sides.length === 0) return;
+
+        console.log(`📌 [${this.tag}] 已恢復 ${sides.length} 筆進場掛單: ${sides.map(s => `${s} @ ${this.restingOrders[s].price}`).join(', ')}`);
+        // 恢復後即在盯盤狀態 (掛單成交後由 OCO 流程處理)
+        if (sides.length === 2 && !this.todayTradeDone) this.isWatching = true;
+    }
+
+    /**
+     * 送出新訂單 (ProtoOANewOrderReq)：帶 clientOrderId 與 orderLabel，送出前先登記在途訂單並寫入資料庫
+     * 逾時 / 斷線時訂單是否送達未知，保留登記並由 resolveInflightOrders 查證，不直接重送
+     * @param {object} fields - 訂單欄位 (symbolId / orderType / tradeSide / volume / limitPrice / stopPrice)
+     * @param {object} meta - 登記資訊 { kind: 'market' | 'resting', side, price, stopLoss, takeProfit }
+     */
+    async submitOrder(fields, meta) {
+        const clientOrderId = crypto.randomUUID();
+        this.inflightOrders[clientOrderId] = {
+            clientOrderId,
+            ...meta,
+            volume: fields.volume,
+            date: getTaipeiDateString(),
+            sentAt: Date.now(),
+            status: 'sending'
+        };
+        await this.saveState();
+
+        let execution;
+        try {
+            execution = await this.connection.request('ProtoOANewOrderReq', {
+                ctidTraderAccountId: this.accountId,
+                ...fields,
+                label: this.orderLabel,
+                clientOrderId
+            }, 'ProtoOAExecutionEvent');
+        } catch (error) {
+            // 收到錯誤回應或連線未就緒未送出：訂單未成立
+            if (error.details?.sent === false) {
+                this.forgetInflightOrder(clientOrderId);
+                throw error;
+            }
+            if (error.details?.responseType) {
+                this.forgetInflightOrder(clientOrderId);
+                throw new OrderError(`訂單被拒: ${error.message}`, { clientOrderId, ...error.details });
+            }
+
+            // 執行事件已先送達 (登記已結案) 時結果已知
+            const entry = this.inflightOrders[clientOrderId];
+            if (!entry) throw error;
+
+            entry.status = 'unknown';
+            this.saveState();
+            console.warn(`⚠️ [${this.tag}] 訂單 ${clientOrderId} 送出結果未知 (${error.message})，查證前暫停下單`);
+            // 連線仍正常 (單純逾時) 時立即查證，否則等重連後查證
+            if (this.connection.connected) this.resolveInflightOrders();
+            throw new OrderError(`訂單送出結果未知: ${error.message}`, { clientOrderId });
+        }
+
+        // 掛單已成立後改由 restingOrders 追蹤
+        if (meta.kind === 'resting') this.forgetInflightOrder(clientOrderId);
+        return execution;
+    }
+
+    forgetInflightOrder(clientOrderId) {
+        if (!this.inflightOrders[clientOrderId]) return;
+        delete this.inflightOrders[clientOrderId];
+        this.saveState();
+    }
+
+    hasUnresolvedOrders() {
+        return Object.values(this.inflightOrders).some(o => o.status === 'unknown');
+    }
+
+    /** 執行事件帶有在途訂單的 clientOrderId 時結案 (市價單等成交 / 被拒，掛單於接受後即結案) */
+    settleInflightOrder(execution) {
+        const entry = this.inflightOrders[execution.order?.clientOrderId];
+        if (!entry) return;
+        const execType = execution.executionType;
+        if (entry.kind === 'market' && (execType === 2 || execType === 'ORDER_ACCEPTED')) return;
+        this.forgetInflightOrder(entry.clientOrderId);
+    }
+
+    /**
+     * 查證在途訂單 (重連 / 重啟後)：依 clientOrderId 比對
+     * ProtoOAReconcileReq 未成交掛單、ProtoOAOrderListReq 歷史訂單與 ProtoOADealListReq 成交
+     * - 已成交：補做進場流程 (計入進場次數、設定 SL/TP、OCO)
+     * - 掛單中：納入 restingOrders
+     * - 市價單已接受未成交：保留登記至成交 / 被拒，並以登記的 SL/TP 設定 pendingSlTp 供成交事件使用
+     * - 被拒 / 已撤銷：移除登記，市價單恢復盯盤，由策略依現價重新判斷是否進場
+     * - 查無訂單：伺服器可能尚未處理或紀錄延遲，保留登記並於寬限期後再查；
+     *   送出超過 INFLIGHT_NOT_FOUND_GRACE_MS 且第二次查證仍查無才視為未送達，比照未成交處理
+     * 查詢失敗時保留登記，下次重連再查證
+     */
+    async resolveInflightOrders() {
+        const entries = Object.values(this.inflightOrders);
+        if (entries.length === 0 || this.resolvingInflight) return;
+        this.resolvingInflight = true;
+
+        try {
+            const from = Math.min(...entries.map(e => e.sentAt)) - INFLIGHT_LOOKBACK_MS;
+            const to = Date.now();
+            const reconcile = await this.fetchReconcile();
+            const orders = [...(reconcile.order || []), ...await this.fetchOrderList(from, to)];
+            let deals = null;
+            const recheck = []; // 暫時查無 / 已接受未成交，稍後再查證
+
+            for (const entry of entries) {
+                const order = orders.find(o => o.clientOrderId === entry.clientOrderId);
+                const status = order ? order.orderStatus : null;
+                let outcome;
+
+                if (!order && !(entry.notFoundAt && to >= entry.sentAt + INFLIGHT_NOT_FOUND_GRACE_MS)) {
+                    entry.notFoundAt = entry.notFoundAt || to;
+                    recheck.push(entry);
+                    console.log(`⏳ [${this.tag}] 在途訂單 ${entry.clientOrderId} (${entry.kind} ${entry.side}) 暫時查無訂單，稍後再查證`);
+                    continue;
+                }
+
+                if (status === ORDER_STATUS.FILLED || status === 'ORDER_STATUS_FILLED') {
+                    deals = deals || await this.fetchDealList(from, to);
+                    const orderId = convertLongValue(order.orderId);
+                    const deal = deals.find(d => convertLongValue(d.orderId) === orderId && !d.closePositionDetail);
+                    const positionId = convertLongValue(deal ? deal.positionId : order.positionId);
+                    await this.recoverInflightFill(entry, positionId, reconcile.position || []);
+                    outcome = `已成交 (持倉 ${positionId})`;
+                } else if ((status === ORDER_STATUS.ACCEPTED || status === 'ORDER_STATUS_ACCEPTED') && entry.kind === 'market') {
+                    // 成交事件稍後送達時設定 SL/TP；漏接時由下次查證的 FILLED 流程補設
+                    if (entry.stopLoss !== undefined) {
+                        this.pendingSlTp = { type: entry.side, stopLoss: entry.stopLoss, takeProfit: entry.takeProfit };
+                    }
+                    recheck.push(entry);
+                    console.log(`⏳ [${this.tag}] 在途訂單 ${entry.clientOrderId} (${entry.kind} ${entry.side}) 已接受尚未成交，稍後再查證`);
+                    continue;
+                } else if (status === ORDER_STATUS.ACCEPTED || status === 'ORDER_STATUS_ACCEPTED') {
+                    if (entry.kind === 'resting') {
+                        this.restingOrders[entry.side] = { orderId: convertLongValue(order.orderId), price: entry.price };
+                    }
+                    outcome = '已掛單';
+                } else {
+                    if (entry.kind === 'market' && entry.date === getTaipeiDateString() && !this.todayTradeDone && !this.tradingPaused) {
+                        this.isWatching = true;
+                    }
+                    outcome = order ? `未成交 (狀態 ${status})` : '查無訂單 (未送達)';
+                }
+
+                delete this.inflightOrders[entry.clientOrderId];
+                console.log(`🔎 [${this.tag}] 在途訂單 ${entry.clientOrderId} (${entry.kind} ${entry.side}) 查證結果: ${outcome}`);
+                logAudit('RESOLVE_INFLIGHT_ORDER', {
+                    accountId: this.accountId,
+                    symbol: this.symbol,
+                    clientOrderId: entry.clientOrderId,
+                    kind: entry.kind,
+                    side: entry.side,
+                    sentAt: new Date(entry.sentAt),
+                    outcome
+                });
+            }
+            await this.saveState();
+
+            if (recheck.length > 0) {
+                const due = Math.min(...recheck.map(e => e.sentAt + INFLIGHT_NOT_FOUND_GRACE_MS)) - Date.now();
+                this.scheduleInflightRecheck(Math.max(due, INFLIGHT_RECHECK_MS));
+            }
+        } catch (error) {
+            console.error(`❌ [${this.tag}] 在途訂單查證失敗:`, error.message);
+        } finally {
+            this.resolvingInflight = false;
+        }
+    }
+
+    /** 排程再次查證在途訂單 (斷線時由重連後的 Account Auth 流程查證) */
+    scheduleInflightRecheck(delay) {
+        if (this.inflightRecheckTimer) return;
+        this.inflightRecheckTimer = setTimeout(() => {
+            this.inflightRecheckTimer = null;
+            if (this.resolvingInflight) return this.scheduleInflightRecheck(INFLIGHT_RECHECK_MS);
+            if (this.connection.connected) this.resolveInflightOrders();
+        }, delay);
+    }
+
+    /** 斷線期間成交的進場單：補計進場次數，持倉仍在且未設止損時設定 SL/TP，掛單則撤銷另一側 (OCO) */
+    async recoverInflightFill(entry, positionId, positions) {
+        this.recordEntryFill();
+        this.isWatching = false;
+
+        const position = positions.find(p => convertLongValue(p.positionId) === positionId);
+        if (position && !position.stopLoss) {
+            const targets = entry.stopLoss !== undefined
+                ? { stopLoss: entry.stopLoss, takeProfit: entry.takeProfit }
+                : this.strategy.getTargets(entry.side, this.getStrategyContext());
+            await this.setPositionSlTp(positionId, targets.stopLoss, targets.takeProfit);
+        }
+        this.pendingSlTp = null;
+
+        if (entry.kind === 'resting') {
+            delete this.restingOrders[entry.side];
+            await this.cancelRestingOrders('OCO');
+        }
+        await this.reconcilePositions();
+    }
+
+    /**
+     * 當日實際使用的 entryOffset / TP / SL (點數)
+     * 波動度模式啟用且已取得波動度時，倍數 > 0 的欄位改為 波動度 × 倍數
+     */
+    getEffectiveTargets() {
+        const value = this.volatilityMode !== 'off' ? this.volatility?.value : null;
+        return Object.fromEntries(Object.entries(VOLATILITY_TARGET_FIELDS).map(([field, multField]) => [
+            field,
+            value && this[multField] > 0 ? Number((value * this[multField]).toFixed(2)) : this[field]
+        ]));
+    }
+
+    /**
+     * 計算當日波動度 (隨基準點一起取得，每個交易日一次，resetDaily 時清除)
+     * @param {boolean} force - 設定變更時強制重新計算
+     */
+    async refreshVolatility(force = false) {
+        if (this.volatilityMode === 'off') return;
+        if (!force && this.volatility) return;
+
+        try {
+            const result = await this.fetchVolatility(this.volatilityMode, this.volatilityPeriod);
+            this.volatility = { date: getTaipeiDateString(), mode: this.volatilityMode, period: this.volatilityPeriod, ...result };
+
+            const effective = this.getEffectiveTargets();
+            console.log(`📏 [${this.tag}] ${this.volatilityMode.toUpperCase()}(${this.volatilityPeriod}) = ${result.value.toFixed(2)} 點 | Offset: ${effective.entryOffset} | TP: ${effective.longTP}/${effective.shortTP} | SL: ${effective.longSL}/${effective.shortSL}`);
+            logAudit('VOLATILITY', { accountId: this.accountId, symbol: this.symbol, ...this.volatility, effective });
+            // 基準點已取得時更新當日紀錄的實際參數
+            if (this.todayOpenPrice) this.recordBaseline(this.todayOpenPrice);
+            await this.saveState();
+        } catch (error) {
+            console.warn(`⚠️ [${this.tag}] 無法計算波動度 (${error.message})，沿用固定點數`);
+        }
+    }
+
+    /**
+     * 以日線 (ProtoOAGetTrendbarsReq D1) 計算近 N 個已收盤交易日的波動度 (真實價格點數)
+     * atr:   平均真實區間 (含與前日收盤的跳空)
+     * range: 平均高低差
+     */
+    async fetchVolatility(mode, period) {
+        const symbolData = await this.getSymbolInfo(this.symbol);
+        if (!symbolData) throw new MarketDataError('無法取得 Symbol 資訊');
+
+        const ProtoOATrendbarPeriod = this.connection.proto.lookupEnum('ProtoOATrendbarPeriod');
+        const now = Date.now();
+        const payload = await this.connection.request('ProtoOAGetTrendbarsReq', {
+            ctidTraderAccountId: this.accountId,
+            period: ProtoOATrendbarPeriod.values.D1,
+            symbolId: symbolData.symbolId,
+            fromTimestamp: now - (period * 2 + 10) * 86400000, // 涵蓋週末與假日
+            toTimestamp: now
+        });
+
+        // 排除尚未收盤的當日 K 線
+        const bars = (payload.trendbar || [])
+            .map(bar => {
+                const low = convertLongValue(bar.low);
+                return {
+                    time: bar.utcTimestampInMinutes * 60000,
+                    high: rawToRealPrice(low + convertLongValue(bar.deltaHigh)),
+                    low: rawToRealPrice(low),
+                    close: rawToRealPrice(low + convertLongValue(bar.deltaClose))
+                };
+            })
+            .filter(bar => bar.time + 86400000 <= now)
+            .sort((a, b) => a.time - b.time);
+
+        const needed = mode === 'atr' ? period + 1 : period;
+        if (bars.length < needed) throw new MarketDataError(`日線資料不足 (${bars.length}/${needed})`);
+
+        const recent = bars.slice(-needed);
+        const ranges = mode === 'atr'
+            ? recent.slice(1).map((bar, i) => Math.max(bar.high - bar.low, Math.abs(bar.high - recent[i].close), Math.abs(bar.low - recent[i].close)))
+            : recent.map(bar => bar.high - bar.low);
+
+        return { value: ranges.reduce((sum, r) => sum + r, 0) / ranges.length, bars: ranges.length };
+    }
+
     /**
      * 設定今日基準點
      */
     setTodayOpenPrice(price) {
+        const changed = this.todayOpenPrice !== null && this.todayOpenPrice !== price;
         this.todayOpenPrice = price;
         console.log(`📊 今日基準點: ${price}`);
+        this.recordBaseline(price);
+        if (changed) this.amendRestingOrders();
+    }
+
+    /**
+     * 記錄當日基準點的計算方式與數值，連同當日實際使用的 entryOffset / TP / SL (getEffectiveTargets)
+     * 每個交易日一筆，數值、方式或實際參數變更時更新並寫入審計日誌
+     */
+    recordBaseline(price) {
+        const date = getTaipeiDateString(new Date(this.getSessionOpenUtc()));
+        const record = {
+            date,
+            method: this.baselineMethod,
+            price: rawToRealPrice(price),
+            offsetMinutes: ['bar-open', 'bar-close'].includes(this.baselineMethod) ? this.baselineOffsetMinutes : null,
+            rangeMinutes: ['range-mid', 'vwap'].includes(this.baselineMethod) ? this.baselineRangeMinutes : null,
+            volatility: this.volatilityMode !== 'off' ? this.volatility?.value ?? null : null,
+            effective: this.getEffectiveTargets(),
+            time: new Date()
+        };
+        if (this.baseline && this.baseline.date === date && this.baseline.method === record.method && this.baseline.price === record.price &&
+            JSON.stringify(this.baseline.effective) === JSON.stringify(record.effective)) return;
+
+        this.baseline = record;
+        this.baselineHistory = [record, ...this.baselineHistory.filter(b => b.date !== date)].slice(0, BASELINE_HISTORY_MAX);
+        logAudit('BASELINE', { accountId: this.accountId, symbol: this.symbol, ...record });
+        this.saveState();
+    }
+
+    /** Dashboard 手動輸入基準價 (真實價格，當日有效)；基準點方式為 manual 時立即套用 */
+    setManualBaseline(price) {
+        const value = parseFloat(price);
+        if (!(value > 0)) throw new ConfigError('手動基準價無效', { price });
+
+        this.manualBaseline = value;
+        console.log(`✍️ [${this.tag}] 手動基準價: ${value}`);
+        if (this.baselineMethod === 'manual') {
+            this.setTodayOpenPrice(Math.round(realToRawPrice(value)));
+        } else {
+            this.saveState();
+        }
     }
 
     /**
@@ -791,7 +2308,7 @@ class ExecutionEngine extends EventEmitter {
 
         // 如果不是強制重置，先檢查資料庫是否已經在今天重置過
         if (!force) {
-            const state = await this.db.loadState();
+            const state = await this.db.loadState(this.stateId);
             if (state && state.lastResetDate === todayStr) {
                 console.log(`ℹ️ 今日 (${todayStr}) 已執行過重置，跳過。`);
                 // 即使跳過重置，也要確保記憶體中的日期同步，以免 trading-bot 重複呼叫
@@ -800,18 +2317,30 @@ class ExecutionEngine extends EventEmitter {
         }
 
         this.todayTradeDone = false;
+        this.todayTradeCount = 0;
+        this.lastCloseTime = null;
+        this.awaitingBandReturn = false;
         this.todayOpenPrice = null;
+        this.manualBaseline = null; // 手動基準價只在當日有效
+        this.volatility = null; // 隨新交易日的基準點重新計算
         this.isWatching = false;
         this.isPlacingOrder = false;
         this.orderFailureCount = 0;
         this.closedPositionIds.clear(); // 清空去重記錄
-        this.tradingPaused = false; // Reset tradingPaused
+        this.processedDealIds.clear();
+        this.todayRealizedPnL = 0;
+        this.dailyLossAck = null;
+        this.tradingPaused = !!this.lockout; // 熔斷鎖定不隨每日重置解除
+        await this.cancelRestingOrders('每日重置');
 
         // 記錄重置日期
         this.lastResetDate = todayStr;
 
+        this.applySchedule();
+        this.runStrategyHook('onSessionStart', this.getStrategyContext());
+
         await this.saveState();
-        console.log('🔄 每日狀態已重置 (並已寫入資料庫)');
+        console.log(`🔄 [${this.tag}] 每日狀態已重置 (並已寫入資料庫)`);
     }
 
     /**
@@ -824,6 +2353,24 @@ class ExecutionEngine extends EventEmitter {
                 losses: this.losses,
                 trades: this.trades,
                 todayTradeDone: this.todayTradeDone,
+                todayTradeCount: this.todayTradeCount,
+                lastCloseTime: this.lastCloseTime,
+                awaitingBandReturn: this.awaitingBandReturn,
+                partialCloses: this.partialCloses,
+                entryFills: this.entryFills,
+                manualBaseline: this.manualBaseline,
+                baseline: this.baseline,
+                baselineHistory: this.baselineHistory,
+                volatility: this.volatility,
+                todayRealizedPnL: this.todayRealizedPnL,
+                consecutiveLosses: this.consecutiveLosses,
+                peakEquity: this.peakEquity,
+                dailyLossAck: this.dailyLossAck,
+                lockout: this.lockout,
+                activeProfile: this.activeProfile,
+                scheduleEntry: this.scheduleEntry,
+                scheduleBase: this.scheduleBase,
+                inflightOrders: this.inflightOrders,
                 lastResetDate: this.lastResetDate,
                 config: {
                     entryOffset: this.entryOffset,
@@ -832,123 +2379,121 @@ class ExecutionEngine extends EventEmitter {
                     longSL: this.longSL,
                     shortSL: this.shortSL,
                     lotSize: this.lotSize,
+                    sizingMode: this.sizingMode,
+                    riskPercent: this.riskPercent,
+                    riskAmount: this.riskAmount,
+                    maxLotSize: this.maxLotSize,
                     minsAfterOpen: this.minsAfterOpen,
-                    baselineOffsetMinutes: this.baselineOffsetMinutes
+                    baselineOffsetMinutes: this.baselineOffsetMinutes,
+                    baselineMethod: this.baselineMethod,
+                    baselineRangeMinutes: this.baselineRangeMinutes,
+                    ...Object.fromEntries(VOLATILITY_FIELDS.map(f => [f, this[f]])),
+                    entryOrderType: this.entryOrderType,
+                    ...this.getPositionManagementConfig(),
+                    ...Object.fromEntries(CIRCUIT_BREAKER_FIELDS.map(f => [f, this[f]])),
+                    ...Object.fromEntries(QUOTE_FILTER_FIELDS.map(f => [f, this[f]])),
+                    ...Object.fromEntries(TIME_EXIT_FIELDS.map(f => [f, this[f]])),
+                    maxTradesPerDay: this.maxTradesPerDay,
+                    reentryCooldownMinutes: this.reentryCooldownMinutes,
+                    reentryRequiresBandReturn: this.reentryRequiresBandReturn,
+                    strategy: this.strategy.id,
+                    strategyParams: {
+                        ...this.strategyParams,
+                        [this.strategy.id]: { ...this.strategy.params }
+                    }
                 },
                 lastUpdate: new Date()
             };
 
-            await this.db.saveState(state);
+            await this.db.saveState(state, this.stateId);
         } catch (error) {
             console.error('❌ 儲存狀態失敗:', error);
         }
     }
+    /**
+     * 依 baselineMethod 取得今日基準價 (Raw Price)，所需 K 線尚未收盤或取得失敗時回傳 null
+     */
     async fetchDailyOpenPrice() {
+        const method = this.baselineMethod;
         const offsetMinutes = this.baselineOffsetMinutes || 0;
-        console.log(`🔄 正在從 cTrader 獲取今日基準價 (M1 at Open Time + ${offsetMinutes} 分鐘)...`);
+        const label = BASELINE_LABELS[method];
+
+        if (method === 'manual') {
+            if (this.manualBaseline === null) {
+                console.warn(`⚠️ [${this.tag}] 基準點為手動輸入，尚未設定今日基準價`);
+                return null;
+            }
+            return Math.round(realToRawPrice(this.manualBaseline));
+        }
+
+        console.log(`🔄 正在從 cTrader 獲取今日基準價 (${label})...`);
         try {
-            const ProtoOAGetTrendbarsReq = this.connection.proto.lookupType('ProtoOAGetTrendbarsReq');
             const ProtoOATrendbarPeriod = this.connection.proto.lookupEnum('ProtoOATrendbarPeriod');
 
-            const symbolData = await this.getSymbolInfo(this.config.market.symbol);
+            const symbolData = await this.getSymbolInfo(this.symbol);
             if (!symbolData) throw new Error('Symbol info not found');
 
-            // 計算今天的開盤時間
             const now = new Date();
-            const isDst = isUsDst(now);
-            const marketConfig = isDst ? this.config.market.summer : this.config.market.winter;
-
-            // 修正：使用台北時區 (UTC+8) 計算開盤時間
-            // 避免伺服器時區不同導致計算錯誤
-            const TAIPEI_OFFSET = 8 * 60 * 60 * 1000; // UTC+8 in milliseconds
-
-            // 取得當前 UTC 時間
-            const nowUtc = now.getTime() + now.getTimezoneOffset() * 60 * 1000;
-            // 轉換為台北時間
-            const nowTaipei = new Date(nowUtc + TAIPEI_OFFSET);
-
-            // 計算今日開盤時間（台北時間）
-            const openTimeTaipei = new Date(nowTaipei);
-            openTimeTaipei.setHours(marketConfig.openHour, marketConfig.openMinute, 0, 0);
-
-            // 如果當前台北時間還沒到開盤，退回一天
-            if (nowTaipei < openTimeTaipei) {
-                console.warn('⚠️ 當前時間早於今日開盤時間，嘗試獲取昨日基準點...');
-                openTimeTaipei.setDate(openTimeTaipei.getDate() - 1);
-            }
-
-            // 將台北時間轉回 UTC timestamp (供 API 使用)
-            const openTimeUtc = openTimeTaipei.getTime() - TAIPEI_OFFSET - openTimeTaipei.getTimezoneOffset() * 60 * 1000;
+            const openTimeUtc = this.getSessionOpenUtc(now);
+            const baselineOptions = { openUtc: openTimeUtc, offsetMinutes, rangeMinutes: this.baselineRangeMinutes, now: now.getTime() };
+            const readyTimeUtc = getBaselineReadyTime(method, baselineOptions);
 
-            // 加上基準點偏移
-            const baselineTimeUtc = openTimeUtc + (offsetMinutes * 60000);
-            const baselineTimeTaipei = new Date(baselineTimeUtc);
-
-            console.log(`📅 鎖定基準時間: ${baselineTimeTaipei.toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })} (台北時間, 偏移 ${offsetMinutes} 分鐘)`);
+            console.log(`📅 鎖定基準時間: ${new Date(readyTimeUtc).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })} (台北時間, ${label})`);
+            if (now.getTime() < readyTimeUtc) {
+                console.warn('⚠️ 尚未到達基準時間，等待下次輪詢...');
+                return null;
+            }
 
-            // 請求該分鐘的 M1 K 線
-            // 請求前後 5 分鐘的 K 線，確保能包含到目標時間
-            // 有時候 API 邊界處理可能會漏掉剛好在起始點的資料
-            const fromTimestamp = baselineTimeUtc - 60000; // 提早 1 分鐘
-            const toTimestamp = baselineTimeUtc + 300000;  // 往後 5 分鐘
+            // 請求所需區間的 M1 K 線：前後多取幾分鐘，避免 API 邊界漏掉剛好在起始點的資料
+            // prev-close 往前取 4 天以涵蓋週末與假日
+            const fromTimestamp = method === 'prev-close'
+                ? openTimeUtc - 4 * 86400000
+                : openTimeUtc - 60000;
+            const toTimestamp = Math.min(Math.max(readyTimeUtc, openTimeUtc + offsetMinutes * 60000) + 300000, now.getTime());
 
-            const request = ProtoOAGetTrendbarsReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
+            const payload = await this.connection.request('ProtoOAGetTrendbarsReq', {
+                ctidTraderAccountId: this.accountId,
                 period: ProtoOATrendbarPeriod.values.M1,
                 symbolId: symbolData.symbolId,
                 fromTimestamp: fromTimestamp,
-                toTimestamp: toTimestamp,
-                count: 10
+                toTimestamp: toTimestamp
             });
 
-            const response = await this.connection.send('ProtoOAGetTrendbarsReq', request);
-            const ProtoOAGetTrendbarsRes = this.connection.proto.lookupType('ProtoOAGetTrendbarsRes');
-            const payload = ProtoOAGetTrendbarsRes.decode(response.payload);
-
-            if (payload.trendbar && payload.trendbar.length > 0) {
-                // 尋找時間戳記剛好等於 baselineTimeUtc 的 K 線
-                // cTrader Trendbar timestamp 是 UTC 分鐘數 (沒有毫秒)
-                // 我們可以直接比對 utcTimestampInMinutes
-                const targetMinute = Math.floor(baselineTimeUtc / 60000);
-
-                const targetBar = payload.trendbar.find(bar => bar.utcTimestampInMinutes === targetMinute);
-
-                if (targetBar) {
-                    const low = typeof targetBar.low === 'number' ? targetBar.low : targetBar.low.toNumber();
-                    const deltaOpen = typeof targetBar.deltaOpen === 'number' ? targetBar.deltaOpen : (targetBar.deltaOpen ? targetBar.deltaOpen.toNumber() : 0);
-                    const openPrice = low + deltaOpen;
-
-                    // Debug: 顯示這根 K 線的實際時間
-                    const barTimeUtc = targetBar.utcTimestampInMinutes * 60000;
-                    const barTimeTaipei = new Date(barTimeUtc).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
-                    console.log(`🔍 [Debug] K線時間: ${barTimeTaipei} (UTC: ${new Date(barTimeUtc).toISOString()})`);
-
-                    console.log(`✅ 取得 cTrader 精確基準價 (${baselineTimeTaipei.toLocaleTimeString('zh-TW', { timeZone: 'Asia/Taipei' })}): ${openPrice} (Raw Points)`);
-                    return openPrice;
-                } else {
-                    console.warn(`⚠️ 找到 K 線資料，但沒有目標時間的資料 (最近: ${new Date(payload.trendbar[0].utcTimestampInMinutes * 60000).toISOString()})`);
-
-                    // 如果真的沒有 07:00，是否要用最接近的一根？
-                    // 目前先回傳 null 讓它重試
-                    return null;
-                }
-            } else {
+            if (!payload.trendbar || payload.trendbar.length === 0) {
                 console.warn('⚠️ 該時間範圍內無 K 線資料');
                 return null;
             }
+
+            const bars = payload.trendbar.map(trendbarToBar).sort((a, b) => a.time - b.time);
+            const price = computeBaseline(method, bars, baselineOptions);
+            if (price === null) {
+                // 目標 K 線尚未形成 (或休市缺漏)，回傳 null 讓它重試
+                console.warn(`⚠️ 找到 K 線資料，但無法計算基準價 (${label}，最近: ${new Date(bars[bars.length - 1].time).toISOString()})`);
+                return null;
+            }
+
+            console.log(`✅ 取得 cTrader 基準價 (${label}): ${price} (Raw Points)`);
+            return price;
         } catch (error) {
             console.error('❌ 取得基準價失敗:', error.message);
             return null;
         }
     }
 
+    /** 目前交易時段的開盤時間 (UTC ms)：台北時間尚未到今日開盤時為前一日開盤 */
+    getSessionOpenUtc(now = new Date()) {
+        const openTimeUtc = getMarketOpenUtc(getTaipeiDateString(now), this.config.market);
+        if (now.getTime() >= openTimeUtc) return openTimeUtc;
+        return getMarketOpenUtc(getTaipeiDateString(new Date(now.getTime() - 86400000)), this.config.market);
+    }
+
     /**
      * 檢查市場是否開放交易
      * @returns {object} { isOpen: boolean, reason: string }
      */
     async checkMarketStatus() {
         try {
-            const symbolData = await this.getSymbolInfo(this.config.market.symbol);
+            const symbolData = await this.getSymbolInfo(this.symbol);
             if (!symbolData) {
                 return { isOpen: false, reason: 'Symbol 資訊不可用' };
             }
@@ -983,9 +2528,10 @@ class ExecutionEngine extends EventEmitter {
             return { isHoliday: false };
         }
 
-        // 計算當前日期 (距離 1970/1/1 的天數)
+        // 計算 Symbol 時區的當前日期 (距離 1970/1/1 的天數)
         const msPerDay = 86400000;
-        const todayDays = Math.floor(now.getTime() / msPerDay);
+        const zoned = getZonedTime(now, timezone);
+        const todayDays = Math.floor(Date.UTC(zoned.getFullYear(), zoned.getMonth(), zoned.getDate()) / msPerDay);
 
         for (const holiday of holidays) {
             // holidayDate 是距離 1970/1/1 的天數
@@ -997,7 +2543,7 @@ class ExecutionEngine extends EventEmitter {
             if (holidayDays === todayDays) {
                 // 如果有指定時間範圍，檢查當前時間是否在範圍內
                 if (holiday.startSecond !== undefined && holiday.endSecond !== undefined) {
-                    const secondsFromMidnight = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+                    const secondsFromMidnight = zoned.getHours() * 3600 + zoned.getMinutes() * 60 + zoned.getSeconds();
                     if (secondsFromMidnight >= holiday.startSecond && secondsFromMidnight < holiday.endSecond) {
                         return { isHoliday: true, holidayName: holiday.name };
                     }
@@ -1010,7 +2556,7 @@ class ExecutionEngine extends EventEmitter {
             // 檢查年度重複假日
             if (holiday.isRecurring) {
                 const holidayDate = new Date(holidayDays * msPerDay);
-                if (now.getMonth() === holidayDate.getMonth() && now.getDate() === holidayDate.getDate()) {
+                if (zoned.getMonth() === holidayDate.getUTCMonth() && zoned.getDate() === holidayDate.getUTCDate()) {
                     return { isHoliday: true, holidayName: holiday.name };
                 }
             }
@@ -1028,22 +2574,9 @@ class ExecutionEngine extends EventEmitter {
             return { isWithinSchedule: true };
         }
 
-        // 計算從本週日 00:00 開始的秒數
-        const dayOfWeek = now.getDay(); // 0 = Sunday
-        const secondsFromSunday =
-            dayOfWeek * 86400 +
-            now.getHours() * 3600 +
-            now.getMinutes() * 60 +
-            now.getSeconds();
-
-        for (const interval of schedule) {
-            const start = typeof interval.startSecond === 'number'
-                ? interval.startSecond
-                : (interval.startSecond.toNumber ? interval.startSecond.toNumber() : Number(interval.startSecond));
-            const end = typeof interval.endSecond === 'number'
-                ? interval.endSecond
-                : (interval.endSecond.toNumber ? interval.endSecond.toNumber() : Number(interval.endSecond));
+        const secondsFromSunday = this.getSecondsFromSunday(timezone, now);
 
+        for (const { start, end } of this.getScheduleIntervals(schedule)) {
             if (secondsFromSunday >= start && secondsFromSunday < end) {
                 return { isWithinSchedule: true };
             }
@@ -1052,6 +2585,99 @@ class ExecutionEngine extends EventEmitter {
         return { isWithinSchedule: false };
     }
 
+    /** Symbol 時區 (scheduleTimeZone) 從本週日 00:00 開始的秒數 */
+    getSecondsFromSunday(timezone, now) {
+        const zoned = getZonedTime(now, timezone);
+        const dayOfWeek = zoned.getDay(); // 0 = Sunday
+        return dayOfWeek * 86400 +
+            zoned.getHours() * 3600 +
+            zoned.getMinutes() * 60 +
+            zoned.getSeconds();
+    }
+
+    /** 交易時段區間 (秒，從週日 00:00 起算；startSecond / endSecond 可能是 Long 物件) */
+    getScheduleIntervals(schedule) {
+        return (schedule || []).map(interval => ({
+            start: convertLongValue(interval.startSecond),
+            end: convertLongValue(interval.endSecond)
+        }));
+    }
+
+    /**
+     * 當前交易時段的收盤資訊 (相連的區間視為同一時段)
+     * @returns {object|null} { closeTime, minutesToClose, isWeekendClose }，無時段資訊或休市中為 null
+     */
+    getSessionClose(symbolData, now = new Date()) {
+        const intervals = this.getScheduleIntervals(symbolData?.schedule);
+        if (intervals.length === 0) return null;
+
+        const seconds = this.getSecondsFromSunday(symbolData.scheduleTimeZone, now);
+        const current = intervals.find(i => seconds >= i.start && seconds < i.end);
+        if (!current) return null;
+
+        let end = current.end;
+        for (let i = 0; i < intervals.length; i++) {
+            const next = intervals.find(n => n.start === end % WEEK_SECONDS && n.end > n.start);
+            if (!next || next === current) break;
+            end += next.end - next.start;
+        }
+
+        // 收盤到下一個時段開盤的休市長度 (跨週時繞回週日)
+        const gaps = intervals.map(i => ((i.start - end) % WEEK_SECONDS + WEEK_SECONDS) % WEEK_SECONDS).filter(g => g > 0);
+        const gap = gaps.length > 0 ? Math.min(...gaps) : WEEK_SECONDS;
+
+        return {
+            closeTime: new Date(now.getTime() + (end - seconds) * 1000),
+            minutesToClose: (end - seconds) / 60,
+            isWeekendClose: gap >= WEEKEND_GAP_SECONDS
+        };
+    }
+
+    /**
+     * 時間出場 (trading-bot 每分鐘呼叫)：持倉時間上限 / 固定時間 / 交易時段或週末收盤前
+     * 不受暫停狀態影響，平倉原因寫入交易紀錄與審計日誌
+     */
+    async checkTimeExits(now = new Date()) {
+        const needsSchedule = this.sessionCloseExit !== 'off' || (this.exitTime && this.exitTimeZone === 'exchange');
+        const symbolData = needsSchedule ? await this.getSymbolInfo(this.symbol) : null;
+
+        let sessionClosing = null;
+        if (this.sessionCloseExit !== 'off') {
+            const close = this.getSessionClose(symbolData, now);
+            if (close && close.minutesToClose <= this.sessionCloseBufferMinutes && (this.sessionCloseExit === 'session' || close.isWeekendClose)) {
+                sessionClosing = close.isWeekendClose ? 'weekend-close' : 'session-close';
+            }
+        }
+        if (sessionClosing !== this.sessionClosing) {
+            if (sessionClosing) console.log(`⏱️ [${this.tag}] ${TIME_EXIT_LABELS[sessionClosing]} ${this.sessionCloseBufferMinutes} 分鐘，停止進場並平倉`);
+            this.sessionClosing = sessionClosing;
+        }
+        if (this.positions.length === 0) return;
+
+        const exitTimeZone = this.exitTimeZone === 'exchange' ? (symbolData?.scheduleTimeZone || 'UTC') : this.exitTimeZone;
+        const exitTimeReached = this.isPastSessionTime(this.exitTime, now, exitTimeZone);
+
+        for (const position of [...this.positions]) {
+            if (this.closeReasons[position.id]) continue; // 平倉進行中
+
+            const heldMinutes = (now.getTime() - position.openTime.getTime()) / 60000;
+            let reason = sessionClosing;
+            if (!reason && exitTimeReached) reason = 'exit-time';
+            if (!reason && this.maxHoldMinutes > 0 && heldMinutes >= this.maxHoldMinutes) reason = 'max-hold';
+            if (!reason) continue;
+
+            console.log(`⏱️ [${this.tag}] 時間出場 (${TIME_EXIT_LABELS[reason]})，平倉 ID: ${position.id}，已持倉 ${Math.floor(heldMinutes)} 分鐘`);
+            logAudit('TIME_EXIT', {
+                accountId: this.accountId,
+                symbol: this.symbol,
+                positionId: position.id,
+                reason,
+                heldMinutes: Math.floor(heldMinutes)
+            });
+            await this.closePosition(position.id, null, reason);
+        }
+    }
+
     /**
      * 取得並設定基準價（每 30 秒輪詢一次）
      * 使用 cTrader API 獲取基準價
@@ -1082,13 +2708,13 @@ class ExecutionEngine extends EventEmitter {
             // 使用 cTrader API 取得基準價
             const price = await this.fetchDailyOpenPrice();
             if (price !== null) {
+                await this.refreshVolatility();
                 this.setTodayOpenPrice(price);
                 return true;
             }
 
             // 取得失敗（可能是 K 線還沒形成）
-            const offsetMinutes = this.baselineOffsetMinutes || 0;
-            console.warn(`⚠️ 尚未取得有效基準價 (開盤+${offsetMinutes}分鐘)，等待下次輪詢...`);
+            console.warn(`⚠️ 尚未取得有效基準價 (${BASELINE_LABELS[this.baselineMethod]})，等待下次輪詢...`);
             return false;
         } finally {
             this.isFetchingOpenPrice = false;
@@ -1113,8 +2739,9 @@ class ExecutionEngine extends EventEmitter {
         const currentMinute = taipeiTime.getMinutes();
         const currentTotalMinutes = currentHour * 60 + currentMinute;
 
-        // 計算基準點時間 (開盤時間 + 偏移)
-        const baselineTotalMinutes = marketConfig.openHour * 60 + marketConfig.openMinute + offsetMinutes;
+        // 計算基準點時間 (開盤時間 + 基準點所需 K 線收盤的分鐘數)
+        const readyMinutes = getBaselineReadyTime(this.baselineMethod, { openUtc: 0, offsetMinutes, rangeMinutes: this.baselineRangeMinutes }) / 60000;
+        const baselineTotalMinutes = marketConfig.openHour * 60 + marketConfig.openMinute + readyMinutes;
 
         // 判斷當前時間是否在基準點時間的 2 分鐘內
         // 這樣可以確保在基準點時間前後都能觸發清空
@@ -1162,10 +2789,14 @@ class ExecutionEngine extends EventEmitter {
      */
     async startWatching() {
         if (this.isWatching || this.todayTradeDone) return;
+        if (this.scheduleEntry?.action === 'no-trade') {
+            console.log(`📆 [${this.tag}] 排程今日不交易 (${this.scheduleEntry.label})，跳過盯盤`);
+            return;
+        }
 
         // 開始盯盤
         this.isWatching = true;
-        console.log('👀 開始盯盤');
+        console.log(`👀 [${this.tag}] 開始盯盤`);
     }
 
 
@@ -1173,8 +2804,23 @@ class ExecutionEngine extends EventEmitter {
      * 取得當前狀態
      */
     getStatus() {
+        const symbolInfo = this.symbolInfoCache[this.symbol];
+
         return {
+            symbol: this.symbol,
+            accountId: this.accountId,
+            accountLabel: this.accountLabel,
             tradingPaused: this.tradingPaused,
+            lockout: this.lockout,
+            activeProfile: this.activeProfile,
+            profileStats: this.getProfileStats(),
+            scheduleEntry: this.scheduleEntry,
+            circuitBreaker: {
+                todayRealizedPnL: this.todayRealizedPnL,
+                consecutiveLosses: this.consecutiveLosses,
+                peakEquity: this.peakEquity,
+                dailyLossAck: this.dailyLossAck
+            },
             balance: this.balance,
             wins: this.wins,
             losses: this.losses,
@@ -1183,15 +2829,41 @@ class ExecutionEngine extends EventEmitter {
                 : '--',
             currentPrice: this.currentPrice,
             openPrice: this.todayOpenPrice,
+            baseline: this.baseline,
+            manualBaseline: this.manualBaseline,
             positions: this.positions,
             isWatching: this.isWatching,
             todayTradeDone: this.todayTradeDone,
+            todayTradeCount: this.todayTradeCount,
+            positionManagement: {
+                tightenActive: this.isTightenStopTime(),
+                sessionClosing: this.sessionClosing
+            },
+            quoteQuality: {
+                spread: this.currentSpread,
+                spreadLimit: this.spreadPercentile > 0 ? this.getSpreadPercentile(this.spreadPercentile) : null,
+                spreadBlocked: this.spreadBlocked,
+                slippage: this.getSlippageStats()
+            },
+            restingOrders: Object.entries(this.restingOrders).map(([side, o]) => ({ side, ...o })),
+            inflightOrders: Object.values(this.inflightOrders),
+            reentry: {
+                cooldownUntil: this.lastCloseTime && this.todayTradeCount > 0
+                    ? new Date(this.lastCloseTime.getTime() + this.reentryCooldownMinutes * 60000)
+                    : null,
+                awaitingBandReturn: this.awaitingBandReturn
+            },
             trades: this.trades,
-            symbolInfo: this.symbolInfoCache[this.config.market.symbol] ? {
-                name: this.symbolInfoCache[this.config.market.symbol].symbolName,
-                holidays: this.symbolInfoCache[this.config.market.symbol].holidays?.length || 0,
-                schedules: this.symbolInfoCache[this.config.market.symbol].schedule?.length || 0
+            symbolInfo: symbolInfo ? {
+                name: symbolInfo.symbolName,
+                holidays: symbolInfo.holidays?.length || 0,
+                schedules: symbolInfo.schedule?.length || 0,
+                lotSize: symbolInfo.lotSize,
+                stepVolume: symbolInfo.stepVolume,
+                minVolume: symbolInfo.minVolume,
+                maxVolume: symbolInfo.maxVolume
             } : null,
+            accountCurrency: this.accountCurrency?.name || null,
             config: {
                 entryOffset: this.entryOffset,
                 longTP: this.longTP,
@@ -1199,9 +2871,29 @@ class ExecutionEngine extends EventEmitter {
                 longSL: this.longSL,
                 shortSL: this.shortSL,
                 lotSize: this.lotSize,
+                sizingMode: this.sizingMode,
+                riskPercent: this.riskPercent,
+                riskAmount: this.riskAmount,
+                maxLotSize: this.maxLotSize,
                 minsAfterOpen: this.minsAfterOpen,
-                baselineOffsetMinutes: this.baselineOffsetMinutes
-            }
+                baselineOffsetMinutes: this.baselineOffsetMinutes,
+                baselineMethod: this.baselineMethod,
+                baselineRangeMinutes: this.baselineRangeMinutes,
+                ...Object.fromEntries(VOLATILITY_FIELDS.map(f => [f, this[f]])),
+                volatility: this.volatility,
+                effective: this.getEffectiveTargets(),
+                entryOrderType: this.entryOrderType,
+                ...this.getPositionManagementConfig(),
+                ...Object.fromEntries(CIRCUIT_BREAKER_FIELDS.map(f => [f, this[f]])),
+                ...Object.fromEntries(QUOTE_FILTER_FIELDS.map(f => [f, this[f]])),
+                ...Object.fromEntries(TIME_EXIT_FIELDS.map(f => [f, this[f]])),
+                maxTradesPerDay: this.maxTradesPerDay,
+                reentryCooldownMinutes: this.reentryCooldownMinutes,
+                reentryRequiresBandReturn: this.reentryRequiresBandReturn,
+                strategy: this.strategy.id,
+                strategyParams: this.strategy.params
+            },
+            strategies: listStrategies()
         };
     }
 
@@ -1209,23 +2901,175 @@ class ExecutionEngine extends EventEmitter {
      * 更新策略參數（從 Dashboard）
      */
     updateConfig(newConfig) {
-        if (newConfig.entryOffset !== undefined) this.entryOffset = parseFloat(newConfig.entryOffset);
+        // 進場方式需為策略支援的項目 (先檢查再套用，避免部分更新)
+        const strategyId = newConfig.strategy ?? this.strategy.id;
+        const entryOrderType = ENTRY_ORDER_TYPES[newConfig.entryOrderType] ? newConfig.entryOrderType : this.entryOrderType;
+        const StrategyClass = getStrategyClass(strategyId);
+        if (!StrategyClass.entryOrderTypes.includes(entryOrderType)) {
+            throw new ConfigError(`策略 ${StrategyClass.label} 不支援 ${entryOrderType} 進場`, {
+                strategy: strategyId,
+                entryOrderType,
+                supported: StrategyClass.entryOrderTypes
+            });
+        }
+
+        if (newConfig.entryOffset !== undefined && parseFloat(newConfig.entryOffset) !== this.entryOffset) {
+            this.entryOffset = parseFloat(newConfig.entryOffset);
+            this.amendRestingOrders();
+        }
         if (newConfig.longTP !== undefined) this.longTP = parseFloat(newConfig.longTP);
         if (newConfig.shortTP !== undefined) this.shortTP = parseFloat(newConfig.shortTP);
         if (newConfig.longSL !== undefined) this.longSL = parseFloat(newConfig.longSL);
         if (newConfig.shortSL !== undefined) this.shortSL = parseFloat(newConfig.shortSL);
         if (newConfig.lotSize !== undefined) this.lotSize = parseFloat(newConfig.lotSize);
+        if (SIZING_MODES.includes(newConfig.sizingMode)) this.sizingMode = newConfig.sizingMode;
+        if (newConfig.riskPercent !== undefined) this.riskPercent = parseFloat(newConfig.riskPercent) || 0;
+        if (newConfig.riskAmount !== undefined) this.riskAmount = parseFloat(newConfig.riskAmount) || 0;
+        if (parseFloat(newConfig.maxLotSize) > 0) this.maxLotSize = parseFloat(newConfig.maxLotSize);
         if (newConfig.minsAfterOpen !== undefined) this.minsAfterOpen = parseInt(newConfig.minsAfterOpen);
         if (newConfig.baselineOffsetMinutes !== undefined) this.baselineOffsetMinutes = parseInt(newConfig.baselineOffsetMinutes);
+        if (BASELINE_METHODS.includes(newConfig.baselineMethod)) this.baselineMethod = newConfig.baselineMethod;
+        if (newConfig.baselineRangeMinutes !== undefined) this.baselineRangeMinutes = Math.max(1, parseInt(newConfig.baselineRangeMinutes) || 15);
+        const volatilityChanged = VOLATILITY_FIELDS.some(f => newConfig[f] !== undefined && String(newConfig[f]) !== String(this[f]));
+        if (volatilityChanged) {
+            if (VOLATILITY_MODES.includes(newConfig.volatilityMode)) this.volatilityMode = newConfig.volatilityMode;
+            if (newConfig.volatilityPeriod !== undefined) this.volatilityPeriod = Math.max(1, parseInt(newConfig.volatilityPeriod) || 14);
+            Object.values(VOLATILITY_TARGET_FIELDS).forEach(f => {
+                if (newConfig[f] !== undefined) this[f] = parseFloat(newConfig[f]) || 0;
+            });
+            // 模式或週期變更需重新計算，倍數變更只需重算掛單價
+            this.refreshVolatility(newConfig.volatilityMode !== undefined || newConfig.volatilityPeriod !== undefined)
+                .then(() => this.amendRestingOrders());
+        }
+        if (ENTRY_ORDER_TYPES[newConfig.entryOrderType] && newConfig.entryOrderType !== this.entryOrderType) {
+            this.cancelRestingOrders('切換進場方式');
+            this.entryOrderType = newConfig.entryOrderType;
+        }
+        for (const f of POSITION_MANAGEMENT_FIELDS) {
+            if (newConfig[f] === undefined) continue;
+            if (f === 'trailingMode') this.trailingMode = newConfig[f] === 'broker' ? 'broker' : 'engine';
+            else if (f === 'tightenStopTime') this.tightenStopTime = String(newConfig[f]).trim();
+            else this[f] = parseFloat(newConfig[f]) || 0;
+        }
+        for (const f of CIRCUIT_BREAKER_FIELDS) {
+            if (newConfig[f] === undefined) continue;
+            if (f === 'circuitBreakerFlatten') this[f] = newConfig[f] === true || newConfig[f] === 'true';
+            else this[f] = parseFloat(newConfig[f]) || 0;
+        }
+        for (const f of QUOTE_FILTER_FIELDS) {
+            if (newConfig[f] === undefined) continue;
+            this[f] = Math.max(0, parseFloat(newConfig[f]) || 0);
+        }
+        for (const f of TIME_EXIT_FIELDS) {
+            if (newConfig[f] === undefined) continue;
+            if (f === 'sessionCloseExit') { if (SESSION_CLOSE_EXITS.includes(newConfig[f])) this[f] = newConfig[f]; }
+            else if (f === 'exitTime') this.exitTime = String(newConfig[f]).trim();
+            else if (f === 'exitTimeZone') this.exitTimeZone = String(newConfig[f]).trim() || 'Asia/Taipei';
+            else this[f] = Math.max(0, parseFloat(newConfig[f]) || 0);
+        }
+        if (newConfig.maxTradesPerDay !== undefined) {
+            this.maxTradesPerDay = Math.max(1, parseInt(newConfig.maxTradesPerDay));
+            this.todayTradeDone = this.todayTradeCount >= this.maxTradesPerDay;
+        }
+        if (newConfig.reentryCooldownMinutes !== undefined) this.reentryCooldownMinutes = parseFloat(newConfig.reentryCooldownMinutes);
+        if (newConfig.reentryRequiresBandReturn !== undefined) {
+            this.reentryRequiresBandReturn = newConfig.reentryRequiresBandReturn === true || newConfig.reentryRequiresBandReturn === 'true';
+            if (!this.reentryRequiresBandReturn) this.awaitingBandReturn = false;
+        }
+        if (newConfig.strategy !== undefined && newConfig.strategy !== this.strategy.id) {
+            // 掛單價由策略決定，切換策略時撤銷舊策略的掛單
+            this.cancelRestingOrders('切換策略');
+            this.setStrategy(newConfig.strategy);
+        }
+        if (newConfig.strategyParams) this.strategy.updateParams(newConfig.strategyParams);
+
+        // 固定點數變更時同步當日基準點紀錄的實際參數 (波動度重算後由 refreshVolatility 更新)
+        if (this.todayOpenPrice) this.recordBaseline(this.todayOpenPrice);
 
-        console.log('⚙️ 策略參數已更新');
+        console.log(`⚙️ [${this.tag}] 策略參數已更新`);
         this.saveState();
     }
 
+    /** 目前參數快照 (建立 / 更新 Profile 用)，含策略與其專屬參數 */
+    getProfileConfig() {
+        return {
+            ...Object.fromEntries(PROFILE_FIELDS.map(f => [f, this[f]])),
+            strategy: this.strategy.id,
+            strategyParams: { ...this.strategy.params }
+        };
+    }
+
+    /**
+     * 套用 Profile 參數，之後開出的部位於交易紀錄標記此 Profile
+     * @param {object} profile - { id, name, config }
+     */
+    applyProfile(profile) {
+        const previousProfile = this.activeProfile;
+        this.activeProfile = { id: profile.id, name: profile.name, appliedAt: new Date() };
+        try {
+            this.updateConfig(profile.config);
+        } catch (error) {
+            this.activeProfile = previousProfile;
+            throw error;
+        }
+        console.log(`🗂️ [${this.tag}] 已套用 Profile: ${profile.name}`);
+        logAudit('APPLY_PROFILE', { accountId: this.accountId, symbol: this.symbol, profileId: profile.id, name: profile.name, config: profile.config });
+    }
+
+    /**
+     * 解析並套用今日排程 (每個台北交易日一次)：先恢復排程前的參數，再套用符合項目的 Profile / 參數
+     * @param {string} date - 台北交易日 YYYY-MM-DD
+     */
+    applySchedule(date = getTaipeiDateString()) {
+        if (this.schedule.length === 0 || this.scheduleEntry?.date === date) return this.scheduleEntry;
+
+        if (this.scheduleBase) {
+            this.activeProfile = this.scheduleBase.activeProfile;
+            this.updateConfig(this.scheduleBase.config);
+            this.scheduleBase = null;
+        }
+
+        const entry = resolveSchedule(this.schedule, date);
+        if (!entry) {
+            this.scheduleEntry = { date, index: null, label: '無符合排程', action: 'trade', profile: null, reason: '沿用目前參數' };
+        } else {
+            let action = entry.action;
+            let reason = entry.reason;
+            const profile = entry.profile ? this.profiles?.list().find(p => p.id === entry.profile || p.name === entry.profile) : null;
+            if (entry.profile && !profile) {
+                // 找不到指定的參數組合時不以錯誤的參數交易
+                console.error(`❌ [${this.tag}] 排程指定的 Profile 不存在: ${entry.profile}，今日不交易`);
+                action = 'no-trade';
+                reason = `${reason} (Profile 不存在: ${entry.profile})`;
+            } else if (action === 'trade') {
+                this.scheduleBase = { config: this.getProfileConfig(), activeProfile: this.activeProfile };
+                try {
+                    if (profile) this.applyProfile(profile);
+                    else this.activeProfile = null;
+                    if (entry.config) this.updateConfig(entry.config);
+                } catch (error) {
+                    // 參數無效 (例如策略不支援的進場方式) 時不以錯誤的參數交易
+                    console.error(`❌ [${this.tag}] 排程參數無效: ${error.message}，今日不交易`);
+                    this.activeProfile = this.scheduleBase.activeProfile;
+                    action = 'no-trade';
+                    reason = `${reason} (參數無效: ${error.message})`;
+                }
+            }
+            this.scheduleEntry = { date, index: entry.index, label: entry.label, action, profile: profile?.name ?? null, reason };
+        }
+
+        const { label, action, reason } = this.scheduleEntry;
+        console.log(`📆 [${this.tag}] ${date} 排程: ${label} (${reason})${action === 'no-trade' ? '，今日不交易' : ''}`);
+        logAudit('SCHEDULE', { accountId: this.accountId, symbol: this.symbol, ...this.scheduleEntry });
+        this.saveState();
+        return this.scheduleEntry;
+    }
+
     /**
      * 手動平倉（從 cTrader API 取得最新持倉，不使用快取）
+     * @param {string} reason - 平倉原因 (manual / circuit-breaker / news-flatten ...)
      */
-    async closeAllPositions() {
+    async closeAllPositions(reason = 'manual') {
         try {
             // 直接從 cTrader API 取得最新持倉
             const positions = await this.getOpenPositions();
@@ -1252,14 +3096,17 @@ class ExecutionEngine extends EventEmitter {
 
                     console.log(`📊 平倉 ID: ${positionId}, Volume: ${volume}`);
 
-                    const ProtoOAClosePositionReq = this.connection.proto.lookupType('ProtoOAClosePositionReq');
-                    const message = ProtoOAClosePositionReq.create({
-                        ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
-                        positionId: positionId,
-                        volume: volume
-                    });
-
-                    await this.connection.send('ProtoOAClosePositionReq', message);
+                    this.closeReasons[positionId] = reason;
+                    try {
+                        await this.connection.request('ProtoOAClosePositionReq', {
+                            ctidTraderAccountId: this.accountId,
+                            positionId: positionId,
+                            volume: volume
+                        }, 'ProtoOAExecutionEvent');
+                    } catch (error) {
+                        delete this.closeReasons[positionId];
+                        throw error;
+                    }
                     console.log(`✅ 已平倉部位 ID: ${positionId}`);
                 } catch (error) {
                     console.error(`❌ 平倉失敗:`, error.message);
@@ -1271,9 +3118,11 @@ class ExecutionEngine extends EventEmitter {
     }
 
     /**
-     * 平倉
+     * 平倉 (指定 closeVolume 時為部分平倉，單位同 cTrader volume)
+     * @param {string} reason - 全部平倉時記錄的平倉原因
+     * @returns {Promise<boolean>} 平倉請求是否已送出並收到回應
      */
-    async closePosition(positionId) {
+    async closePosition(positionId, closeVolume = null, reason = 'manual') {
         try {
             // 轉換傳入的 positionId 為數字（可能是字串）
             const targetId = typeof positionId === 'string' ? parseInt(positionId) : positionId;
@@ -1291,7 +3140,7 @@ class ExecutionEngine extends EventEmitter {
 
             if (!position) {
                 console.warn(`⚠️ 找不到持倉 ID: ${positionId}`);
-                return;
+                return false;
             }
 
             // volume 可能在 tradeData 或 position 中
@@ -1300,19 +3149,24 @@ class ExecutionEngine extends EventEmitter {
                 ? rawVolume.toNumber()
                 : rawVolume;
 
-            console.log(`📊 平倉 ID: ${positionId}, Volume: ${volume}`);
+            // 部分平倉：指定 volume (不超過持倉量)
+            const isPartial = closeVolume !== null && closeVolume < volume;
+            const targetVolume = isPartial ? closeVolume : volume;
 
-            const ProtoOAClosePositionReq = this.connection.proto.lookupType('ProtoOAClosePositionReq');
-            const message = ProtoOAClosePositionReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
-                positionId: targetId,
-                volume: volume
-            });
+            console.log(`📊 ${isPartial ? '部分' : ''}平倉 ID: ${positionId}, Volume: ${targetVolume}${isPartial ? `/${volume}` : ''}`);
 
-            await this.connection.send('ProtoOAClosePositionReq', message);
-            console.log(`✅ 已平倉部位 ID: ${positionId}`);
+            if (!isPartial) this.closeReasons[targetId] = reason;
+            await this.connection.request('ProtoOAClosePositionReq', {
+                ctidTraderAccountId: this.accountId,
+                positionId: targetId,
+                volume: targetVolume
+            }, 'ProtoOAExecutionEvent');
+            console.log(`✅ 已${isPartial ? '部分' : ''}平倉部位 ID: ${positionId}`);
+            return true;
         } catch (error) {
+            delete this.closeReasons[typeof positionId === 'string' ? parseInt(positionId) : positionId];
             console.error(`❌ 平倉失敗 (ID: ${positionId}):`, error.message);
+            return false;
         }
     }
 
@@ -1322,21 +3176,25 @@ class ExecutionEngine extends EventEmitter {
      * @param {number} stopLoss - 止損價格（真實價格）
      * @param {number} takeProfit - 止盈價格（真實價格）
      */
-    async setPositionSlTp(positionId, stopLoss, takeProfit) {
+    async setPositionSlTp(positionId, stopLoss, takeProfit, { trailingStopLoss = false } = {}) {
         try {
-            const ProtoOAAmendPositionSLTPReq = this.connection.proto.lookupType('ProtoOAAmendPositionSLTPReq');
-            const message = ProtoOAAmendPositionSLTPReq.create({
-                ctidTraderAccountId: parseInt(this.config.ctrader.accountId),
+            await this.connection.request('ProtoOAAmendPositionSLTPReq', {
+                ctidTraderAccountId: this.accountId,
                 positionId: positionId,
                 stopLoss: stopLoss,
-                takeProfit: takeProfit
-            });
-
-            await this.connection.send('ProtoOAAmendPositionSLTPReq', message);
-            console.log(`✅ SL/TP 已設定: TP=${takeProfit.toFixed(2)}, SL=${stopLoss.toFixed(2)}`);
+                takeProfit: takeProfit,
+                trailingStopLoss: trailingStopLoss
+            }, 'ProtoOAExecutionEvent');
+            console.log(`✅ SL/TP 已設定: TP=${takeProfit?.toFixed(2) ?? '--'}, SL=${stopLoss.toFixed(2)}${trailingStopLoss ? ' (追蹤)' : ''}`);
+
+            // 同步本地持倉 (持倉管理以此為準)
+            const position = this.positions.find(p => p.id === positionId);
+            if (position) Object.assign(position, { stopLoss, takeProfit, trailingStopLoss });
+            return true;
         } catch (error) {
             console.error('❌ 設定 SL/TP 失敗:', error.message);
             // 即使 SL/TP 設定失敗，訂單仍已成交，交易員需要手動處理
+            return false;
         }
     }
 }
@@ -0,0 +1,170 @@
+/**
+ * NewsCalendar - 經濟日曆與新聞禁止交易時段
+ * 載入本地日曆檔 (CSV / JSON)，依規則產生禁止進場 (no-entry) 與事前平倉 (flatten) 時段
+ *
+ * 日曆事件統一格式：{ time, impact, currency, title } (time = UTC ms，impact = high / medium / low)
+ * 規則格式：{ action, impacts, currencies, keywords, before, after } (before / after 為分鐘)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+const IMPACT_ALIASES = { 3: 'high', 2: 'medium', 1: 'low', red: 'high', orange: 'medium', yellow: 'low' };
+
+// 解析時間欄位：ISO 字串、Unix 秒或毫秒
+function parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    if (!Number.isNaN(num)) {
+        return num < 1e12 ? num * 1000 : num;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+function normalizeEvent(raw) {
+    const impact = String(raw.impact ?? '').trim().toLowerCase();
+    return {
+        time: parseTime(raw.time ?? raw.timestamp ?? raw.date),
+        impact: IMPACT_ALIASES[impact] || impact,
+        currency: String(raw.currency ?? raw.country ?? '').trim().toUpperCase(),
+        title: String(raw.title ?? raw.event ?? raw.name ?? '').trim()
+    };
+}
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return [];
+
+    const header = lines[0].toLowerCase().split(/[,;\t]/).map(h => h.trim());
+    const hasHeader = header.includes('impact') || header.includes('currency');
+    const columns = hasHeader ? header : ['time', 'impact', 'currency', 'title'];
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+        const values = line.split(/[,;\t]/);
+        const row = {};
+        columns.forEach((col, i) => { row[col] = values[i]?.trim(); });
+        // 標題可能含逗號：多出的欄位併入最後一欄
+        if (values.length > columns.length) row[columns[columns.length - 1]] = values.slice(columns.length - 1).join(',').trim();
+        return normalizeEvent(row);
+    });
+}
+
+function parseJson(content) {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : (data.events || []);
+    return list.map(normalizeEvent);
+}
+
+/**
+ * 解析日曆內容 (format 未指定時依內容判斷)，回傳依時間排序的有效事件
+ */
+function parseCalendar(content, format = null) {
+    const isJson = format ? format.toLowerCase() === 'json' : /^\s*[[{]/.test(content);
+    let events;
+    try {
+        events = isJson ? parseJson(content) : parseCsv(content);
+    } catch (error) {
+        throw new ConfigError(`日曆格式錯誤: ${error.message}`);
+    }
+    return events.filter(e => e.time !== null).sort((a, b) => a.time - b.time);
+}
+
+class NewsCalendar {
+    /**
+     * @param {object} options - config.news：{ calendarFile, rules }
+     */
+    constructor(options = {}) {
+        this.calendarFile = path.resolve(__dirname, options.calendarFile || 'news-calendar.json');
+        this.rules = options.rules || [];
+        this.events = [];
+    }
+
+    /** 從日曆檔載入事件 (檔案不存在時為空日曆) */
+    load() {
+        if (!fs.existsSync(this.calendarFile)) {
+            console.log(`📰 未找到新聞日曆檔 (${path.basename(this.calendarFile)})，新聞禁止交易時段停用`);
+            return 0;
+        }
+
+        try {
+            const content = fs.readFileSync(this.calendarFile, 'utf8');
+            this.events = parseCalendar(content, path.extname(this.calendarFile).slice(1) || null);
+            console.log(`📰 已載入新聞日曆: ${this.events.length} 個事件，${this.rules.length} 條規則`);
+        } catch (error) {
+            console.error(`❌ 新聞日曆載入失敗: ${error.message}`);
+        }
+        return this.events.length;
+    }
+
+    /**
+     * 以上傳內容取代日曆並寫回日曆檔
+     * @returns {number} 有效事件數
+     */
+    update(content, format = null) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw new ConfigError('日曆內容為空');
+        }
+
+        const events = parseCalendar(content, format);
+        if (events.length === 0) {
+            throw new ConfigError('日曆內容無有效事件 (需包含 time / impact / currency 欄位)');
+        }
+
+        fs.writeFileSync(this.calendarFile, JSON.stringify(events.map(e => ({ ...e, time: new Date(e.time).toISOString() })), null, 2));
+        this.events = events;
+        console.log(`📰 新聞日曆已更新: ${events.length} 個事件`);
+        return events.length;
+    }
+
+    /** 事件是否符合規則 (未指定的條件視為全部符合) */
+    matches(rule, event) {
+        if (rule.impacts?.length && !rule.impacts.includes(event.impact)) return false;
+        if (rule.currencies?.length && !rule.currencies.includes(event.currency)) return false;
+        if (rule.keywords?.length && !rule.keywords.some(k => event.title.toLowerCase().includes(k.toLowerCase()))) return false;
+        return true;
+    }
+
+    /**
+     * 與 [from, to] 重疊的禁止交易時段
+     * @returns {Array<{ key, action, start, end, event }>}
+     */
+    getWindows(from, to) {
+        const windows = [];
+        for (const event of this.events) {
+            this.rules.forEach((rule, i) => {
+                if (!this.matches(rule, event)) return;
+                const start = event.time - (rule.before || 0) * 60000;
+                const end = event.time + (rule.after || 0) * 60000;
+                if (end < from || start > to) return;
+                windows.push({ key: `${i}:${event.time}:${event.title}`, action: rule.action, start, end, event });
+            });
+        }
+        return windows.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 目前生效的時段 (flatten 優先)
+     * @param {string} action - 只查詢指定動作的時段 (省略 = 任何時段)
+     */
+    getActiveWindow(now = new Date(), action = null) {
+        const time = now.getTime();
+        const active = this.getWindows(time, time).filter(w => !action || w.action === action);
+        return active.find(w => w.action === 'flatten') || active[0] || null;
+    }
+
+    /** 未來 N 小時內 (含進行中) 的時段 (Dashboard 顯示用) */
+    getUpcomingWindows(now = new Date(), hours = 24) {
+        const time = now.getTime();
+        return this.getWindows(time, time + hours * 3600000).map(w => ({
+            action: w.action,
+            start: new Date(w.start),
+            end: new Date(w.end),
+            active: w.start <= time,
+            event: { ...w.event, time: new Date(w.event.time) }
+        }));
+    }
+}
+
+module.exports = NewsCalendar;
@@ -0,0 +1,668 @@
+/**
+ * PaperConnection - 模擬交易連線 (CTRADER_MODE=paper)
+ * 取代 CTraderConnection，以程序內的報價產生器、訂單簿與成交模型回應 Open API 請求
+ * 回應與事件皆以 Protobuf 編碼後經 handleMessage() 派送，引擎端無需任何修改
+ */
+
+const CTraderConnection = require('./CTraderConnection');
+const { convertLongValue, rawToRealPrice, realToRawPrice } = require('./utils');
+
+// 模擬帳戶金額精度 (moneyDigits)
+const PAPER_MONEY_DIGITS = 4;
+// 模擬帳戶幣別 (depositAssetId)，所有模擬商品皆以此報價，不需匯率換算
+const PAPER_ASSET = { assetId: 1, name: 'USD', displayName: 'USD', digits: 2 };
+const HISTORY_MINUTES = 3 * 24 * 60;
+const TREND_PERIOD_MINUTES = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 10, 7: 15, 8: 30, 9: 60, 10: 240, 11: 720, 12: 1440 };
+
+const EXECUTION = { ACCEPTED: 2, FILLED: 3, REPLACED: 4, CANCELLED: 5, REJECTED: 7 };
+const ORDER_TYPE = { MARKET: 1, LIMIT: 2, STOP: 3 };
+const ORDER_STATUS = { ACCEPTED: 1, FILLED: 2, CANCELLED: 5 };
+const SIDE = { BUY: 1, SELL: 2 };
+
+class PaperConnection extends CTraderConnection {
+    constructor(config) {
+        super(config, null, 'paper');
+
+        const paper = config.paper;
+        this.spread = paper.spread;
+        this.slippage = paper.slippage;
+        this.volatility = paper.volatility;
+        this.tickIntervalMs = paper.tickIntervalMs;
+
+        // 每個模擬帳戶各自的餘額
+        this.balances = new Map(this.accounts.map(account => [parseInt(account.accountId), realToRawMoney(paper.initialBalance)]));
+
+        // 報價來源 (每個商品一條隨機漫步，symbolId 依設定順序編號)
+        this.feeds = new Map();
+        config.instruments.forEach((instrument, i) => {
+            this.feeds.set(i + 1, this.createFeed(i + 1, instrument.symbol, instrument.paperStartPrice));
+        });
+
+        this.subscriptions = new Set(); // `${accountId}:${symbolId}`
+        this.positions = new Map();
+        this.orders = new Map();
+        this.orderHistory = []; // 已成交 / 已撤銷的訂單 (ProtoOAOrderListReq 查詢用)
+        this.deals = [];
+        this.nextId = 1;
+        this.tickInterval = null;
+    }
+
+    /** 建立報價來源並回填歷史 M1 K 線 (供基準價查詢) */
+    createFeed(symbolId, symbolName, startPrice) {
+        const feed = { symbolId, symbolName, mid: startPrice, bars: [] };
+        const nowMinute = Math.floor(Date.now() / 60000);
+
+        for (let minute = nowMinute - HISTORY_MINUTES; minute < nowMinute; minute++) {
+            const open = feed.mid;
+            let high = open;
+            let low = open;
+            for (let i = 0; i < 4; i++) {
+                feed.mid = this.nextPrice(feed.mid);
+                high = Math.max(high, feed.mid);
+                low = Math.min(low, feed.mid);
+            }
+            feed.bars.push({ minute, open, high, low, close: feed.mid });
+        }
+        return feed;
+    }
+
+    nextPrice(mid) {
+        return mid + (Math.random() - 0.5) * 2 * this.volatility;
+    }
+
+    /** 連線：載入 Protobuf 定義並完成 Application Auth (無網路) */
+    async connect() {
+        if (!this.proto) {
+            await this.loadProto();
+        }
+
+        console.log('🧪 模擬交易模式 (paper)：使用本地訂單簿與報價產生器');
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.lastHeartbeat = Date.now();
+
+        await this.sendApplicationAuth();
+        this.startTicking();
+    }
+
+    disconnect() {
+        this.connected = false;
+        this.appAuthenticated = false;
+        this.authenticated = false;
+        this.authenticatedAccounts.clear();
+        this.rejectPendingRequests('已斷開連線');
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+        console.log('👋 已斷開模擬交易連線');
+    }
+
+    isHealthy() {
+        return this.connected;
+    }
+
+    /** 發送請求：與真實連線相同的 pendingRequests 流程，回應於下一輪事件迴圈派送 */
+    async transmit(payloadType, payload) {
+        const clientMsgId = (this.nextClientMsgId++).toString();
+
+        // 事件類訊息 (如 Heartbeat) 不會有回應
+        if (payloadType.endsWith('Event')) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(clientMsgId, { resolve, reject, type: payloadType });
+            setImmediate(() => {
+                try {
+                    this.processRequest(payloadType, payload, clientMsgId);
+                } catch (error) {
+                    this.pendingRequests.delete(clientMsgId);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /** 將訊息編碼為 ProtoMessage 並交由 handleMessage 派送 */
+    deliver(typeName, fields, clientMsgId = null) {
+        const MessageType = this.proto.lookupType(typeName);
+        const message = {
+            payloadType: this.getPayloadTypeId(typeName),
+            payload: MessageType.encode(MessageType.create(fields)).finish(),
+            clientMsgId: clientMsgId || ''
+        };
+        this.handleMessage(message);
+    }
+
+    /** 依請求類型產生回應 */
+    processRequest(payloadType, payload, clientMsgId) {
+        const req = payload;
+
+        if (payloadType === 'ProtoOAApplicationAuthReq') {
+            return this.deliver('ProtoOAApplicationAuthRes', {}, clientMsgId);
+        }
+
+        const accountId = convertLongValue(req.ctidTraderAccountId);
+        if (!this.balances.has(accountId)) {
+            return this.deliver('ProtoOAErrorRes', {
+                ctidTraderAccountId: accountId,
+                errorCode: 'CH_CTID_TRADER_ACCOUNT_NOT_FOUND',
+                description: `找不到模擬帳戶 ${accountId}`
+            }, clientMsgId);
+        }
+
+        switch (payloadType) {
+            case 'ProtoOAAccountAuthReq':
+                return this.deliver('ProtoOAAccountAuthRes', { ctidTraderAccountId: accountId }, clientMsgId);
+
+            case 'ProtoOATraderReq':
+                return this.deliver('ProtoOATraderRes', {
+                    ctidTraderAccountId: accountId,
+                    trader: {
+                        ctidTraderAccountId: accountId,
+                        balance: this.balances.get(accountId),
+                        depositAssetId: PAPER_ASSET.assetId,
+                        leverageInCents: 10000,
+                        moneyDigits: PAPER_MONEY_DIGITS
+                    }
+                }, clientMsgId);
+
+            case 'ProtoOAReconcileReq':
+                return this.deliver('ProtoOAReconcileRes', {
+                    ctidTraderAccountId: accountId,
+                    position: this.listByAccount(this.positions, accountId).map(p => this.toProtoPosition(p)),
+                    order: this.listByAccount(this.orders, accountId).map(o => this.toProtoOrder(o))
+                }, clientMsgId);
+
+            case 'ProtoOASymbolsListReq':
+                return this.deliver('ProtoOASymbolsListRes', {
+                    ctidTraderAccountId: accountId,
+                    symbol: [...this.feeds.values()].map(f => ({ symbolId: f.symbolId, symbolName: f.symbolName, enabled: true, quoteAssetId: PAPER_ASSET.assetId }))
+                }, clientMsgId);
+
+            case 'ProtoOASymbolByIdReq':
+                return this.deliver('ProtoOASymbolByIdRes', {
+                    ctidTraderAccountId: accountId,
+                    symbol: (req.symbolId || []).map(id => convertLongValue(id)).filter(id => this.feeds.has(id)).map(id => ({
+                        symbolId: id,
+                        digits: 2,
+                        pipPosition: 0,
+                        lotSize: 100,
+                        minVolume: 1,
+                        stepVolume: 1,
+                        maxVolume: 10000000
+                    }))
+                }, clientMsgId);
+
+            case 'ProtoOAAssetListReq':
+                return this.deliver('ProtoOAAssetListRes', { ctidTraderAccountId: accountId, asset: [PAPER_ASSET] }, clientMsgId);
+
+            case 'ProtoOASubscribeSpotsReq':
+                (req.symbolId || []).forEach(id => this.subscriptions.add(`${accountId}:${convertLongValue(id)}`));
+                return this.deliver('ProtoOASubscribeSpotsRes', { ctidTraderAccountId: accountId }, clientMsgId);
+
+            case 'ProtoOAGetTrendbarsReq':
+                return this.deliver('ProtoOAGetTrendbarsRes', {
+                    ctidTraderAccountId: accountId,
+                    period: req.period,
+                    symbolId: req.symbolId,
+                    trendbar: this.getTrendbars(convertLongValue(req.symbolId), req.period,
+                        convertLongValue(req.fromTimestamp), convertLongValue(req.toTimestamp))
+                }, clientMsgId);
+
+            case 'ProtoOANewOrderReq':
+                return this.handleNewOrder(accountId, req, clientMsgId);
+
+            case 'ProtoOACancelOrderReq':
+                return this.handleCancelOrder(accountId, req, clientMsgId);
+
+            case 'ProtoOAAmendOrderReq':
+                return this.handleAmendOrder(accountId, req, clientMsgId);
+
+            case 'ProtoOAAmendPositionSLTPReq':
+                return this.handleAmendPosition(accountId, req, clientMsgId);
+
+            case 'ProtoOAClosePositionReq':
+                return this.handleClosePosition(accountId, req, clientMsgId);
+
+            case 'ProtoOADealListReq':
+                return this.deliver('ProtoOADealListRes', {
+                    ctidTraderAccountId: accountId,
+                    deal: this.deals
+                        .filter(d => d.accountId === accountId && inRange(d.executionTimestamp, req.fromTimestamp, req.toTimestamp))
+                        .map(({ accountId: _, ...deal }) => deal),
+                    hasMore: false
+                }, clientMsgId);
+
+            case 'ProtoOAOrderListReq':
+                return this.deliver('ProtoOAOrderListRes', {
+                    ctidTraderAccountId: accountId,
+                    order: [...this.listByAccount(this.orders, accountId), ...this.orderHistory.filter(o => o.accountId === accountId)]
+                        .filter(o => inRange(o.createTimestamp, req.fromTimestamp, req.toTimestamp))
+                        .map(o => this.toProtoOrder(o, o.orderStatus, o.executionPrice)),
+                    hasMore: false
+                }, clientMsgId);
+
+            default:
+                return this.deliver('ProtoOAErrorRes', {
+                    ctidTraderAccountId: accountId,
+                    errorCode: 'UNSUPPORTED_MESSAGE',
+                    description: `模擬交易不支援 ${payloadType}`
+                }, clientMsgId);
+        }
+    }
+
+    listByAccount(map, accountId) {
+        return [...map.values()].filter(item => item.accountId === accountId);
+    }
+
+    // === 報價 ===
+
+    startTicking() {
+        if (this.tickInterval) return;
+        this.tickInterval = setInterval(() => this.tick(), this.tickIntervalMs);
+    }
+
+    tick() {
+        const now = Date.now();
+        const minute = Math.floor(now / 60000);
+
+        for (const feed of this.feeds.values()) {
+            feed.mid = this.nextPrice(feed.mid);
+
+            const lastBar = feed.bars[feed.bars.length - 1];
+            if (lastBar && lastBar.minute === minute) {
+                lastBar.high = Math.max(lastBar.high, feed.mid);
+                lastBar.low = Math.min(lastBar.low, feed.mid);
+                lastBar.close = feed.mid;
+            } else {
+                feed.bars.push({ minute, open: feed.mid, high: feed.mid, low: feed.mid, close: feed.mid });
+                if (feed.bars.length > HISTORY_MINUTES) feed.bars.shift();
+            }
+
+            const { bid, ask } = this.getQuote(feed);
+            this.matchOrders(feed, bid, ask);
+            this.checkProtection(feed, bid, ask);
+
+            // 報價依帳戶訂閱分別推送 (與真實伺服器相同)
+            for (const accountId of this.balances.keys()) {
+                if (!this.subscriptions.has(`${accountId}:${feed.symbolId}`)) continue;
+                this.deliver('ProtoOASpotEvent', {
+                    ctidTraderAccountId: accountId,
+                    symbolId: feed.symbolId,
+                    bid: Math.round(realToRawPrice(bid)),
+                    ask: Math.round(realToRawPrice(ask)),
+                    timestamp: now
+                });
+            }
+        }
+    }
+
+    getQuote(feed) {
+        return { bid: round2(feed.mid - this.spread / 2), ask: round2(feed.mid + this.spread / 2) };
+    }
+
+    /** M1 歷史聚合為指定週期的 ProtoOATrendbar */
+    getTrendbars(symbolId, period, fromTimestamp, toTimestamp) {
+        const feed = this.feeds.get(symbolId);
+        if (!feed) return [];
+
+        const periodMinutes = TREND_PERIOD_MINUTES[period] || 1;
+        const grouped = new Map();
+
+        for (const bar of feed.bars) {
+            const time = bar.minute * 60000;
+            if (!inRange(time, fromTimestamp, toTimestamp)) continue;
+            const key = Math.floor(bar.minute / periodMinutes) * periodMinutes;
+            const agg = grouped.get(key);
+            if (!agg) {
+                grouped.set(key, { ...bar, minute: key });
+            } else {
+                agg.high = Math.max(agg.high, bar.high);
+                agg.low = Math.min(agg.low, bar.low);
+                agg.close = bar.close;
+            }
+        }
+
+        return [...grouped.values()].map(bar => {
+            const low = Math.round(realToRawPrice(bar.low));
+            return {
+                volume: 1,
+                period: period,
+                low: low,
+                deltaOpen: Math.round(realToRawPrice(bar.open)) - low,
+                deltaHigh: Math.round(realToRawPrice(bar.high)) - low,
+                deltaClose: Math.round(realToRawPrice(bar.close)) - low,
+                utcTimestampInMinutes: bar.minute
+            };
+        });
+    }
+
+    // === 訂單 ===
+
+    handleNewOrder(accountId, req, clientMsgId) {
+        const symbolId = convertLongValue(req.symbolId);
+        const feed = this.feeds.get(symbolId);
+        const volume = convertLongValue(req.volume);
+
+        if (!feed || !volume || volume <= 0) {
+            return this.deliver('ProtoOAOrderErrorEvent', {
+                ctidTraderAccountId: accountId,
+                errorCode: !feed ? 'SYMBOL_NOT_FOUND' : 'TRADING_BAD_VOLUME',
+                description: '模擬交易拒絕訂單'
+            }, clientMsgId);
+        }
+
+        const order = {
+            orderId: this.nextId++,
+            accountId,
+            symbolId,
+            orderType: req.orderType,
+            tradeSide: req.tradeSide,
+            volume,
+            limitPrice: req.limitPrice || null,
+            stopPrice: req.stopPrice || null,
+            stopLoss: req.stopLoss || null,
+            takeProfit: req.takeProfit || null,
+            trailingStopLoss: req.trailingStopLoss || false,
+            label: req.label || '',
+            clientOrderId: req.clientOrderId || '',
+            positionId: req.positionId ? convertLongValue(req.positionId) : null,
+            createTimestamp: Date.now()
+        };
+
+        this.sendExecution(accountId, EXECUTION.ACCEPTED, { order: this.toProtoOrder(order, ORDER_STATUS.ACCEPTED) }, clientMsgId);
+
+        if (order.orderType === ORDER_TYPE.MARKET) {
+            const { bid, ask } = this.getQuote(feed);
+            this.fillOrder(order, order.tradeSide === SIDE.BUY ? ask : bid);
+        } else {
+            this.orders.set(order.orderId, order);
+        }
+    }
+
+    handleCancelOrder(accountId, req, clientMsgId) {
+        const order = this.orders.get(convertLongValue(req.orderId));
+        if (!order || order.accountId !== accountId) {
+            return this.deliver('ProtoOAOrderErrorEvent', {
+                ctidTraderAccountId: accountId,
+                errorCode: 'ORDER_NOT_FOUND',
+                orderId: req.orderId
+            }, clientMsgId);
+        }
+
+        this.orders.delete(order.orderId);
+        this.orderHistory.push({ ...order, orderStatus: ORDER_STATUS.CANCELLED });
+        this.sendExecution(accountId, EXECUTION.CANCELLED, { order: this.toProtoOrder(order, ORDER_STATUS.CANCELLED) }, clientMsgId);
+    }
+
+    handleAmendOrder(accountId, req, clientMsgId) {
+        const order = this.orders.get(convertLongValue(req.orderId));
+        if (!order || order.accountId !== accountId) {
+            return this.deliver('ProtoOAOrderErrorEvent', {
+                ctidTraderAccountId: accountId,
+                errorCode: 'ORDER_NOT_FOUND',
+                orderId: req.orderId
+            }, clientMsgId);
+        }
+
+        if (req.volume) order.volume = convertLongValue(req.volume);
+        if (req.limitPrice) order.limitPrice = req.limitPrice;
+        if (req.stopPrice) order.stopPrice = req.stopPrice;
+        if (req.stopLoss) order.stopLoss = req.stopLoss;
+        if (req.takeProfit) order.takeProfit = req.takeProfit;
+
+        this.sendExecution(accountId, EXECUTION.REPLACED, { order: this.toProtoOrder(order, ORDER_STATUS.ACCEPTED) }, clientMsgId);
+    }
+
+    handleAmendPosition(accountId, req, clientMsgId) {
+        const position = this.positions.get(convertLongValue(req.positionId));
+        if (!position || position.accountId !== accountId) {
+            return this.deliver('ProtoOAErrorRes', {
+                ctidTraderAccountId: accountId,
+                errorCode: 'POSITION_NOT_FOUND',
+                description: `找不到持倉 ${convertLongValue(req.positionId)}`
+            }, clientMsgId);
+        }
+
+        position.stopLoss = req.stopLoss || null;
+        position.takeProfit = req.takeProfit || null;
+        position.trailingStopLoss = req.trailingStopLoss || false;
+
+        this.sendExecution(accountId, EXECUTION.REPLACED, { position: this.toProtoPosition(position) }, clientMsgId);
+    }
+
+    handleClosePosition(accountId, req, clientMsgId) {
+        const position = this.positions.get(convertLongValue(req.positionId));
+        if (!position || position.accountId !== accountId) {
+            return this.deliver('ProtoOAErrorRes', {
+                ctidTraderAccountId: accountId,
+                errorCode: 'POSITION_NOT_FOUND',
+                description: `找不到持倉 ${convertLongValue(req.positionId)}`
+            }, clientMsgId);
+        }
+
+        const feed = this.feeds.get(position.symbolId);
+        const { bid, ask } = this.getQuote(feed);
+        const volume = Math.min(convertLongValue(req.volume) || position.volume, position.volume);
+        this.closeVolume(position, volume, position.tradeSide === SIDE.BUY ? bid : ask, clientMsgId);
+    }
+
+    /** 掛單撮合：限價單在價格有利時成交於限價，停損單觸發後成交於市價 */
+    matchOrders(feed, bid, ask) {
+        for (const order of [...this.orders.values()]) {
+            if (order.symbolId !== feed.symbolId) continue;
+            const isBuy = order.tradeSide === SIDE.BUY;
+
+            if (order.orderType === ORDER_TYPE.LIMIT) {
+                if (isBuy ? ask <= order.limitPrice : bid >= order.limitPrice) {
+                    this.orders.delete(order.orderId);
+                    this.fillOrder(order, order.limitPrice, false);
+                }
+            } else if (order.orderType === ORDER_TYPE.STOP) {
+                if (isBuy ? ask >= order.stopPrice : bid <= order.stopPrice) {
+                    this.orders.delete(order.orderId);
+                    this.fillOrder(order, isBuy ? ask : bid);
+                }
+            }
+        }
+    }
+
+    /** SL/TP 觸發：多單以 bid 判斷，空單以 ask 判斷 */
+    checkProtection(feed, bid, ask) {
+        for (const position of [...this.positions.values()]) {
+            if (position.symbolId !== feed.symbolId) continue;
+            const isBuy = position.tradeSide === SIDE.BUY;
+            const price = isBuy ? bid : ask;
+
+            // 引擎端以 trailingStopLoss 旗標請求伺服器追蹤止損
+            if (position.trailingStopLoss && position.stopLoss) {
+                const distance = position.trailingDistance ?? Math.abs(position.entryPrice - position.stopLoss);
+                position.trailingDistance = distance;
+                position.stopLoss = isBuy
+                    ? Math.max(position.stopLoss, round2(price - distance))
+                    : Math.min(position.stopLoss, round2(price + distance));
+            }
+
+            const slHit = position.stopLoss && (isBuy ? price <= position.stopLoss : price >= position.stopLoss);
+            const tpHit = position.takeProfit && (isBuy ? price >= position.takeProfit : price <= position.takeProfit);
+
+            if (slHit) {
+                this.closeVolume(position, position.volume, this.applySlippage(price, !isBuy));
+            } else if (tpHit) {
+                this.closeVolume(position, position.volume, position.takeProfit);
+            }
+        }
+    }
+
+    /** 滑價：買方成交價上移、賣方下移 */
+    applySlippage(price, isBuy) {
+        const slip = Math.random() * this.slippage;
+        return round2(isBuy ? price + slip : price - slip);
+    }
+
+    /** 訂單成交 -> 開新倉 */
+    fillOrder(order, price, withSlippage = true) {
+        const isBuy = order.tradeSide === SIDE.BUY;
+        const executionPrice = withSlippage ? this.applySlippage(price, isBuy) : price;
+        const now = Date.now();
+
+        const position = {
+            positionId: this.nextId++,
+            accountId: order.accountId,
+            symbolId: order.symbolId,
+            tradeSide: order.tradeSide,
+            volume: order.volume,
+            entryPrice: executionPrice,
+            stopLoss: order.stopLoss,
+            takeProfit: order.takeProfit,
+            trailingStopLoss: order.trailingStopLoss,
+            label: order.label,
+            openTimestamp: now
+        };
+        this.positions.set(position.positionId, position);
+
+        const deal = this.recordDeal(order, position, order.tradeSide, order.volume, executionPrice, now);
+        this.orderHistory.push({ ...order, positionId: position.positionId, orderStatus: ORDER_STATUS.FILLED, executionPrice });
+        this.sendExecution(position.accountId, EXECUTION.FILLED, {
+            order: this.toProtoOrder({ ...order, positionId: position.positionId }, ORDER_STATUS.FILLED, executionPrice),
+            position: this.toProtoPosition(position),
+            deal
+        });
+    }
+
+    /** 平倉 (支援部分平倉) -> 結算損益 */
+    closeVolume(position, volume, price, clientMsgId = null) {
+        const isBuy = position.tradeSide === SIDE.BUY;
+        const closeSide = isBuy ? SIDE.SELL : SIDE.BUY;
+        const now = Date.now();
+
+        // 損益 = 價差 * 單位數 (volume 為 0.01 單位)
+        const pnl = (isBuy ? price - position.entryPrice : position.entryPrice - price) * (volume / 100);
+        const grossProfit = realToRawMoney(pnl);
+        const balance = this.balances.get(position.accountId) + grossProfit;
+        this.balances.set(position.accountId, balance);
+
+        position.volume -= volume;
+        const closed = position.volume <= 0;
+        if (closed) this.positions.delete(position.positionId);
+
+        const order = {
+            orderId: this.nextId++,
+            accountId: position.accountId,
+            symbolId: position.symbolId,
+            orderType: ORDER_TYPE.MARKET,
+            tradeSide: closeSide,
+            volume,
+            label: position.label,
+            positionId: position.positionId,
+            createTimestamp: now
+        };
+
+        const deal = this.recordDeal(order, position, closeSide, volume, price, now, {
+            entryPrice: position.entryPrice,
+            grossProfit: grossProfit,
+            swap: 0,
+            commission: 0,
+            balance: balance,
+            closedVolume: volume,
+            moneyDigits: PAPER_MONEY_DIGITS
+        });
+
+        this.sendExecution(position.accountId, EXECUTION.FILLED, {
+            order: this.toProtoOrder(order, ORDER_STATUS.FILLED, price),
+            position: this.toProtoPosition(position, closed ? 2 : 1),
+            deal
+        }, clientMsgId);
+    }
+
+    recordDeal(order, position, tradeSide, volume, price, timestamp, closePositionDetail = null) {
+        const deal = {
+            dealId: this.nextId++,
+            orderId: order.orderId,
+            positionId: position.positionId,
+            volume,
+            filledVolume: volume,
+            symbolId: position.symbolId,
+            createTimestamp: timestamp,
+            executionTimestamp: timestamp,
+            executionPrice: price,
+            tradeSide,
+            dealStatus: 2,
+            moneyDigits: PAPER_MONEY_DIGITS
+        };
+        if (closePositionDetail) deal.closePositionDetail = closePositionDetail;
+        this.deals.push({ ...deal, accountId: position.accountId });
+        return deal;
+    }
+
+    sendExecution(accountId, executionType, fields, clientMsgId = null) {
+        this.deliver('ProtoOAExecutionEvent', {
+            ctidTraderAccountId: accountId,
+            executionType,
+            ...fields
+        }, clientMsgId);
+    }
+
+    toProtoPosition(position, positionStatus = 1) {
+        return {
+            positionId: position.positionId,
+            tradeData: {
+                symbolId: position.symbolId,
+                volume: position.volume,
+                tradeSide: position.tradeSide,
+                openTimestamp: position.openTimestamp,
+                label: position.label
+            },
+            positionStatus,
+            swap: 0,
+            price: position.entryPrice,
+            stopLoss: position.stopLoss || undefined,
+            takeProfit: position.takeProfit || undefined,
+            trailingStopLoss: position.trailingStopLoss || false,
+            moneyDigits: PAPER_MONEY_DIGITS
+        };
+    }
+
+    toProtoOrder(order, orderStatus = ORDER_STATUS.ACCEPTED, executionPrice = undefined) {
+        return {
+            orderId: order.orderId,
+            tradeData: {
+                symbolId: order.symbolId,
+                volume: order.volume,
+                tradeSide: order.tradeSide,
+                openTimestamp: order.createTimestamp,
+                label: order.label
+            },
+            orderType: order.orderType,
+            orderStatus,
+            executionPrice,
+            limitPrice: order.limitPrice || undefined,
+            stopPrice: order.stopPrice || undefined,
+            stopLoss: order.stopLoss || undefined,
+            takeProfit: order.takeProfit || undefined,
+            clientOrderId: order.clientOrderId || undefined,
+            positionId: order.positionId || undefined
+        };
+    }
+}
+
+// 真實金額 -> 以 PAPER_MONEY_DIGITS 表示的整數
+function realToRawMoney(amount) {
+    return Math.round(amount * Math.pow(10, PAPER_MONEY_DIGITS));
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function inRange(timestamp, from, to) {
+    const fromMs = convertLongValue(from);
+    const toMs = convertLongValue(to);
+    if (fromMs && timestamp < fromMs) return false;
+    if (toMs && timestamp > toMs) return false;
+    return true;
+}
+
+module.exports = PaperConnection;
@@ -0,0 +1,105 @@
+/**
+ * ParameterSchedule - 依星期 / 日期區間 / 指定日期切換參數或不交易
+ * 日期以台北交易日 (YYYY-MM-DD，與每日重置相同) 判斷
+ *
+ * 排程項目格式：{ label, days, from, to, dates, profile, config, action }
+ * - days: 星期 (0-6 或 sun / mon ...，7 亦視為週日)；from / to: 日期區間 (含頭尾)；dates: 指定日期
+ * - 同一項目的條件需全部符合；皆未指定時為每日適用的預設項目
+ * - action: trade (套用 profile (ID 或名稱) 與 / 或 config) / no-trade (今日不交易)
+ * - 多個項目符合時以指定日期 > 日期區間 > 星期 > 預設優先，同優先度取排序較前者
+ */
+
+const { ConfigError } = require('./errors');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_LABELS = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
+const SCHEDULE_ACTIONS = ['trade', 'no-trade'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+};
+
+function parseDay(value, index) {
+    const key = value.toLowerCase().slice(0, 3);
+    const day = /^\d+$/.test(value) ? parseInt(value) % 7 : DAY_KEYS.indexOf(key);
+    if (day < 0 || day > 6) throw new ConfigError(`排程 #${index + 1} 星期格式錯誤: ${value}`);
+    return day;
+}
+
+function parseDate(value, index) {
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new ConfigError(`排程 #${index + 1} 日期格式錯誤 (需為 YYYY-MM-DD): ${value}`);
+    }
+    return value;
+}
+
+/** 條件說明 (Dashboard 顯示今日套用原因) */
+function describeEntry(entry) {
+    const parts = [];
+    if (entry.dates.length) parts.push(`指定日期 ${entry.dates.join(', ')}`);
+    if (entry.from || entry.to) parts.push(`日期區間 ${entry.from || '...'} ~ ${entry.to || '...'}`);
+    if (entry.days.length) parts.push(entry.days.map(d => DAY_LABELS[d]).join('/'));
+    return parts.length ? parts.join(' + ') : '預設 (每日)';
+}
+
+function normalizeEntry(raw, index) {
+    if (!raw || typeof raw !== 'object') throw new ConfigError(`排程 #${index + 1} 格式錯誤 (需為物件)`);
+
+    const action = raw.action || 'trade';
+    if (!SCHEDULE_ACTIONS.includes(action)) throw new ConfigError(`排程 #${index + 1} action 需為 ${SCHEDULE_ACTIONS.join(' / ')}`);
+    if (action === 'trade' && !raw.profile && !raw.config) {
+        throw new ConfigError(`排程 #${index + 1} 需指定 profile 或 config`);
+    }
+
+    const entry = {
+        index,
+        days: [...new Set(toList(raw.days).map(d => parseDay(d, index)))],
+        from: raw.from ? parseDate(String(raw.from).trim(), index) : null,
+        to: raw.to ? parseDate(String(raw.to).trim(), index) : null,
+        dates: toList(raw.dates).map(d => parseDate(d, index)),
+        action,
+        profile: raw.profile ? String(raw.profile) : null,
+        config: raw.config || null
+    };
+    if (entry.from && entry.to && entry.from > entry.to) throw new ConfigError(`排程 #${index + 1} 日期區間起點晚於終點`);
+
+    entry.priority = entry.dates.length ? 3 : (entry.from || entry.to) ? 2 : entry.days.length ? 1 : 0;
+    entry.reason = describeEntry(entry);
+    entry.label = raw.label || entry.reason;
+    return entry;
+}
+
+/**
+ * 驗證並正規化排程
+ * @param {Array} entries - 原始排程項目
+ */
+function normalizeSchedule(entries = []) {
+    if (!Array.isArray(entries)) throw new ConfigError('排程格式錯誤 (需為陣列)');
+    return entries.map(normalizeEntry);
+}
+
+function matchesEntry(entry, date) {
+    if (entry.dates.length && !entry.dates.includes(date)) return false;
+    if (entry.from && date < entry.from) return false;
+    if (entry.to && date > entry.to) return false;
+    if (entry.days.length && !entry.days.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) return false;
+    return true;
+}
+
+/**
+ * 取得指定交易日適用的排程項目 (無符合時回傳 null)
+ * @param {Array} schedule - normalizeSchedule 的結果
+ * @param {string} date - 台北交易日 YYYY-MM-DD
+ */
+function resolveSchedule(schedule, date) {
+    return schedule
+        .filter(entry => matchesEntry(entry, date))
+        .sort((a, b) => b.priority - a.priority || a.index - b.index)[0] || null;
+}
+
+module.exports = {
+    normalizeSchedule,
+    resolveSchedule
+};
@@ -0,0 +1,116 @@
+/**
+ * ProfileStore - 策略參數預設 (Profile)
+ * 具名保存進場 / 止盈止損 / 手數 / 時間等參數，可建立、複製、編輯、刪除並套用至引擎
+ *
+ * Profile 格式：{ id, name, config, createdAt, updatedAt } (config 為 ExecutionEngine.updateConfig 可接受的欄位)
+ * 記憶體中的列表為準，異動後寫入 MongoDB profiles 集合 (寫入失敗僅記錄日誌，與引擎狀態儲存相同)
+ */
+
+const crypto = require('crypto');
+const { ConfigError } = require('./errors');
+
+class ProfileStore {
+    /**
+     * @param {object} db - db.js (loadProfiles / saveProfile / deleteProfile)
+     */
+    constructor(db) {
+        this.db = db;
+        this.profiles = [];
+    }
+
+    /** 從 MongoDB 載入所有 Profile (依建立時間排序) */
+    async load() {
+        const profiles = await this.db.loadProfiles();
+        this.profiles = profiles
+            .map(({ _id, ...profile }) => profile)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        return this.profiles.length;
+    }
+
+    list() {
+        return this.profiles;
+    }
+
+    get(id) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile) throw new ConfigError(`找不到 Profile: ${id}`, { profileId: id });
+        return profile;
+    }
+
+    /** 名稱必填且不可重複 */
+    validateName(name, excludeId = null) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) throw new ConfigError('Profile 名稱不可為空');
+        if (this.profiles.some(p => p.id !== excludeId && p.name === trimmed)) {
+            throw new ConfigError(`Profile 名稱重複: ${trimmed}`, { name: trimmed });
+        }
+        return trimmed;
+    }
+
+    validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new ConfigError('Profile 參數格式錯誤 (需為物件)');
+        }
+        return structuredClone(config);
+    }
+
+    /**
+     * 建立 Profile
+     * @param {string} name - 名稱
+     * @param {object} config - 參數 (通常為 engine.getProfileConfig() 快照)
+     */
+    create(name, config) {
+        const now = new Date();
+        const profile = {
+            id: crypto.randomUUID(),
+            name: this.validateName(name),
+            config: this.validateConfig(config),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.profiles.push(profile);
+        this.persist(profile);
+        console.log(`🗂️ 已建立 Profile: ${profile.name}`);
+        return profile;
+    }
+
+    /** 更新名稱與 / 或參數 (參數為合併，未提供的欄位維持原值) */
+    update(id, { name, config } = {}) {
+        const profile = this.get(id);
+        const nextName = name !== undefined ? this.validateName(name, id) : profile.name;
+        const nextConfig = config !== undefined ? { ...profile.config, ...this.validateConfig(config) } : profile.config;
+        Object.assign(profile, { name: nextName, config: nextConfig, updatedAt: new Date() });
+        this.persist(profile);
+        console.log(`🗂️ 已更新 Profile: ${profile.name}`);
+        return profile;
+    }
+
+    /** 複製 Profile (未指定名稱時以「原名稱 (複製 N)」命名) */
+    clone(id, name = null) {
+        const source = this.get(id);
+        let cloneName = name;
+        if (!cloneName) {
+            let n = 1;
+            do {
+                cloneName = `${source.name} (複製${n > 1 ? ` ${n}` : ''})`;
+                n++;
+            } while (this.profiles.some(p => p.name === cloneName));
+        }
+        return this.create(cloneName, source.config);
+    }
+
+    remove(id) {
+        const profile = this.get(id);
+        this.profiles = this.profiles.filter(p => p !== profile);
+        this.db.deleteProfile(id);
+        console.log(`🗑️ 已刪除 Profile: ${profile.name}`);
+        return profile;
+    }
+
+    persist(profile) {
+        // db.saveProfile 失敗時已記錄錯誤
+        this.db.saveProfile(profile).catch(() => { });
+    }
+}
+
+module.exports = ProfileStore;
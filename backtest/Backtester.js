@@ -0,0 +1,258 @@
+/**
+ * Backtester - 離線回測引擎
+ * 以歷史 M1 K 線重播策略插件，模擬基準點、進場、基準點相對 TP/SL 與每日一單
+ * 不需要網路或 cTrader 連線
+ */
+
+const { rawToRealPrice, realToRawPrice, getTaipeiDateString, getMarketOpenUtc, isWithinTradingHours, BASELINE_METHODS, getBaselineReadyTime, computeBaseline } = require('../utils');
+const { createStrategy, DEFAULT_STRATEGY } = require('../strategies');
+
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY = 86400000;
+
+class Backtester {
+    /**
+     * @param {object} options
+     * @param {object} options.market - config.market (開盤時間、夏令/冬令)
+     * @param {object} options.params - entryOffset / longTP / shortTP / longSL / shortSL / lotSize / minsAfterOpen / baselineOffsetMinutes
+     *                                   / baselineMethod (manual 不適用回測，改用 bar-open) / baselineRangeMinutes
+     * @param {string} [options.strategy] - 策略 ID
+     * @param {object} [options.strategyParams] - 策略專屬參數
+     * @param {number} [options.spread] - 模擬點差 (真實價格點數)
+     * @param {number} [options.slippage] - 模擬滑價 (真實價格點數，進場與止損出場)
+     */
+    constructor(options) {
+        this.market = options.market;
+        this.params = { ...options.params };
+        if (!BASELINE_METHODS.includes(this.params.baselineMethod) || this.params.baselineMethod === 'manual') {
+            this.params.baselineMethod = 'bar-open';
+        }
+        this.strategyId = options.strategy || DEFAULT_STRATEGY;
+        this.strategyParams = options.strategyParams || {};
+        this.spread = options.spread || 0;
+        this.slippage = options.slippage || 0;
+        this.sessionWatchTime = null; // 目前重播交易日的盯盤開始時間 (策略上下文 watchStart)
+    }
+
+    /** 將 K 線依交易日 (台北日期，以開盤時間切分) 分組 */
+    groupBySession(bars) {
+        const sessions = new Map();
+
+        for (const bar of bars) {
+            let dateStr = getTaipeiDateString(new Date(bar.time));
+            if (bar.time < getMarketOpenUtc(dateStr, this.market)) {
+                dateStr = getTaipeiDateString(new Date(bar.time - MS_PER_DAY));
+            }
+            if (!sessions.has(dateStr)) sessions.set(dateStr, []);
+            sessions.get(dateStr).push(bar);
+        }
+
+        return sessions;
+    }
+
+    /** 以 K 線模擬報價路徑：開 -> 近端極值 -> 遠端極值 -> 收 */
+    barToTicks(bar) {
+        const step = MS_PER_MINUTE / 4;
+        const extremes = bar.close >= bar.open ? [bar.low, bar.high] : [bar.high, bar.low];
+        return [bar.open, ...extremes, bar.close].map((price, i) => ({ price, timestamp: bar.time + i * step }));
+    }
+
+    /** 建立與 ExecutionEngine.getStrategyContext() 相同結構的上下文 */
+    buildContext(baseline, price, timestamp, positions) {
+        const halfSpreadRaw = realToRawPrice(this.spread / 2);
+        return {
+            baseline,
+            price,
+            bid: price - halfSpreadRaw,
+            ask: price + halfSpreadRaw,
+            config: {
+                entryOffset: this.params.entryOffset,
+                longTP: this.params.longTP,
+                shortTP: this.params.shortTP,
+                longSL: this.params.longSL,
+                shortSL: this.params.shortSL
+            },
+            positions,
+            now: new Date(timestamp),
+            watchStart: this.sessionWatchTime
+        };
+    }
+
+    /** 檢查持倉是否觸及 TP/SL，回傳出場資訊或 null */
+    checkExit(position, priceReal) {
+        const halfSpread = this.spread / 2;
+
+        if (position.type === 'long') {
+            const bid = priceReal - halfSpread;
+            if (position.sl !== null && bid <= position.sl) return { price: position.sl - this.slippage, reason: 'SL' };
+            if (position.tp !== null && bid >= position.tp) return { price: position.tp, reason: 'TP' };
+        } else {
+            const ask = priceReal + halfSpread;
+            if (position.sl !== null && ask >= position.sl) return { price: position.sl + this.slippage, reason: 'SL' };
+            if (position.tp !== null && ask <= position.tp) return { price: position.tp, reason: 'TP' };
+        }
+        return null;
+    }
+
+    closePosition(position, exit, timestamp) {
+        const points = position.type === 'long'
+            ? exit.price - position.entryPrice
+            : position.entryPrice - exit.price;
+
+        return {
+            ...position,
+            exitTime: new Date(timestamp).toISOString(),
+            exitPrice: exit.price,
+            exitReason: exit.reason,
+            points: points,
+            profit: points * this.params.lotSize
+        };
+    }
+
+    /**
+     * 執行回測
+     * @param {Array} bars - loadBars() 輸出的 M1 K 線
+     * @returns {{ trades: Array, days: Array, summary: object }}
+     */
+    run(bars) {
+        const strategy = createStrategy(this.strategyId, this.strategyParams);
+        strategy.silent = true;
+
+        const trades = [];
+        const days = [];
+        let positions = [];
+        let lastTimestamp = null;
+        let lastPriceReal = null;
+        let previousBar = null;
+
+        for (const [dateStr, sessionBars] of this.groupBySession(bars)) {
+            const openUtc = getMarketOpenUtc(dateStr, this.market);
+            const baselineOptions = {
+                openUtc,
+                offsetMinutes: this.params.baselineOffsetMinutes || 0,
+                rangeMinutes: this.params.baselineRangeMinutes || 15
+            };
+            // 基準點所需 K 線收盤前不進場
+            const baselineReadyTime = getBaselineReadyTime(this.params.baselineMethod, baselineOptions);
+            const watchTime = openUtc + (this.params.minsAfterOpen || 0) * MS_PER_MINUTE;
+            this.sessionWatchTime = watchTime;
+
+            // 週末不盯盤 (與 TradingBot.checkTime 相同)
+            const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+            const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+
+            // 基準點：與 fetchDailyOpenPrice 共用 computeBaseline (prev-close 需要前一交易時段最後一根 K 線)
+            const baseline = computeBaseline(this.params.baselineMethod, previousBar ? [previousBar, ...sessionBars] : sessionBars, baselineOptions);
+            previousBar = sessionBars[sessionBars.length - 1];
+
+            let todayTradeDone = false;
+            strategy.onSessionStart(this.buildContext(baseline, null, openUtc, positions));
+
+            for (const bar of sessionBars) {
+                for (const tick of this.barToTicks(bar)) {
+                    const priceReal = rawToRealPrice(tick.price);
+                    lastTimestamp = tick.timestamp;
+                    lastPriceReal = priceReal;
+
+                    // 出場檢查
+                    positions = positions.filter(position => {
+                        const exit = this.checkExit(position, priceReal);
+                        if (!exit) return true;
+                        const trade = this.closePosition(position, exit, tick.timestamp);
+                        trades.push(trade);
+                        strategy.onClose(trade, this.buildContext(baseline, tick.price, tick.timestamp, positions));
+                        return false;
+                    });
+
+                    // 進場檢查：每日一單、基準點已知、已到盯盤時間、交易時段內
+                    if (isWeekend || todayTradeDone || baseline === null) continue;
+                    if (bar.time < baselineReadyTime || bar.time < watchTime) continue;
+                    if (!isWithinTradingHours(new Date(tick.timestamp))) continue;
+
+                    const ctx = this.buildContext(baseline, tick.price, tick.timestamp, positions);
+                    const signal = strategy.onTick({ price: tick.price, bid: ctx.bid, ask: ctx.ask, timestamp: tick.timestamp }, ctx);
+                    if (!signal || (signal.type !== 'long' && signal.type !== 'short')) continue;
+
+                    const targets = strategy.getTargets(signal.type, ctx);
+                    const entryPrice = signal.type === 'long'
+                        ? rawToRealPrice(ctx.ask) + this.slippage
+                        : rawToRealPrice(ctx.bid) - this.slippage;
+
+                    // 基準點相對的 TP/SL 若落在成交價錯誤的一側，cTrader 會拒絕設定 (持倉維持無 TP/SL)
+                    const isLong = signal.type === 'long';
+                    const tpValid = isLong ? targets.takeProfit > entryPrice : targets.takeProfit < entryPrice;
+                    const slValid = isLong ? targets.stopLoss < entryPrice : targets.stopLoss > entryPrice;
+
+                    const position = {
+                        date: dateStr,
+                        type: signal.type,
+                        reason: signal.reason,
+                        baseline: rawToRealPrice(baseline),
+                        entryTime: new Date(tick.timestamp).toISOString(),
+                        entryPrice: entryPrice,
+                        tp: tpValid ? targets.takeProfit : null,
+                        sl: slValid ? targets.stopLoss : null
+                    };
+                    positions.push(position);
+                    todayTradeDone = true;
+                    strategy.onFill({ positionId: trades.length + positions.length, type: signal.type, price: entryPrice, volume: this.params.lotSize }, ctx);
+                }
+
+                strategy.onBar(
+                    { utcTimestampInMinutes: bar.time / MS_PER_MINUTE, open: bar.open, high: bar.high, low: bar.low, close: bar.close, ticks: 4 },
+                    this.buildContext(baseline, bar.close, bar.time, positions)
+                );
+            }
+
+            days.push({ date: dateStr, baseline: baseline !== null ? rawToRealPrice(baseline) : null, traded: todayTradeDone });
+        }
+
+        // 資料結束時仍未平倉的部位，以最後價格結算
+        for (const position of positions) {
+            trades.push(this.closePosition(position, { price: lastPriceReal, reason: 'END' }, lastTimestamp));
+        }
+
+        trades.sort((a, b) => a.entryTime.localeCompare(b.entryTime));
+
+        return { trades, days, summary: Backtester.summarize(trades) };
+    }
+
+    /** 統計摘要 */
+    static summarize(trades) {
+        const wins = trades.filter(t => t.profit > 0);
+        const losses = trades.filter(t => t.profit < 0);
+        const grossProfit = wins.reduce((sum, t) => sum + t.profit, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.profit, 0));
+        const netProfit = grossProfit - grossLoss;
+
+        // 最大回撤 (以累計損益曲線計算)
+        let equity = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        for (const trade of trades) {
+            equity += trade.profit;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+        }
+
+        const decided = wins.length + losses.length;
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: decided > 0 ? (wins.length / decided) * 100 : null,
+            netPoints: trades.reduce((sum, t) => sum + t.points, 0),
+            netProfit: netProfit,
+            grossProfit: grossProfit,
+            grossLoss: grossLoss,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+            expectancy: trades.length > 0 ? netProfit / trades.length : null,
+            avgWin: wins.length > 0 ? grossProfit / wins.length : null,
+            avgLoss: losses.length > 0 ? grossLoss / losses.length : null,
+            maxDrawdown: maxDrawdown
+        };
+    }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,194 @@
+/**
+ * Optimizer - 參數網格搜尋與 Walk-Forward 驗證
+ * 以 Backtester 重播歷史 K 線，掃描參數範圍並依指標排序；
+ * Walk-Forward 將交易日切成樣本內 (IS) / 樣本外 (OOS) 視窗，以 IS 最佳參數驗證 OOS 表現，分辨穩健與過度擬合的參數
+ */
+
+const Backtester = require('./Backtester');
+const { ConfigError } = require('../errors');
+
+// 可掃描的參數 (Backtester params)
+const OPTIMIZABLE_PARAMS = ['entryOffset', 'longTP', 'shortTP', 'longSL', 'shortSL', 'baselineOffsetMinutes', 'minsAfterOpen'];
+const MAX_COMBINATIONS = 5000;
+
+// 排序指標 (愈大愈好，無法計算時為 null)
+const RANK_METRICS = {
+    'profit-factor': s => s.profitFactor,
+    'expectancy': s => s.expectancy,
+    'return-drawdown': s => (s.maxDrawdown > 0 ? s.netProfit / s.maxDrawdown : (s.netProfit > 0 ? Infinity : s.netProfit)) // 報酬 / 最大回撤
+};
+
+/**
+ * 解析單一參數的掃描範圍
+ * 支援陣列 [5, 10, 15]、"from:to:step" 字串或 { from, to, step }
+ */
+function parseRange(key, spec) {
+    if (Array.isArray(spec)) return spec.map(Number);
+    if (typeof spec === 'number') return [spec];
+
+    let range = spec;
+    if (typeof spec === 'string') {
+        const [from, to, step] = spec.split(':').map(Number);
+        range = { from, to: to ?? from, step: step || 1 };
+    }
+    const { from, to, step = 1 } = range || {};
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || from > to) {
+        throw new ConfigError(`參數範圍格式錯誤: ${key} = ${JSON.stringify(spec)}`);
+    }
+
+    // 以整數步數避免浮點累加誤差
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => Number((from + i * step).toFixed(10)));
+}
+
+/**
+ * 建立參數組合 (笛卡兒積)
+ * @param {object} ranges - { entryOffset: '5:20:5', longTP: [5, 8], ... }
+ */
+function buildGrid(ranges) {
+    const keys = Object.keys(ranges || {});
+    if (keys.length === 0) throw new ConfigError('未指定掃描參數');
+    const unknown = keys.filter(k => !OPTIMIZABLE_PARAMS.includes(k));
+    if (unknown.length > 0) throw new ConfigError(`不支援掃描的參數: ${unknown.join(', ')} (可用: ${OPTIMIZABLE_PARAMS.join(', ')})`);
+
+    const values = keys.map(k => parseRange(k, ranges[k]));
+    const total = values.reduce((n, list) => n * list.length, 1);
+    if (total > MAX_COMBINATIONS) throw new ConfigError(`參數組合過多 (${total} > ${MAX_COMBINATIONS})，請縮小範圍或加大步長`);
+
+    return values.reduce(
+        (combos, list, i) => combos.flatMap(combo => list.map(value => ({ ...combo, [keys[i]]: value }))),
+        [{}]
+    );
+}
+
+class Optimizer {
+    /**
+     * @param {object} options - Backtester 選項 (market / params / strategy / strategyParams / spread / slippage)
+     * @param {object} [options.rankBy] - 排序指標 (profit-factor / expectancy / return-drawdown)
+     * @param {number} [options.minTrades] - 交易筆數下限 (不足者不列入排名)
+     */
+    constructor(options) {
+        this.options = options;
+        this.rankBy = options.rankBy || 'profit-factor';
+        if (!RANK_METRICS[this.rankBy]) throw new ConfigError(`未知的排序指標: ${this.rankBy} (可用: ${Object.keys(RANK_METRICS).join(', ')})`);
+        this.minTrades = options.minTrades || 1;
+        this.sessionGrouper = new Backtester(options);
+    }
+
+    score(summary) {
+        if (summary.trades < this.minTrades) return null;
+        const value = RANK_METRICS[this.rankBy](summary);
+        return value === null || Number.isNaN(value) ? null : value;
+    }
+
+    /** 以指定參數組合回測 */
+    backtest(bars, combo) {
+        const backtester = new Backtester({ ...this.options, params: { ...this.options.params, ...combo } });
+        const { trades, days, summary } = backtester.run(bars);
+        return { params: backtester.params, trades, days, summary, score: this.score(summary) };
+    }
+
+    /** 依分數排序 (同分以淨損益排序，無分數者排最後) */
+    rank(results) {
+        return [...results].sort((a, b) =>
+            (b.score ?? -Infinity) - (a.score ?? -Infinity) || b.summary.netProfit - a.summary.netProfit);
+    }
+
+    /**
+     * 網格搜尋
+     * @returns {Array} 依分數排序的 { combo, params, summary, score }
+     */
+    runGrid(bars, grid) {
+        return this.rank(grid.map(combo => {
+            const { params, summary, score } = this.backtest(bars, combo);
+            return { combo, params, summary, score };
+        }));
+    }
+
+    /** 將 K 線依交易日切成 Walk-Forward 視窗 */
+    splitWalkForward(bars, inSampleDays, outSampleDays) {
+        const sessions = [...this.sessionGrouper.groupBySession(bars)];
+        const folds = [];
+        for (let start = 0; start + inSampleDays < sessions.length; start += outSampleDays) {
+            const inSample = sessions.slice(start, start + inSampleDays);
+            const outSample = sessions.slice(start + inSampleDays, start + inSampleDays + outSampleDays);
+            folds.push({
+                inSample: { from: inSample[0][0], to: inSample[inSample.length - 1][0], days: inSample.length, bars: inSample.flatMap(([, b]) => b) },
+                outSample: { from: outSample[0][0], to: outSample[outSample.length - 1][0], days: outSample.length, bars: outSample.flatMap(([, b]) => b) }
+            });
+        }
+        return folds;
+    }
+
+    /**
+     * Walk-Forward：每個視窗以 IS 網格搜尋最佳參數，於緊接的 OOS 視窗驗證
+     * @param {Array} windows - splitWalkForward() 的結果
+     * @returns {{ folds: Array, outOfSample: object, efficiency: number|null }}
+     */
+    walkForward(windows, grid) {
+        const oosTrades = [];
+        let isDays = 0;
+        let isProfit = 0;
+        let oosDays = 0;
+
+        const folds = windows.map(({ inSample, outSample }) => {
+            const best = this.runGrid(inSample.bars, grid)[0];
+            const oos = this.backtest(outSample.bars, best.combo);
+            oosTrades.push(...oos.trades);
+
+            isDays += inSample.days;
+            isProfit += best.summary.netProfit;
+            oosDays += oos.days.length;
+
+            return {
+                inSample: { from: inSample.from, to: inSample.to, summary: best.summary, score: best.score },
+                outSample: { from: outSample.from, to: outSample.to, summary: oos.summary, score: oos.score },
+                combo: best.combo
+            };
+        });
+
+        const outOfSample = Backtester.summarize(oosTrades);
+        // Walk-Forward 效率：OOS 日均損益 / IS 日均損益 (接近 1 表示參數在樣本外仍有效)
+        const isDaily = isDays > 0 ? isProfit / isDays : 0;
+        const efficiency = isDaily > 0 && oosDays > 0 ? (outOfSample.netProfit / oosDays) / isDaily : null;
+
+        return { folds, outOfSample, efficiency };
+    }
+
+    /**
+     * 執行最佳化
+     * @param {Array} bars - loadBars() 輸出的 M1 K 線
+     * @param {object} ranges - 掃描範圍
+     * @param {object} [options] - { top: 前 N 名, walkForward: { inSampleDays, outSampleDays } }
+     */
+    run(bars, ranges, { top = 20, walkForward = null } = {}) {
+        const grid = buildGrid(ranges);
+        const ranked = this.runGrid(bars, grid);
+        const results = ranked.slice(0, top).map(({ combo, params, summary, score }) => ({ combo, params, summary, score }));
+
+        let walkForwardResult = null;
+        if (walkForward) {
+            const { inSampleDays, outSampleDays } = walkForward;
+            const windows = this.splitWalkForward(bars, inSampleDays, outSampleDays);
+            if (windows.length === 0) throw new ConfigError(`交易日不足以切出 Walk-Forward 視窗 (IS ${inSampleDays} 日 + OOS ${outSampleDays} 日)`);
+            walkForwardResult = { inSampleDays, outSampleDays, ...this.walkForward(windows, grid) };
+
+            // 前段參數在 OOS 視窗的合併表現與被選為 IS 最佳的次數
+            for (const result of results) {
+                const oosTrades = windows.flatMap(w => this.backtest(w.outSample.bars, result.combo).trades);
+                result.outOfSample = Backtester.summarize(oosTrades);
+                result.selectedFolds = walkForwardResult.folds.filter(f =>
+                    Object.keys(result.combo).every(k => f.combo[k] === result.combo[k])).length;
+            }
+        }
+
+        return { combinations: grid.length, results, walkForward: walkForwardResult };
+    }
+}
+
+module.exports = {
+    Optimizer,
+    OPTIMIZABLE_PARAMS,
+    RANK_METRICS,
+    buildGrid
+};
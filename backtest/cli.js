@@ -0,0 +1,76 @@
+/**
+ * 回測 / 最佳化 CLI 共用：參數解析、基準參數與 K 線載入
+ */
+
+const config = require('../config');
+const { loadBars } = require('./loadBars');
+
+const NUMERIC_PARAMS = ['entryOffset', 'longTP', 'shortTP', 'longSL', 'shortSL', 'lotSize', 'minsAfterOpen', 'baselineOffsetMinutes', 'baselineRangeMinutes'];
+
+// 解析 --key value 參數
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        args[key] = next === undefined || next.startsWith('--') ? true : next;
+        if (args[key] !== true) i++;
+    }
+    return args;
+}
+
+function formatNumber(value, digits = 2) {
+    if (value === null || value === undefined) return '--';
+    if (value === Infinity) return '∞';
+    return value.toFixed(digits);
+}
+
+/** 回測參數：未指定的沿用 config.js / .env 預設值 */
+function buildParams(args) {
+    const params = {
+        entryOffset: config.strategy.entryOffset,
+        longTP: config.strategy.longTP,
+        shortTP: config.strategy.shortTP,
+        longSL: config.strategy.longSL,
+        shortSL: config.strategy.shortSL,
+        lotSize: config.account.baseLotSize,
+        minsAfterOpen: config.market.minsAfterOpen,
+        baselineOffsetMinutes: config.market.baselineOffsetMinutes,
+        baselineMethod: args.baselineMethod || config.market.baselineMethod,
+        baselineRangeMinutes: config.market.baselineRangeMinutes
+    };
+    NUMERIC_PARAMS.forEach(key => {
+        if (args[key] !== undefined) params[key] = parseFloat(args[key]);
+    });
+    return params;
+}
+
+/** Backtester 選項 (策略、點差、滑價) */
+function buildBacktestOptions(args) {
+    return {
+        market: config.market,
+        params: buildParams(args),
+        strategy: args.strategy || config.strategy.name,
+        strategyParams: args.strategyParams ? JSON.parse(args.strategyParams) : {},
+        spread: args.spread ? parseFloat(args.spread) : 0,
+        slippage: args.slippage ? parseFloat(args.slippage) : 0
+    };
+}
+
+/** 載入 K 線並套用 --from / --to 日期範圍 */
+function loadBarsFromArgs(args) {
+    let bars = loadBars(args.file);
+    if (args.from) bars = bars.filter(b => b.time >= Date.parse(args.from));
+    if (args.to) bars = bars.filter(b => b.time < Date.parse(args.to) + 86400000);
+    console.log(`📂 載入 ${bars.length} 根 M1 K 線 (${args.file})`);
+    return bars;
+}
+
+module.exports = {
+    parseArgs,
+    formatNumber,
+    buildParams,
+    buildBacktestOptions,
+    loadBarsFromArgs
+};
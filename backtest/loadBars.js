@@ -0,0 +1,80 @@
+/**
+ * 歷史 M1 K 線載入 (回測用)
+ * 支援 CSV / JSON，輸出統一格式：{ time, open, high, low, close, volume } (time = UTC ms，價格 = Raw Price)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { realToRawPrice, trendbarToBar } = require('../utils');
+const { MarketDataError } = require('../errors');
+
+// 解析時間欄位：ISO 字串、Unix 秒或毫秒
+function parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    if (!Number.isNaN(num)) {
+        return num < 1e12 ? num * 1000 : num;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+// OHLC (真實價格) -> 統一格式
+function fromOhlc(bar) {
+    return {
+        time: parseTime(bar.time ?? bar.timestamp ?? bar.date),
+        open: Math.round(realToRawPrice(Number(bar.open))),
+        high: Math.round(realToRawPrice(Number(bar.high))),
+        low: Math.round(realToRawPrice(Number(bar.low))),
+        close: Math.round(realToRawPrice(Number(bar.close))),
+        volume: Number(bar.volume ?? bar.tickVolume) || 0
+    };
+}
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return [];
+
+    const header = lines[0].toLowerCase().split(/[,;\t]/).map(h => h.trim());
+    const hasHeader = header.includes('open');
+    const columns = hasHeader ? header : ['time', 'open', 'high', 'low', 'close'];
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+        const values = line.split(/[,;\t]/);
+        const row = {};
+        columns.forEach((col, i) => { row[col] = values[i]; });
+        return fromOhlc(row);
+    });
+}
+
+function parseJson(content) {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : (data.trendbar || data.bars || []);
+    return list.map(bar => (bar.utcTimestampInMinutes !== undefined ? trendbarToBar(bar) : fromOhlc(bar)));
+}
+
+/**
+ * 載入 K 線檔案 (依副檔名判斷格式)，回傳依時間排序、去重後的 K 線
+ */
+function loadBars(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new MarketDataError(`找不到 K 線檔案: ${filePath}`, { filePath });
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const bars = path.extname(filePath).toLowerCase() === '.json' ? parseJson(content) : parseCsv(content);
+
+    const valid = bars.filter(b => b.time !== null && [b.open, b.high, b.low, b.close].every(Number.isFinite));
+    if (valid.length === 0) {
+        throw new MarketDataError(`K 線檔案無有效資料: ${filePath}`, { filePath });
+    }
+
+    const byTime = new Map();
+    valid.forEach(b => byTime.set(b.time, b));
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+module.exports = {
+    loadBars,
+    fromTrendbar: trendbarToBar
+};
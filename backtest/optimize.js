@@ -0,0 +1,97 @@
+/**
+ * 參數最佳化 CLI (網格搜尋 + Walk-Forward)
+ * 用法: node backtest/optimize.js --file bars.csv --grid '{"entryOffset":"5:20:5","longTP":[5,8,10]}'
+ *       [--rank profit-factor|expectancy|return-drawdown] [--minTrades N] [--top N]
+ *       [--inSample 20 --outSample 5] [--save] [--name 說明] [--out result.json]
+ * 其餘參數 (--strategy / --spread / --from ...) 與 backtest/run.js 相同，未掃描的參數沿用其值
+ */
+
+require('dotenv').config();
+process.env.SKIP_CONFIG_VALIDATION = 'true';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const db = require('../db');
+const { Optimizer, OPTIMIZABLE_PARAMS, RANK_METRICS } = require('./Optimizer');
+const { parseArgs, formatNumber, buildBacktestOptions, loadBarsFromArgs } = require('./cli');
+
+function formatSummary(summary) {
+    return `${summary.trades} 筆 | 勝率 ${formatNumber(summary.winRate, 1)}% | 淨損益 $${formatNumber(summary.netProfit)} | PF ${formatNumber(summary.profitFactor)} | 期望值 $${formatNumber(summary.expectancy)} | 回撤 $${formatNumber(summary.maxDrawdown)}`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file || !args.grid) {
+        console.error('用法: node backtest/optimize.js --file <bars.csv|bars.json> --grid \'{"entryOffset":"5:20:5","longTP":[5,8,10]}\'');
+        console.error(`                               [--rank ${Object.keys(RANK_METRICS).join('|')}] [--minTrades N] [--top N]`);
+        console.error('                               [--inSample 日數 --outSample 日數] [--save] [--name 說明] [--out result.json]');
+        console.error(`   可掃描參數: ${OPTIMIZABLE_PARAMS.join(', ')} (範圍: [值...] 或 "起:迄:步長")`);
+        console.error('   其餘參數同 backtest/run.js');
+        process.exit(1);
+    }
+
+    const options = buildBacktestOptions(args);
+    const bars = loadBarsFromArgs(args);
+    const ranges = JSON.parse(args.grid);
+    const walkForward = args.inSample
+        ? { inSampleDays: parseInt(args.inSample), outSampleDays: parseInt(args.outSample) || 5 }
+        : null;
+
+    const optimizer = new Optimizer({ ...options, rankBy: args.rank, minTrades: args.minTrades ? parseInt(args.minTrades) : 1 });
+    const startedAt = Date.now();
+    const result = optimizer.run(bars, ranges, { top: args.top ? parseInt(args.top) : 20, walkForward });
+    console.log(`⏱️ ${result.combinations} 組參數，耗時 ${((Date.now() - startedAt) / 1000).toFixed(1)} 秒`);
+
+    console.log(`\n🏆 排名 (依 ${optimizer.rankBy}，交易數至少 ${optimizer.minTrades} 筆)`);
+    result.results.forEach((r, i) => {
+        console.log(`${String(i + 1).padStart(3)} | ${JSON.stringify(r.combo)} | 分數 ${formatNumber(r.score)} | ${formatSummary(r.summary)}`);
+        if (r.outOfSample) console.log(`      └ OOS: ${formatSummary(r.outOfSample)} | 入選 IS 最佳 ${r.selectedFolds} 次`);
+    });
+
+    if (result.walkForward) {
+        const wf = result.walkForward;
+        console.log(`\n🚶 Walk-Forward (IS ${wf.inSampleDays} 日 / OOS ${wf.outSampleDays} 日，${wf.folds.length} 個視窗)`);
+        wf.folds.forEach((f, i) => {
+            console.log(`${String(i + 1).padStart(3)} | IS ${f.inSample.from}~${f.inSample.to} → OOS ${f.outSample.from}~${f.outSample.to} | ${JSON.stringify(f.combo)}`);
+            console.log(`      IS: ${formatSummary(f.inSample.summary)}`);
+            console.log(`      OOS: ${formatSummary(f.outSample.summary)}`);
+        });
+        console.log(`   OOS 合併: ${formatSummary(wf.outOfSample)}`);
+        console.log(`   Walk-Forward 效率 (OOS / IS 日均損益): ${formatNumber(wf.efficiency)}`);
+    }
+
+    const record = {
+        id: crypto.randomUUID(),
+        name: args.name || null,
+        createdAt: new Date(),
+        file: args.file,
+        from: args.from || null,
+        to: args.to || null,
+        bars: bars.length,
+        strategy: options.strategy,
+        strategyParams: options.strategyParams,
+        baseParams: options.params,
+        spread: options.spread,
+        slippage: options.slippage,
+        grid: ranges,
+        rankBy: optimizer.rankBy,
+        minTrades: optimizer.minTrades,
+        ...result
+    };
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(record, null, 2));
+        console.log(`\n💾 結果已寫入 ${args.out}`);
+    }
+    if (args.save) {
+        await db.saveOptimization(record);
+        await db.closeDB();
+        console.log(`\n💾 結果已存入 MongoDB (ID: ${record.id})，可於 Dashboard 瀏覽並建立 Profile`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 最佳化失敗:', error.message);
+    process.exit(1);
+});
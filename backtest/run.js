@@ -0,0 +1,52 @@
+/**
+ * 回測 CLI
+ * 用法: node backtest/run.js --file bars.csv [--entryOffset 10] [--longTP 8] [--from 2025-01-01] [--out result.json]
+ * 未指定的參數沿用 config.js / .env 預設值
+ */
+
+require('dotenv').config();
+process.env.SKIP_CONFIG_VALIDATION = 'true';
+
+const fs = require('fs');
+const Backtester = require('./Backtester');
+const { parseArgs, formatNumber, buildBacktestOptions, loadBarsFromArgs } = require('./cli');
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file) {
+        console.error('用法: node backtest/run.js --file <bars.csv|bars.json> [--entryOffset N] [--longTP N] [--shortTP N] [--longSL N] [--shortSL N]');
+        console.error('                          [--lotSize N] [--minsAfterOpen N] [--baselineOffsetMinutes N] [--strategy id]');
+        console.error('                          [--baselineMethod bar-open|bar-close|prev-close|range-mid|vwap] [--baselineRangeMinutes N]');
+        console.error('                          [--strategyParams \'{"rangeMinutes":30}\']');
+        console.error('                          [--spread N] [--slippage N] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--out result.json]');
+        process.exit(1);
+    }
+
+    const options = buildBacktestOptions(args);
+    const { params } = options;
+    const bars = loadBarsFromArgs(args);
+
+    const backtester = new Backtester(options);
+    const result = backtester.run(bars);
+    const { summary } = result;
+
+    console.log('\n📋 交易明細');
+    result.trades.forEach((t, i) => {
+        console.log(`${String(i + 1).padStart(4)} | ${t.date} | ${t.type.padEnd(5)} | 進場 ${formatNumber(t.entryPrice)} | 出場 ${formatNumber(t.exitPrice)} (${t.exitReason}) | ${formatNumber(t.points)} 點 | $${formatNumber(t.profit)}`);
+    });
+
+    console.log('\n📊 回測摘要');
+    console.log(`   參數: ${JSON.stringify(params)}`);
+    console.log(`   交易日: ${result.days.length} | 交易: ${summary.trades} (${summary.wins}勝/${summary.losses}敗) | 勝率: ${formatNumber(summary.winRate, 1)}%`);
+    console.log(`   淨損益: $${formatNumber(summary.netProfit)} (${formatNumber(summary.netPoints)} 點) | Profit Factor: ${formatNumber(summary.profitFactor)}`);
+    console.log(`   期望值: $${formatNumber(summary.expectancy)} | 平均獲利: $${formatNumber(summary.avgWin)} | 平均虧損: $${formatNumber(summary.avgLoss)}`);
+    console.log(`   最大回撤: $${formatNumber(summary.maxDrawdown)}`);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify({ params, ...result }, null, 2));
+        console.log(`\n💾 結果已寫入 ${args.out}`);
+    }
+}
+
+main();
@@ -19,6 +19,158 @@ const getEnvBoolean = (key, defaultValue) => {
     return value === 'true' || value === '1';
 };
 
+const CTRADER_MODE = getEnvString('CTRADER_MODE', 'demo');
+const isPaperMode = CTRADER_MODE === 'paper';
+
+// 帳戶清單：CTRADER_ACCOUNTS (JSON 陣列) 優先，否則 CTRADER_ACCOUNT_ID (逗號分隔)
+// JSON 格式: [{ "accountId": "123", "mode": "live", "label": "Live", "lotSize": 0.2, "accessToken": "..." }]
+const buildAccounts = () => {
+    let list;
+    const json = getEnvString('CTRADER_ACCOUNTS', '');
+    if (json) {
+        try {
+            list = JSON.parse(json);
+        } catch (error) {
+            console.error(`❌ 設定錯誤：CTRADER_ACCOUNTS 不是有效的 JSON (${error.message})`);
+            process.exit(1);
+        }
+    } else {
+        list = getEnvString('CTRADER_ACCOUNT_ID', isPaperMode ? '1' : '')
+            .split(',').map(id => id.trim()).filter(Boolean)
+            .map(accountId => ({ accountId }));
+    }
+
+    return list.map(account => ({
+        accountId: String(account.accountId),
+        mode: isPaperMode ? 'paper' : (account.mode || CTRADER_MODE), // 模擬交易模式下所有帳戶皆為模擬帳戶
+        label: account.label || String(account.accountId),
+        lotSize: account.lotSize ?? null,          // null = 沿用商品設定
+        accessToken: account.accessToken || null   // null = 共用 CTRADER_ACCESS_TOKEN
+    }));
+};
+
+const ACCOUNTS = buildAccounts();
+
+// 新聞禁止交易規則：NEWS_BLACKOUT_RULES (JSON 陣列) 優先，否則由簡易設定組成
+// JSON 格式: [{ "action": "no-entry", "impacts": ["high"], "currencies": ["USD"], "keywords": [], "before": 15, "after": 15 }]
+const buildNewsRules = () => {
+    const json = getEnvString('NEWS_BLACKOUT_RULES', '');
+    if (json) {
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            console.error(`❌ 設定錯誤：NEWS_BLACKOUT_RULES 不是有效的 JSON (${error.message})`);
+            process.exit(1);
+        }
+    }
+
+    const list = (key, defaultValue) => getEnvString(key, defaultValue).split(',').map(s => s.trim()).filter(Boolean);
+    const rules = [{
+        action: 'no-entry',
+        impacts: list('NEWS_BLACKOUT_IMPACT', 'high').map(s => s.toLowerCase()),
+        currencies: list('NEWS_BLACKOUT_CURRENCIES', 'USD').map(s => s.toUpperCase()),
+        before: getEnvNumber('NEWS_BLACKOUT_BEFORE', 15),
+        after: getEnvNumber('NEWS_BLACKOUT_AFTER', 15)
+    }];
+
+    // 指定事件 (標題關鍵字，如 FOMC) 前平倉
+    const flattenKeywords = list('NEWS_FLATTEN_EVENTS', '');
+    if (flattenKeywords.length > 0) {
+        rules.push({
+            action: 'flatten',
+            keywords: flattenKeywords,
+            before: getEnvNumber('NEWS_FLATTEN_BEFORE', 5),
+            after: getEnvNumber('NEWS_BLACKOUT_AFTER', 15)
+        });
+    }
+    return rules;
+};
+
+// 參數排程：{PREFIX}_PARAMETER_SCHEDULE 優先，否則 PARAMETER_SCHEDULE (JSON 陣列，見 ParameterSchedule.js)
+// JSON 格式: [{ "label": "週一", "days": ["mon"], "profile": "Monday" }, { "dates": ["2026-11-27"], "action": "no-trade" }]
+const buildSchedule = (prefix) => {
+    const key = process.env[`${prefix}_PARAMETER_SCHEDULE`] ? `${prefix}_PARAMETER_SCHEDULE` : 'PARAMETER_SCHEDULE';
+    const json = getEnvString(key, '');
+    if (!json) return [];
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        console.error(`❌ 設定錯誤：${key} 不是有效的 JSON (${error.message})`);
+        process.exit(1);
+    }
+};
+
+// 交易商品清單 (逗號分隔，第一個為主要商品)
+const SYMBOLS = getEnvString('SYMBOLS', 'US30').split(',').map(s => s.trim()).filter(Boolean);
+
+// 單一商品設定：商品專屬環境變數 (如 NAS100_ENTRY_OFFSET) 優先，否則沿用全域設定
+const buildInstrument = (symbol) => {
+    const prefix = symbol.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const num = (key, defaultValue) => getEnvNumber(`${prefix}_${key}`, getEnvNumber(key, defaultValue));
+
+    return {
+        symbol: symbol,
+        strategy: getEnvString(`${prefix}_STRATEGY`, getEnvString('STRATEGY', 'mean-reversion')),
+        entryOffset: num('ENTRY_OFFSET', 10),
+        longTP: num('LONG_TP', 8),
+        shortTP: num('SHORT_TP', 5),
+        longSL: num('LONG_SL', 1000),
+        shortSL: num('SHORT_SL', 1000),
+        lotSize: num('BASE_LOT_SIZE', 0.1),
+        // 部位大小 (fixed = 固定手數 / percent = 權益百分比風險 / dollar = 固定金額風險)
+        sizingMode: getEnvString(`${prefix}_SIZING_MODE`, getEnvString('SIZING_MODE', 'fixed')),
+        riskPercent: num('RISK_PERCENT', 1),                    // percent 模式：每筆交易承擔權益的 X%
+        riskAmount: num('RISK_AMOUNT', 10),                     // dollar 模式：每筆交易承擔的帳戶幣別金額
+        maxLotSize: num('MAX_LOT_SIZE', 10),                    // 手數上限 (所有模式皆適用)
+        // 波動度自適應 (off = 固定點數 / atr = 近 N 個交易日 ATR / range = 近 N 個交易日平均高低差)
+        volatilityMode: getEnvString(`${prefix}_VOLATILITY_MODE`, getEnvString('VOLATILITY_MODE', 'off')),
+        volatilityPeriod: num('VOLATILITY_PERIOD', 14),
+        // 以波動度倍數表示的 entryOffset / TP / SL (0 = 該欄位沿用固定點數)
+        entryOffsetMult: num('ENTRY_OFFSET_MULT', 0),
+        longTPMult: num('LONG_TP_MULT', 0),
+        shortTPMult: num('SHORT_TP_MULT', 0),
+        longSLMult: num('LONG_SL_MULT', 0),
+        shortSLMult: num('SHORT_SL_MULT', 0),
+        minsAfterOpen: num('MINS_AFTER_OPEN', 1),
+        baselineOffsetMinutes: num('BASELINE_OFFSET_MINUTES', 0),
+        baselineMethod: getEnvString(`${prefix}_BASELINE_METHOD`, getEnvString('BASELINE_METHOD', 'bar-open')), // bar-open / bar-close / prev-close / range-mid / vwap / manual
+        baselineRangeMinutes: num('BASELINE_RANGE_MINUTES', 15),   // range-mid / vwap：開盤後 N 分鐘
+        entryOrderType: getEnvString(`${prefix}_ENTRY_ORDER_TYPE`, getEnvString('ENTRY_ORDER_TYPE', 'market')), // market / limit / stop
+        // 持倉管理 (點數，0 = 停用)
+        breakEvenTrigger: num('BREAK_EVEN_TRIGGER', 0),         // 獲利達 X 點後止損移至保本
+        breakEvenOffset: num('BREAK_EVEN_OFFSET', 0),           // 保本止損相對成交價多鎖定的點數
+        trailingDistance: num('TRAILING_STOP_DISTANCE', 0),     // 追蹤止損距離 Y 點
+        trailingMode: getEnvString(`${prefix}_TRAILING_STOP_MODE`, getEnvString('TRAILING_STOP_MODE', 'engine')), // engine (引擎改單) / broker (cTrader trailingStopLoss)
+        trailingStep: num('TRAILING_STOP_STEP', 1),             // 止損至少改善幾點才送出改單
+        tightenStopTime: getEnvString(`${prefix}_TIGHTEN_STOP_TIME`, getEnvString('TIGHTEN_STOP_TIME', '')), // 台北時間 HH:MM 後收緊止損
+        tightenStopDistance: num('TIGHTEN_STOP_DISTANCE', 0),   // 收緊後止損與現價的距離
+        partialTpRatio: num('PARTIAL_TP_RATIO', 0),             // 第一目標平倉比例 (0 = 停用，0.5 = 平倉一半)
+        partialTpPoints: num('PARTIAL_TP_POINTS', 0),           // 第一目標：獲利達 X 點 (相對成交價)
+        // 報價品質過濾 (0 = 停用)：點差過大時不進場
+        maxSpread: num('MAX_SPREAD', 0),                        // 點差上限 (點)
+        spreadPercentile: num('SPREAD_PERCENTILE', 0),          // 點差超過近期第 N 百分位時不進場 (如 95)
+        spreadWindow: num('SPREAD_WINDOW', 500),                // 百分位計算的報價筆數
+        // 時間出場 (由 trading-bot 每分鐘的 cron 檢查)
+        maxHoldMinutes: num('MAX_HOLD_MINUTES', 0),             // 持倉超過 N 分鐘平倉 (0 = 停用)
+        exitTime: getEnvString(`${prefix}_EXIT_TIME`, getEnvString('EXIT_TIME', '')), // 固定時間 HH:MM 平倉
+        exitTimeZone: getEnvString(`${prefix}_EXIT_TIME_ZONE`, getEnvString('EXIT_TIME_ZONE', 'Asia/Taipei')), // IANA 時區或 exchange (Symbol 交易時段時區)
+        sessionCloseExit: getEnvString(`${prefix}_SESSION_CLOSE_EXIT`, getEnvString('SESSION_CLOSE_EXIT', 'off')), // off / session (每個時段收盤前) / weekend (週末休市前)
+        sessionCloseBufferMinutes: num('SESSION_CLOSE_BUFFER_MINUTES', 5), // 收盤前幾分鐘平倉
+        // 熔斷 (0 = 停用)：觸發後暫停交易，需由 Dashboard 手動解除
+        maxDailyLoss: num('MAX_DAILY_LOSS', 0),                 // 當日已實現虧損上限 (帳戶幣別)
+        maxConsecutiveLosses: num('MAX_CONSECUTIVE_LOSSES', 0), // 連續虧損筆數上限
+        maxDrawdownPercent: num('MAX_DRAWDOWN_PERCENT', 0),     // 權益自高點回撤 % 上限
+        circuitBreakerFlatten: getEnvBoolean(`${prefix}_CIRCUIT_BREAKER_FLATTEN`,
+            getEnvBoolean('CIRCUIT_BREAKER_FLATTEN', false)),   // 觸發時是否平倉
+        maxTradesPerDay: num('MAX_TRADES_PER_DAY', 1),                 // 每個交易日最多進場次數
+        reentryCooldownMinutes: num('REENTRY_COOLDOWN_MINUTES', 0),    // 平倉後冷卻分鐘數
+        reentryRequiresBandReturn: getEnvBoolean(`${prefix}_REENTRY_REQUIRES_BAND_RETURN`,
+            getEnvBoolean('REENTRY_REQUIRES_BAND_RETURN', true)),      // 再進場前價格須先回到 ±entryOffset 區間內
+        schedule: buildSchedule(prefix),                               // 依星期 / 日期切換參數或不交易
+        paperStartPrice: num('PAPER_START_PRICE', 42000) // 模擬交易報價起始價格
+    };
+};
+
 module.exports = {
     // cTrader Open API 設定
     ctrader: {
@@ -28,14 +180,47 @@ module.exports = {
         refreshToken: getEnvString('CTRADER_REFRESH_TOKEN', ''),
 
         // Demo or Live
-        mode: getEnvString('CTRADER_MODE', 'demo'),
-        accountId: getEnvString('CTRADER_ACCOUNT_ID', ''),
+        // demo / live / paper (paper = 本地模擬交易，不需憑證)
+        mode: CTRADER_MODE,
+        accountId: ACCOUNTS[0]?.accountId || '', // 主要帳戶
 
         // API Endpoints (更新於 2026-01: 使用 ctraderapi.com)
-        host: getEnvString('CTRADER_MODE', 'demo') === 'demo'
+        // CTRADER_HOST 可覆寫所有模式的伺服器 (例如本地模擬伺服器 mock/server.js)
+        host: getEnvString('CTRADER_HOST', CTRADER_MODE === 'demo'
             ? 'demo.ctraderapi.com'
-            : 'live.ctraderapi.com',
-        port: 5035  // Demo 和 Live 都使用 5035
+            : 'live.ctraderapi.com'),
+        // 各模式的伺服器 (demo 與 live 帳戶需分別連線)
+        hosts: {
+            demo: getEnvString('CTRADER_HOST', 'demo.ctraderapi.com'),
+            live: getEnvString('CTRADER_HOST', 'live.ctraderapi.com')
+        },
+        port: getEnvNumber('CTRADER_PORT', 5035),  // Demo 和 Live 都使用 5035
+        tls: getEnvBoolean('CTRADER_TLS', true),   // false = 純 TCP (僅供本地模擬伺服器)
+        rejectUnauthorized: getEnvBoolean('CTRADER_TLS_REJECT_UNAUTHORIZED', true), // 自簽憑證時設為 false
+
+        // 連線 / 認證未就緒時的請求佇列 (下單類請求不排隊，立即失敗)
+        requestQueue: {
+            size: getEnvNumber('REQUEST_QUEUE_SIZE', 100),      // 佇列上限
+            ttlMs: getEnvNumber('REQUEST_QUEUE_TTL_MS', 30000)  // 排隊逾時 (毫秒)
+        }
+    },
+
+    // 交易帳戶 (每個帳戶 x 每個商品各自一個 ExecutionEngine)
+    accounts: ACCOUNTS,
+
+    // 模擬交易設定 (CTRADER_MODE=paper)
+    paper: {
+        initialBalance: getEnvNumber('PAPER_INITIAL_BALANCE', getEnvNumber('INITIAL_BALANCE', 300)),
+        volatility: getEnvNumber('PAPER_VOLATILITY', 2),      // 每個 tick 最大波動 (點)
+        tickIntervalMs: getEnvNumber('PAPER_TICK_MS', 1000),  // 報價更新間隔
+        spread: getEnvNumber('PAPER_SPREAD', 1),              // 點差 (點)
+        slippage: getEnvNumber('PAPER_SLIPPAGE', 0)           // 市價成交最大滑價 (點)
+    },
+
+    // 新聞禁止交易時段 (日曆檔不存在時停用)
+    news: {
+        calendarFile: getEnvString('NEWS_CALENDAR_FILE', 'news-calendar.json'), // 相對於專案根目錄
+        rules: buildNewsRules()
     },
 
     // MongoDB 設定
@@ -45,6 +230,7 @@ module.exports = {
 
     // 交易策略參數
     strategy: {
+        name: getEnvString('STRATEGY', 'mean-reversion'), // 策略插件 ID (見 strategies/)
         entryOffset: getEnvNumber('ENTRY_OFFSET', 10),
         longTP: getEnvNumber('LONG_TP', 8),
         shortTP: getEnvNumber('SHORT_TP', 5),
@@ -53,6 +239,9 @@ module.exports = {
         stopLoss: getEnvNumber('LONG_SL', 1000) // 保留相容性
     },
 
+    // 交易商品 (每個商品各自一個 ExecutionEngine)
+    instruments: SYMBOLS.map(buildInstrument),
+
     // 帳戶設定
     account: {
         initialBalance: getEnvNumber('INITIAL_BALANCE', 300),
@@ -61,9 +250,11 @@ module.exports = {
 
     // 市場時間設定 (CME Globex)
     market: {
-        symbol: 'US30', // cTrader symbol name
+        symbol: SYMBOLS[0], // 主要商品 (cTrader symbol name)
         minsAfterOpen: getEnvNumber('MINS_AFTER_OPEN', 1), // 開盤後幾分鐘開始盯盤
         baselineOffsetMinutes: getEnvNumber('BASELINE_OFFSET_MINUTES', 0), // 使用開盤後幾分鐘的價格作為基準點 (0=開盤時)
+        baselineMethod: getEnvString('BASELINE_METHOD', 'bar-open'), // 基準點計算方式 (見 utils.BASELINE_METHODS)
+        baselineRangeMinutes: getEnvNumber('BASELINE_RANGE_MINUTES', 15), // range-mid / vwap 使用開盤後幾分鐘的 K 線
 
         // 冬令時間 (UTC-5) -> 台北 07:00 開盤
         winter: {
@@ -93,13 +284,14 @@ module.exports = {
 const requiredVars = [
     'CTRADER_CLIENT_ID',
     'CTRADER_CLIENT_SECRET',
-    'CTRADER_ACCESS_TOKEN',
-    'CTRADER_ACCOUNT_ID'
+    'CTRADER_ACCESS_TOKEN'
 ];
 
 const missingVars = requiredVars.filter(key => !process.env[key]);
+if (ACCOUNTS.length === 0) missingVars.push('CTRADER_ACCOUNT_ID (或 CTRADER_ACCOUNTS)');
 
-if (missingVars.length > 0) {
+// 離線工具 (如回測) 與模擬交易模式不需要 cTrader 憑證
+if (missingVars.length > 0 && !isPaperMode && !getEnvBoolean('SKIP_CONFIG_VALIDATION', false)) {
     console.error('❌ 設定錯誤：缺少以下環境變數:');
     missingVars.forEach(v => console.error(`   - ${v}`));
     console.error('請參考 .env.example 建立 .env 檔案');
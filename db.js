@@ -1,5 +1,5 @@
 /**
- * MongoDB 資料庫連線與 Profile CRUD 操作
+ * MongoDB 資料庫連線、Profile CRUD 與參數最佳化結果
  */
 
 const { MongoClient } = require('mongodb');
@@ -10,6 +10,8 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/nas100
 const DB_NAME = 'trading-bot';
 const COLLECTION_NAME = 'profiles';
 const STATE_COLLECTION = 'bot_state'; // 新增：機器人狀態集合
+const DEFAULT_STATE_ID = 'current_state'; // 主要商品沿用的狀態文件 ID
+const OPTIMIZATION_COLLECTION = 'optimizations'; // 參數最佳化結果
 
 let client = null;
 let db = null;
@@ -121,12 +123,13 @@ async function closeDB() {
 
 /**
  * 載入機器人狀態
+ * @param {string} stateId - 狀態文件 ID (每個商品一份)
  */
-async function loadState() {
+async function loadState(stateId = DEFAULT_STATE_ID) {
     try {
         await connectDB();
         const stateCol = db.collection(STATE_COLLECTION);
-        const state = await stateCol.findOne({ _id: 'current_state' });
+        const state = await stateCol.findOne({ _id: stateId });
 
         if (state) {
             console.log('📂 從 MongoDB 載入機器人狀態');
@@ -141,14 +144,16 @@ async function loadState() {
 
 /**
  * 儲存機器人狀態
+ * @param {object} stateData - 狀態資料
+ * @param {string} stateId - 狀態文件 ID (每個商品一份)
  */
-async function saveState(stateData) {
+async function saveState(stateData, stateId = DEFAULT_STATE_ID) {
     try {
         await connectDB();
         const stateCol = db.collection(STATE_COLLECTION);
         await stateCol.updateOne(
-            { _id: 'current_state' },
-            { $set: { ...stateData, _id: 'current_state' } },
+            { _id: stateId },
+            { $set: { ...stateData, _id: stateId } },
             { upsert: true }
         );
     } catch (error) {
@@ -156,13 +161,63 @@ async function saveState(stateData) {
     }
 }
 
+/**
+ * 儲存參數最佳化結果
+ * @param {object} result - 最佳化結果 (含 id)
+ */
+async function saveOptimization(result) {
+    try {
+        await connectDB();
+        await db.collection(OPTIMIZATION_COLLECTION).insertOne({ ...result });
+    } catch (error) {
+        console.error('❌ 儲存最佳化結果失敗:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * 載入最佳化結果列表 (新到舊，僅含第一名與 Walk-Forward 摘要)
+ * @param {number} limit - 最多筆數
+ */
+async function loadOptimizations(limit = 50) {
+    try {
+        await connectDB();
+        return await db.collection(OPTIMIZATION_COLLECTION)
+            .find({}, { projection: { _id: 0, results: { $slice: 1 }, 'walkForward.folds': 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+    } catch (error) {
+        console.error('❌ 載入最佳化結果失敗:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * 載入單一最佳化結果
+ * @param {string} id - 結果 ID
+ */
+async function loadOptimization(id) {
+    try {
+        await connectDB();
+        return await db.collection(OPTIMIZATION_COLLECTION).findOne({ id }, { projection: { _id: 0 } });
+    } catch (error) {
+        console.error('❌ 載入最佳化結果失敗:', error.message);
+        throw error;
+    }
+}
+
 module.exports = {
     connectDB,
     loadProfiles,
     saveProfile,
     saveAllProfiles,
     deleteProfile,
+    DEFAULT_STATE_ID,
     loadState,
     saveState,
+    saveOptimization,
+    loadOptimizations,
+    loadOptimization,
     closeDB
 };
@@ -0,0 +1,399 @@
+/**
+ * MockCTraderServer - 本地模擬 cTrader Open API 伺服器 (端對端測試用)
+ * TCP / TLS 監聽，使用與 CTraderConnection 相同的 4 bytes 長度前綴 + ProtoMessage 封包
+ * 認證 (Application / Account Auth) 由伺服器處理，其餘請求 (商品、K 線、對賬、下單與成交事件) 交由 PaperConnection 的訂單簿回應
+ * 可注入故障：丟棄回應、延遲、錯誤碼、斷線，並可主動推送維護、Token 失效、帳戶斷開等伺服器事件
+ *
+ * 故障規則格式：{ type, action, delayMs, errorCode, description, execute, times }
+ * - type: 請求類型 (如 ProtoOANewOrderReq，* = 任何請求)
+ * - action: drop (不回應) / delay (延遲 delayMs 後處理) / error (回應錯誤碼) / disconnect (斷開該連線)
+ * - execute: drop / disconnect 時仍執行請求 (模擬已送達但回應遺失)
+ * - times: 觸發次數 (預設 1，0 = 不限)
+ */
+
+const net = require('net');
+const tls = require('tls');
+const EventEmitter = require('events');
+const PaperConnection = require('../PaperConnection');
+const { convertLongValue } = require('../utils');
+const { ConfigError } = require('../errors');
+
+const HEARTBEAT_INTERVAL_MS = 10000;
+const FAULT_ACTIONS = ['drop', 'delay', 'error', 'disconnect'];
+// 與 CTraderConnection 相同：下單類請求以 ProtoOAOrderErrorEvent 回應錯誤
+const ORDER_REQUESTS = ['ProtoOANewOrderReq', 'ProtoOACancelOrderReq', 'ProtoOAAmendOrderReq', 'ProtoOAAmendPositionSLTPReq', 'ProtoOAClosePositionReq'];
+
+/** 模擬券商：沿用 PaperConnection 的報價與訂單簿，回應改由伺服器寫回 socket */
+class MockBroker extends PaperConnection {
+    constructor(config, server) {
+        super(config);
+        this.server = server;
+    }
+
+    deliver(typeName, fields, clientMsgId = null) {
+        this.server.dispatch(typeName, fields, clientMsgId);
+    }
+}
+
+class MockCTraderServer extends EventEmitter {
+    /**
+     * @param {object} config - config.js (帳戶、商品與模擬交易設定)
+     * @param {object} [options]
+     * @param {string} [options.host] - 監聽位址 (預設 127.0.0.1)
+     * @param {number} [options.port] - 監聽埠 (預設 config.ctrader.port，0 = 隨機)
+     * @param {object} [options.tls] - { key, cert } (未提供時為純 TCP)
+     * @param {Array} [options.faults] - 初始故障規則
+     */
+    constructor(config, options = {}) {
+        super();
+
+        this.config = config;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? config.ctrader.port;
+        this.tlsOptions = options.tls || null;
+
+        // 模擬帳戶 (模擬伺服器上所有設定的帳戶皆可登入)
+        const accounts = (config.accounts.length ? config.accounts : [{ accountId: '1' }])
+            .map(account => ({ ...account, mode: 'paper' }));
+        this.broker = new MockBroker({ ...config, accounts }, this);
+
+        // 認證：未設定 clientId / Access Token 時接受任何值
+        this.clientId = config.ctrader.clientId || null;
+        this.clientSecret = config.ctrader.clientSecret || null;
+        this.acceptedTokens = new Set([config.ctrader.accessToken, ...accounts.map(a => a.accessToken)].filter(Boolean));
+        this.revokedTokens = new Set();
+
+        this.faults = [];
+        (options.faults || []).forEach(rule => this.addFault(rule));
+
+        this.clients = new Map();     // clientId -> { id, socket, buffer, appAuthenticated, accounts: Map(accountId -> token) }
+        this.mutedRoutes = new Set(); // 已執行但不回應的請求 (execute 故障)
+        this.nextClientId = 1;
+        this.maintenanceEndTimestamp = null;
+        this.server = null;
+        this.heartbeatInterval = null;
+    }
+
+    /** 啟動監聽 (回傳實際埠號) */
+    async start() {
+        await this.broker.loadProto();
+        this.proto = this.broker.proto;
+        this.ProtoMessage = this.proto.lookupType('ProtoMessage');
+
+        const onConnection = socket => this.handleConnection(socket);
+        this.server = this.tlsOptions
+            ? tls.createServer(this.tlsOptions, onConnection)
+            : net.createServer(onConnection);
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        this.port = this.server.address().port;
+
+        this.broker.connected = true;
+        this.broker.startTicking();
+        this.heartbeatInterval = setInterval(() => {
+            for (const client of this.clients.values()) this.write(client, 'ProtoHeartbeatEvent', {});
+        }, HEARTBEAT_INTERVAL_MS);
+
+        console.log(`🧪 模擬 cTrader 伺服器啟動: ${this.host}:${this.port} (${this.tlsOptions ? 'TLS' : 'TCP'})`);
+        return this.port;
+    }
+
+    async stop() {
+        clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+        this.broker.disconnect();
+        for (const client of this.clients.values()) client.socket.destroy();
+        this.clients.clear();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+        console.log('👋 模擬 cTrader 伺服器已停止');
+    }
+
+    // === 連線與封包 ===
+
+    handleConnection(socket) {
+        const client = { id: this.nextClientId++, socket, buffer: Buffer.alloc(0), appAuthenticated: false, accounts: new Map() };
+        this.clients.set(client.id, client);
+        console.log(`🔌 [Mock] 客戶端 #${client.id} 已連線 (${socket.remoteAddress})`);
+        this.emit('client-connected', client.id);
+
+        socket.on('data', data => {
+            try {
+                this.handleData(client, data);
+            } catch (error) {
+                console.error(`❌ [Mock] 客戶端 #${client.id} 訊息處理失敗:`, error.message);
+            }
+        });
+        socket.on('error', error => console.error(`❌ [Mock] 客戶端 #${client.id} Socket 錯誤:`, error.message));
+        socket.on('close', () => {
+            this.clients.delete(client.id);
+            this.dropSubscriptions(client);
+            console.log(`🔌 [Mock] 客戶端 #${client.id} 已斷線`);
+            this.emit('client-disconnected', client.id);
+        });
+    }
+
+    /** 解析 [4 bytes 長度][ProtoMessage] 封包 */
+    handleData(client, data) {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        while (client.buffer.length >= 4) {
+            const length = client.buffer.readUInt32BE(0);
+            if (client.buffer.length < 4 + length) break;
+            const message = this.ProtoMessage.decode(client.buffer.subarray(4, 4 + length));
+            client.buffer = client.buffer.subarray(4 + length);
+            this.handleRequest(client, message);
+        }
+    }
+
+    write(client, typeName, fields, clientMsgId = null) {
+        if (client.socket.destroyed) return;
+        const MessageType = this.proto.lookupType(typeName);
+        const wrapped = this.ProtoMessage.encode(this.ProtoMessage.create({
+            payloadType: this.broker.getPayloadTypeId(typeName),
+            payload: MessageType.encode(MessageType.create(fields)).finish(),
+            clientMsgId: clientMsgId || undefined
+        })).finish();
+
+        const lengthPrefix = Buffer.alloc(4);
+        lengthPrefix.writeUInt32BE(wrapped.length, 0);
+        client.socket.write(Buffer.concat([lengthPrefix, wrapped]));
+    }
+
+    /**
+     * 派送回應或事件
+     * routeId (`${客戶端}:${clientMsgId}`) 存在時回應發出請求的客戶端，否則送給已認證該帳戶的客戶端
+     */
+    dispatch(typeName, fields, routeId = null) {
+        if (routeId) {
+            if (this.mutedRoutes.has(routeId)) return;
+            const separator = routeId.indexOf(':');
+            const client = this.clients.get(parseInt(routeId.slice(0, separator)));
+            if (client) this.write(client, typeName, fields, routeId.slice(separator + 1));
+            return;
+        }
+
+        const accountId = convertLongValue(fields.ctidTraderAccountId);
+        for (const client of this.clients.values()) {
+            if (accountId === null || client.accounts.has(accountId)) this.write(client, typeName, fields);
+        }
+    }
+
+    // === 請求處理 ===
+
+    handleRequest(client, message) {
+        const typeName = this.broker.getPayloadTypeName(message.payloadType);
+        if (typeName === 'ProtoHeartbeatEvent') return;
+
+        const clientMsgId = message.clientMsgId || null;
+        if (!this.broker.payloadTypeIds.has(typeName)) {
+            return this.write(client, 'ProtoErrorRes', { errorCode: 'UNSUPPORTED_MESSAGE', description: `未知的訊息類型 ${message.payloadType}` }, clientMsgId);
+        }
+        const req = this.proto.lookupType(typeName).decode(message.payload);
+
+        const fault = this.takeFault(typeName);
+        if (fault) {
+            console.log(`💥 [Mock] 故障注入: ${typeName} -> ${fault.action}${fault.execute ? ' (已執行)' : ''}`);
+            this.emit('fault', { clientId: client.id, typeName, fault });
+
+            switch (fault.action) {
+                case 'delay':
+                    setTimeout(() => this.processRequest(client, typeName, req, clientMsgId), fault.delayMs || 0);
+                    return;
+                case 'error':
+                    return this.sendError(client, typeName, req, clientMsgId, fault.errorCode || 'UNKNOWN_ERROR', fault.description, fault.maintenanceEndTimestamp);
+                case 'drop':
+                case 'disconnect':
+                    if (fault.execute) this.processRequest(client, typeName, req, clientMsgId, true);
+                    if (fault.action === 'disconnect') client.socket.destroy();
+                    return;
+            }
+        }
+
+        this.processRequest(client, typeName, req, clientMsgId);
+    }
+
+    /**
+     * 認證檢查後交由模擬券商回應
+     * @param {boolean} [muted] - 執行但不回應 (成交等後續事件仍會推送)
+     */
+    processRequest(client, typeName, req, clientMsgId, muted = false) {
+        if (client.socket.destroyed) return;
+
+        if (this.maintenanceEndTimestamp > Date.now()) {
+            return this.sendError(client, typeName, req, clientMsgId, 'SERVER_IS_UNDER_MAINTENANCE', '伺服器維護中', this.maintenanceEndTimestamp);
+        }
+
+        if (typeName === 'ProtoOAApplicationAuthReq') {
+            if (client.appAuthenticated) {
+                return this.sendError(client, typeName, req, clientMsgId, 'CH_CLIENT_ALREADY_AUTHENTICATED', 'Open API application is already authenticated');
+            }
+            if ((this.clientId && req.clientId !== this.clientId) || (this.clientSecret && req.clientSecret !== this.clientSecret)) {
+                return this.sendError(client, typeName, req, clientMsgId, 'CH_CLIENT_AUTH_FAILURE', 'Client authentication failed');
+            }
+            client.appAuthenticated = true;
+            return this.write(client, 'ProtoOAApplicationAuthRes', {}, clientMsgId);
+        }
+
+        if (!client.appAuthenticated) {
+            return this.sendError(client, typeName, req, clientMsgId, 'CH_CLIENT_NOT_AUTHENTICATED', 'Open API application is not authenticated');
+        }
+
+        const accountId = convertLongValue(req.ctidTraderAccountId);
+        if (typeName === 'ProtoOAAccountAuthReq') {
+            if (!this.isTokenValid(req.accessToken)) {
+                return this.sendError(client, typeName, req, clientMsgId, 'CH_ACCESS_TOKEN_INVALID', 'Access token is invalid');
+            }
+            if (!this.broker.balances.has(accountId)) {
+                return this.sendError(client, typeName, req, clientMsgId, 'CH_CTID_TRADER_ACCOUNT_NOT_FOUND', `Trading account ${accountId} is not found`);
+            }
+            client.accounts.set(accountId, req.accessToken);
+            return this.write(client, 'ProtoOAAccountAuthRes', { ctidTraderAccountId: accountId }, clientMsgId);
+        }
+
+        if (accountId !== null && !client.accounts.has(accountId)) {
+            return this.sendError(client, typeName, req, clientMsgId, 'ACCOUNT_NOT_AUTHORIZED', 'Trading account is not authorized');
+        }
+
+        const routeId = clientMsgId ? `${client.id}:${clientMsgId}` : null;
+        if (muted && routeId) this.mutedRoutes.add(routeId);
+        try {
+            this.broker.processRequest(typeName, req, routeId);
+        } finally {
+            if (routeId) this.mutedRoutes.delete(routeId);
+        }
+    }
+
+    /** 回應錯誤 (下單類請求為 ProtoOAOrderErrorEvent，其餘為 ProtoOAErrorRes) */
+    sendError(client, typeName, req, clientMsgId, errorCode, description = undefined, maintenanceEndTimestamp = undefined) {
+        const accountId = convertLongValue(req.ctidTraderAccountId) ?? undefined;
+        if (ORDER_REQUESTS.includes(typeName)) {
+            return this.write(client, 'ProtoOAOrderErrorEvent', {
+                ctidTraderAccountId: accountId,
+                errorCode,
+                description,
+                orderId: req.orderId || undefined,
+                positionId: req.positionId || undefined
+            }, clientMsgId);
+        }
+        this.write(client, 'ProtoOAErrorRes', { ctidTraderAccountId: accountId, errorCode, description, maintenanceEndTimestamp }, clientMsgId);
+    }
+
+    isTokenValid(token) {
+        if (!token || this.revokedTokens.has(token)) return false;
+        return this.acceptedTokens.size === 0 || this.acceptedTokens.has(token);
+    }
+
+    /** 斷線後移除該客戶端帳戶的報價訂閱 (其他連線仍認證同一帳戶時保留) */
+    dropSubscriptions(client) {
+        for (const accountId of client.accounts.keys()) {
+            const stillConnected = [...this.clients.values()].some(other => other.accounts.has(accountId));
+            if (stillConnected) continue;
+            for (const key of [...this.broker.subscriptions]) {
+                if (key.startsWith(`${accountId}:`)) this.broker.subscriptions.delete(key);
+            }
+        }
+    }
+
+    // === 故障注入 ===
+
+    addFault(rule) {
+        if (!rule?.type || !FAULT_ACTIONS.includes(rule.action)) {
+            throw new ConfigError(`故障規則格式錯誤 (需有 type 與 action: ${FAULT_ACTIONS.join(' / ')})`, { rule });
+        }
+        const times = rule.times ?? 1;
+        this.faults.push({ ...rule, remaining: times > 0 ? times : Infinity });
+    }
+
+    clearFaults() {
+        this.faults = [];
+    }
+
+    takeFault(typeName) {
+        const fault = this.faults.find(rule => rule.type === '*' || rule.type === typeName);
+        if (!fault) return null;
+        fault.remaining--;
+        if (fault.remaining <= 0) this.faults = this.faults.filter(rule => rule !== fault);
+        return fault;
+    }
+
+    // === 伺服器事件 ===
+
+    /** 主動推送事件 (未指定帳戶時送給所有客戶端) */
+    sendEvent(typeName, fields = {}) {
+        this.dispatch(typeName, fields);
+    }
+
+    /** 斷開所有客戶端 (先送出 ProtoOAClientDisconnectEvent) */
+    disconnectClients(reason = 'Disconnected by mock server') {
+        for (const client of this.clients.values()) {
+            this.write(client, 'ProtoOAClientDisconnectEvent', { reason });
+            client.socket.end();
+        }
+    }
+
+    /** 伺服器維護：通知維護結束時間後斷開所有客戶端，維護期間所有請求回應 SERVER_IS_UNDER_MAINTENANCE */
+    startMaintenance(durationMs, reason = 'Server is under maintenance') {
+        this.maintenanceEndTimestamp = Date.now() + durationMs;
+        for (const client of this.clients.values()) {
+            this.write(client, 'ProtoOAErrorRes', {
+                errorCode: 'SERVER_IS_UNDER_MAINTENANCE',
+                description: reason,
+                maintenanceEndTimestamp: this.maintenanceEndTimestamp
+            });
+        }
+        this.disconnectClients(reason);
+        console.log(`🛠️ [Mock] 維護至 ${new Date(this.maintenanceEndTimestamp).toISOString()}`);
+    }
+
+    /** 作廢 Access Token：使用該 Token 的帳戶解除認證並送出 ProtoOAAccountsTokenInvalidatedEvent */
+    invalidateToken(token, reason = 'Access Token is expired or recalled') {
+        this.revokedTokens.add(token);
+        this.acceptedTokens.delete(token);
+        for (const client of this.clients.values()) {
+            const accountIds = [...client.accounts].filter(([, used]) => used === token).map(([accountId]) => accountId);
+            if (accountIds.length === 0) continue;
+            accountIds.forEach(accountId => client.accounts.delete(accountId));
+            this.write(client, 'ProtoOAAccountsTokenInvalidatedEvent', { ctidTraderAccountIds: accountIds, reason });
+        }
+    }
+
+    /** 接受新的 Access Token (模擬刷新後的 Token) */
+    acceptToken(token) {
+        this.revokedTokens.delete(token);
+        this.acceptedTokens.add(token);
+    }
+
+    /** 斷開單一帳戶 (連線保留)：送出 ProtoOAAccountDisconnectEvent */
+    disconnectAccount(accountId) {
+        const id = convertLongValue(accountId);
+        for (const client of this.clients.values()) {
+            if (!client.accounts.delete(id)) continue;
+            this.write(client, 'ProtoOAAccountDisconnectEvent', { ctidTraderAccountId: id });
+        }
+    }
+
+    getStatus() {
+        return {
+            port: this.port,
+            clients: [...this.clients.values()].map(client => ({
+                id: client.id,
+                appAuthenticated: client.appAuthenticated,
+                accounts: [...client.accounts.keys()]
+            })),
+            faults: this.faults.map(({ remaining, ...rule }) => ({ ...rule, remaining: remaining === Infinity ? 0 : remaining })),
+            maintenanceEndTimestamp: this.maintenanceEndTimestamp > Date.now() ? this.maintenanceEndTimestamp : null,
+            positions: this.broker.positions.size,
+            orders: this.broker.orders.size
+        };
+    }
+}
+
+module.exports = MockCTraderServer;
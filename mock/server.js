@@ -0,0 +1,97 @@
+/**
+ * 模擬 cTrader 伺服器 CLI
+ * 用法: node mock/server.js [--port 5035] [--host 127.0.0.1] [--tlsKey key.pem --tlsCert cert.pem] [--faults faults.json]
+ * 帳戶、商品、clientId / Access Token 與模擬報價沿用 config.js / .env (與機器人共用同一份設定)
+ * 機器人以 CTRADER_HOST=127.0.0.1 CTRADER_PORT=5035 CTRADER_TLS=false 連線 (TLS 自簽憑證另設 CTRADER_TLS_REJECT_UNAUTHORIZED=false)
+ */
+
+require('dotenv').config();
+process.env.SKIP_CONFIG_VALIDATION = 'true';
+
+const fs = require('fs');
+const readline = require('readline');
+const config = require('../config');
+const MockCTraderServer = require('./MockCTraderServer');
+const { parseArgs } = require('../backtest/cli');
+
+const COMMANDS = [
+    'status                       連線、故障規則與持倉摘要',
+    'fault <JSON>                 新增故障規則 (例: {"type":"ProtoOANewOrderReq","action":"drop","execute":true})',
+    'clear                        清除所有故障規則',
+    'disconnect [原因]            送出 ProtoOAClientDisconnectEvent 並斷開所有連線',
+    'maintenance <秒> [原因]      伺服器維護 (附 maintenanceEndTimestamp) 後斷開所有連線',
+    'invalidate [token]           作廢 Access Token (預設 CTRADER_ACCESS_TOKEN)',
+    'accept <token>               接受新的 Access Token',
+    'account-disconnect <帳戶>    送出 ProtoOAAccountDisconnectEvent',
+    'quit                         停止伺服器'
+];
+
+function handleCommand(server, line) {
+    const [command, ...rest] = line.trim().split(/\s+/);
+    const arg = rest.join(' ');
+
+    switch (command) {
+        case '':
+            return;
+        case 'status':
+            return console.log(JSON.stringify(server.getStatus(), null, 2));
+        case 'fault':
+            server.addFault(JSON.parse(arg));
+            return console.log('✅ 已新增故障規則');
+        case 'clear':
+            server.clearFaults();
+            return console.log('✅ 已清除故障規則');
+        case 'disconnect':
+            return server.disconnectClients(arg || undefined);
+        case 'maintenance':
+            return server.startMaintenance(parseFloat(rest[0] || 60) * 1000, rest.slice(1).join(' ') || undefined);
+        case 'invalidate':
+            return server.invalidateToken(arg || config.ctrader.accessToken);
+        case 'accept':
+            server.acceptToken(arg);
+            return console.log('✅ 已接受新 Token');
+        case 'account-disconnect':
+            return server.disconnectAccount(arg);
+        case 'quit':
+            return server.stop().then(() => process.exit(0));
+        default:
+            console.log(`可用指令:\n  ${COMMANDS.join('\n  ')}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const faults = args.faults ? JSON.parse(fs.readFileSync(args.faults, 'utf8')) : [];
+    const tls = args.tlsKey && args.tlsCert
+        ? { key: fs.readFileSync(args.tlsKey), cert: fs.readFileSync(args.tlsCert) }
+        : null;
+
+    const server = new MockCTraderServer(config, {
+        host: args.host,
+        port: args.port !== undefined ? parseInt(args.port) : undefined,
+        tls,
+        faults
+    });
+    await server.start();
+    console.log(`   帳戶: ${[...server.broker.balances.keys()].join(', ')} | 商品: ${config.instruments.map(i => i.symbol).join(', ')} | 故障規則: ${faults.length} 條`);
+    console.log('   輸入 help 查看指令');
+
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on('line', line => {
+        try {
+            handleCommand(server, line);
+        } catch (error) {
+            console.error('❌ 指令失敗:', error.message);
+        }
+    });
+
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ 模擬伺服器啟動失敗:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+/**
+ * BaseStrategy - 策略插件基底類別
+ * 定義策略生命週期 Hook，由 ExecutionEngine 在對應時機呼叫
+ *
+ * 所有價格 (baseline / price / bid / ask / bar) 皆為 Raw Price (真實價格 * API_PRICE_MULTIPLIER)
+ * ctx 由引擎 getStrategyContext() 建立：
+ *   { baseline, price, bid, ask, config, positions, now, watchStart }
+ * watchStart 為當日盯盤開始時間 (開盤 + minsAfterOpen，UTC ms)
+ */
+
+const { rawToRealPrice } = require('../utils');
+
+class BaseStrategy {
+    /** 策略唯一識別碼 (持久化與 Dashboard 選擇用) */
+    static id = 'base';
+
+    /** 顯示名稱 */
+    static label = '基礎策略';
+
+    /** 策略專屬參數預設值 */
+    static defaultParams = {};
+
+    /** 策略專屬參數的顯示名稱 (Dashboard 用，未定義時顯示參數名) */
+    static paramLabels = {};
+
+    /** 支援的進場方式 (limit / stop 需實作 getRestingOrderPrices) */
+    static entryOrderTypes = ['market'];
+
+    constructor(params = {}) {
+        this.params = { ...this.constructor.defaultParams, ...params };
+        this.silent = false; // 回測時關閉訊號日誌
+    }
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    /** 是否支援指定的進場方式 */
+    supportsEntryOrderType(orderType) {
+        return this.constructor.entryOrderTypes.includes(orderType);
+    }
+
+    /** 更新策略專屬參數 (只接受 defaultParams 中已定義的欄位) */
+    updateParams(newParams = {}) {
+        for (const [key, value] of Object.entries(newParams)) {
+            if (!(key in this.constructor.defaultParams)) continue;
+            const defaultValue = this.constructor.defaultParams[key];
+            this.params[key] = typeof defaultValue === 'number' ? parseFloat(value) : value;
+        }
+    }
+
+    /** 策略日誌 */
+    log(...args) {
+        if (!this.silent) console.log(...args);
+    }
+
+    /** 交易日開始 (每日重置後) */
+    onSessionStart(ctx) { }
+
+    /**
+     * 報價更新
+     * @returns {{ type: 'long'|'short', reason?: string } | null} 進場訊號
+     */
+    onTick(tick, ctx) {
+        return null;
+    }
+
+    /** M1 K 線收線 */
+    onBar(bar, ctx) { }
+
+    /**
+     * 掛單進場價格 (真實價格，entryOrderType 為 limit / stop 時由引擎呼叫)
+     * @returns {{ long?: number, short?: number } | null} 只掛回傳的方向；尚未就緒或不再進場時回傳 null (已掛單會撤銷)
+     */
+    getRestingOrderPrices(orderType, ctx) {
+        return null;
+    }
+
+    /** 開倉成交 */
+    onFill(fill, ctx) { }
+
+    /** 平倉結算 */
+    onClose(trade, ctx) { }
+
+    /**
+     * 計算 TP/SL 絕對價格 (真實價格)
+     * 預設：相對於基準點，使用引擎的 longTP/shortTP/longSL/shortSL
+     */
+    getTargets(type, ctx) {
+        const baselineReal = rawToRealPrice(ctx.baseline);
+        const { longTP, shortTP, longSL, shortSL } = ctx.config;
+
+        if (type === 'long') {
+            return { takeProfit: baselineReal + longTP, stopLoss: baselineReal - longSL };
+        }
+        return { takeProfit: baselineReal - shortTP, stopLoss: baselineReal + shortSL };
+    }
+}
+
+module.exports = BaseStrategy;
@@ -0,0 +1,56 @@
+/**
+ * MeanReversionStrategy - 均值回歸策略 (內建)
+ * 價格偏離基準點超過 entryOffset 時反向進場
+ */
+
+const BaseStrategy = require('./BaseStrategy');
+const { API_PRICE_MULTIPLIER, rawToRealPrice } = require('../utils');
+
+class MeanReversionStrategy extends BaseStrategy {
+    static id = 'mean-reversion';
+
+    static label = '均值回歸';
+
+    // entryOffset / TP / SL 沿用引擎共用參數 (ctx.config)，無額外專屬參數
+    static defaultParams = {};
+
+    static entryOrderTypes = ['market', 'limit', 'stop'];
+
+    onTick(tick, ctx) {
+        if (!ctx.price || !ctx.baseline) return null;
+
+        // cTrader API 的 Raw Price = 真實價格 * API_PRICE_MULTIPLIER
+        const diff = ctx.price - ctx.baseline;
+        const offsetRaw = ctx.config.entryOffset * API_PRICE_MULTIPLIER;
+
+        // 做空條件：價格高於開盤 + 進場偏移
+        if (diff >= offsetRaw) {
+            this.log(`📉 訊號觸發: 現價(${ctx.price}) >= 開盤(${ctx.baseline}) + Offset(${offsetRaw})`);
+            return { type: 'short', reason: 'above-offset' };
+        }
+        // 做多條件：價格低於開盤 - 進場偏移
+        if (diff <= -offsetRaw) {
+            this.log(`📈 訊號觸發: 現價(${ctx.price}) <= 開盤(${ctx.baseline}) - Offset(${offsetRaw})`);
+            return { type: 'long', reason: 'below-offset' };
+        }
+        return null;
+    }
+
+    /**
+     * 基準點 ± entryOffset 兩側掛單
+     * limit: 均值回歸 - 基準點上方掛空、下方掛多
+     * stop:  突破 - 基準點上方掛多、下方掛空
+     */
+    getRestingOrderPrices(orderType, ctx) {
+        if (!ctx.baseline) return null;
+
+        const baselineReal = rawToRealPrice(ctx.baseline);
+        const upper = baselineReal + ctx.config.entryOffset;
+        const lower = baselineReal - ctx.config.entryOffset;
+        return orderType === 'stop'
+            ? { long: upper, short: lower }
+            : { long: lower, short: upper };
+    }
+}
+
+module.exports = MeanReversionStrategy;
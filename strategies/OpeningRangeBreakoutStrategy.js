@@ -0,0 +1,130 @@
+/**
+ * OpeningRangeBreakoutStrategy - 開盤區間突破策略 (內建)
+ * 記錄盯盤開始 (開盤 + minsAfterOpen) 後 N 分鐘 M1 K 線的高低點，
+ * 區間完成後價格突破高點 (+ 緩衝) 做多、跌破低點 (- 緩衝) 做空
+ * TP / SL 以突破的區間邊緣為基準，使用策略專屬參數
+ * 停損掛單進場 (stop) 時於區間完成後在高點 + 緩衝 / 低點 - 緩衝掛單，逾進場時限撤單
+ */
+
+const BaseStrategy = require('./BaseStrategy');
+const { API_PRICE_MULTIPLIER, rawToRealPrice } = require('../utils');
+
+const MS_PER_MINUTE = 60000;
+
+class OpeningRangeBreakoutStrategy extends BaseStrategy {
+    static id = 'opening-range-breakout';
+
+    static label = '開盤區間突破';
+
+    static defaultParams = {
+        rangeMinutes: 15,      // 區間長度 (分鐘，從盯盤開始起算)
+        breakoutBuffer: 0,     // 突破需超出區間邊緣的點數
+        takeProfit: 20,        // 止盈：區間邊緣 + X 點
+        stopLoss: 0,           // 止損：區間邊緣 - X 點 (0 = 區間另一側)
+        minRange: 0,           // 區間寬度下限 (點，0 = 不限)
+        maxRange: 0,           // 區間寬度上限 (點，0 = 不限)
+        maxEntryMinutes: 0,    // 區間完成後幾分鐘內才進場 (0 = 不限)
+        direction: 'both'      // both / long / short
+    };
+
+    static paramLabels = {
+        rangeMinutes: '區間長度 (分)',
+        breakoutBuffer: '突破緩衝 (點)',
+        takeProfit: '止盈 (點)',
+        stopLoss: '止損 (點，0=區間另一側)',
+        minRange: '區間下限 (點)',
+        maxRange: '區間上限 (點)',
+        maxEntryMinutes: '進場時限 (分)',
+        direction: '方向 (both/long/short)'
+    };
+
+    // 限價掛單 (limit) 為回檔進場，與突破邏輯不符，不支援
+    static entryOrderTypes = ['market', 'stop'];
+
+    constructor(params = {}) {
+        super(params);
+        this.range = null; // { start, end, high, low, complete }
+    }
+
+    onSessionStart(ctx) {
+        this.range = null;
+    }
+
+    /** 以區間內收線的 M1 K 線累計高低點 */
+    onBar(bar, ctx) {
+        const start = ctx.watchStart;
+        if (!start) return;
+        const end = start + this.params.rangeMinutes * MS_PER_MINUTE;
+        const time = bar.utcTimestampInMinutes * MS_PER_MINUTE;
+        if (time < start || time >= end) return;
+
+        if (!this.range || this.range.start !== start) {
+            // 第一根 K 線晚於區間起點 (例如中途重啟) 時區間不完整，當日不進場
+            this.range = { start, end, high: bar.high, low: bar.low, complete: time === start };
+            if (!this.range.complete) this.log(`⚠️ 開盤區間資料不完整 (首根 K 線 ${new Date(time).toISOString()})，今日不進場`);
+            return;
+        }
+        this.range.high = Math.max(this.range.high, bar.high);
+        this.range.low = Math.min(this.range.low, bar.low);
+    }
+
+    /** 區間已完成、寬度符合且在進場時限內 */
+    isRangeTradable(ctx) {
+        const range = this.range;
+        if (!range || !range.complete || range.start !== ctx.watchStart) return false;
+
+        const now = ctx.now.getTime();
+        if (now < range.end) return false;
+        if (this.params.maxEntryMinutes > 0 && now >= range.end + this.params.maxEntryMinutes * MS_PER_MINUTE) return false;
+
+        const width = (range.high - range.low) / API_PRICE_MULTIPLIER;
+        if (this.params.minRange > 0 && width < this.params.minRange) return false;
+        if (this.params.maxRange > 0 && width > this.params.maxRange) return false;
+        return true;
+    }
+
+    onTick(tick, ctx) {
+        if (!ctx.price || !this.isRangeTradable(ctx)) return null;
+
+        const range = this.range;
+        const bufferRaw = this.params.breakoutBuffer * API_PRICE_MULTIPLIER;
+        const direction = this.params.direction;
+
+        if (direction !== 'short' && ctx.price > range.high + bufferRaw) {
+            this.log(`📈 區間突破: 現價(${ctx.price}) > 區間高點(${range.high}) + 緩衝(${bufferRaw})`);
+            return { type: 'long', reason: 'range-breakout-high' };
+        }
+        if (direction !== 'long' && ctx.price < range.low - bufferRaw) {
+            this.log(`📉 區間跌破: 現價(${ctx.price}) < 區間低點(${range.low}) - 緩衝(${bufferRaw})`);
+            return { type: 'short', reason: 'range-breakout-low' };
+        }
+        return null;
+    }
+
+    /** 停損掛單：區間高點 + 緩衝掛多、低點 - 緩衝掛空 (依 direction 只掛單側) */
+    getRestingOrderPrices(orderType, ctx) {
+        if (orderType !== 'stop' || !this.isRangeTradable(ctx)) return null;
+
+        const { breakoutBuffer, direction } = this.params;
+        const prices = {};
+        if (direction !== 'short') prices.long = rawToRealPrice(this.range.high) + breakoutBuffer;
+        if (direction !== 'long') prices.short = rawToRealPrice(this.range.low) - breakoutBuffer;
+        return prices;
+    }
+
+    /** TP / SL 以突破的區間邊緣計算；區間尚未建立時沿用基準點計算 */
+    getTargets(type, ctx) {
+        if (!this.range) return super.getTargets(type, ctx);
+
+        const high = rawToRealPrice(this.range.high);
+        const low = rawToRealPrice(this.range.low);
+        const { takeProfit, stopLoss } = this.params;
+
+        if (type === 'long') {
+            return { takeProfit: high + takeProfit, stopLoss: stopLoss > 0 ? high - stopLoss : low };
+        }
+        return { takeProfit: low - takeProfit, stopLoss: stopLoss > 0 ? low + stopLoss : high };
+    }
+}
+
+module.exports = OpeningRangeBreakoutStrategy;
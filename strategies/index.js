@@ -0,0 +1,59 @@
+/**
+ * 策略註冊表
+ * 新增策略：繼承 BaseStrategy，於此呼叫 registerStrategy()
+ */
+
+const { ConfigError } = require('../errors');
+const BaseStrategy = require('./BaseStrategy');
+const MeanReversionStrategy = require('./MeanReversionStrategy');
+const OpeningRangeBreakoutStrategy = require('./OpeningRangeBreakoutStrategy');
+
+const DEFAULT_STRATEGY = MeanReversionStrategy.id;
+
+const registry = new Map();
+
+/** 註冊策略類別 */
+function registerStrategy(StrategyClass) {
+    if (!(StrategyClass.prototype instanceof BaseStrategy)) {
+        throw new ConfigError('策略必須繼承 BaseStrategy', { id: StrategyClass.id });
+    }
+    registry.set(StrategyClass.id, StrategyClass);
+}
+
+/** 取得策略類別 */
+function getStrategyClass(id) {
+    const StrategyClass = registry.get(id);
+    if (!StrategyClass) {
+        throw new ConfigError(`未知的策略: ${id}`, { id, available: [...registry.keys()] });
+    }
+    return StrategyClass;
+}
+
+/** 建立策略實例 */
+function createStrategy(id = DEFAULT_STRATEGY, params = {}) {
+    const StrategyClass = getStrategyClass(id);
+    return new StrategyClass(params);
+}
+
+/** 列出已註冊策略 (供 Dashboard 選單) */
+function listStrategies() {
+    return [...registry.values()].map(S => ({
+        id: S.id,
+        label: S.label,
+        defaultParams: S.defaultParams,
+        paramLabels: S.paramLabels,
+        entryOrderTypes: S.entryOrderTypes
+    }));
+}
+
+registerStrategy(MeanReversionStrategy);
+registerStrategy(OpeningRangeBreakoutStrategy);
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    BaseStrategy,
+    registerStrategy,
+    getStrategyClass,
+    createStrategy,
+    listStrategies
+};
@@ -19,6 +19,7 @@ class TokenManager {
         this.refreshToken = config.ctrader.refreshToken;
         this.tokenExpiresAt = null;
         this.checkInterval = null;
+        this.refreshPromise = null;
 
         // 嘗試載入存儲的 Token 資訊
         this.loadTokenInfo();
@@ -57,8 +58,18 @@ class TokenManager {
         }
     }
 
-    // 刷新 Access Token
+    // 刷新 Access Token (同時多次呼叫共用同一次請求，避免連續換發使前一個 Token 失效)
     async refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestAccessToken().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    // 以 Refresh Token 換發 Access Token
+    requestAccessToken() {
         return new Promise((resolve, reject) => {
             const url = new URL(TOKEN_ENDPOINT);
             const params = new URLSearchParams({
@@ -114,6 +125,12 @@ class TokenManager {
 
     // 檢查並更新 Token
     async checkAndRefresh() {
+        // 未設定 Refresh Token 時無法更新 (例如連線本地模擬伺服器)，沿用目前的 Access Token
+        if (!this.refreshToken) {
+            console.warn('⚠️ 未設定 Refresh Token，略過 Token 自動更新');
+            return this.accessToken;
+        }
+
         // 如果沒有過期時間，假設需要更新
         if (!this.tokenExpiresAt) {
             console.log('⏰ Token 過期時間未知，嘗試更新...');
@@ -11,16 +11,24 @@ const { Server } = require('socket.io');
 // 載入配置與模組
 const config = require('./config');
 const CTraderConnection = require('./CTraderConnection');
+const PaperConnection = require('./PaperConnection');
 const ExecutionEngine = require('./ExecutionEngine');
+const NewsCalendar = require('./NewsCalendar');
+const ProfileStore = require('./ProfileStore');
 const db = require('./db');
-const { isUsDst, rawToRealPrice } = require('./utils');
+const { isUsDst, rawToRealPrice, convertLongValue } = require('./utils');
 const TokenManager = require('./tokenManager');
+const { ConfigError } = require('./errors');
 
 class TradingBot {
     constructor() {
-        this.connection = null;
-        this.engine = null;
+        this.connections = []; // 每個伺服器 (demo / live / paper) 一條連線
+        this.connection = null; // 主要帳戶所在的連線
+        this.engines = [];   // 每個帳戶 x 每個商品一個引擎
+        this.engine = null;  // 主要帳戶的主要商品引擎
         this.tokenManager = null;
+        this.newsCalendar = new NewsCalendar(config.news); // 所有引擎共用
+        this.profiles = new ProfileStore(db);              // 參數預設 (所有引擎共用)
         this.io = null;
         this.lastDate = null;
         this.lastResetDate = null;
@@ -30,35 +38,55 @@ class TradingBot {
     /** 初始化機器人 */
     async init() {
         try {
-            // 0. 啟動 Token 管理 (先同步檢查/刷新 Token)
-            this.tokenManager = new TokenManager(config);
-            await this.tokenManager.checkAndRefresh(); // 等待 Token 準備好
-            this.tokenManager.startAutoRefresh();      // 再啟動背景自動更新
-
-            // 1. 建立 cTrader 連線
-            this.connection = new CTraderConnection(config, this.tokenManager);
+            if (config.ctrader.mode === 'paper') {
+                // 模擬交易：不需 Token，使用本地訂單簿 (所有帳戶共用)
+                this.connections = [new PaperConnection(config)];
+            } else {
+                // 0. 啟動 Token 管理 (先同步檢查/刷新 Token)
+                this.tokenManager = new TokenManager(config);
+                await this.tokenManager.checkAndRefresh(); // 等待 Token 準備好
+                this.tokenManager.startAutoRefresh();      // 再啟動背景自動更新
+
+                // 1. 建立 cTrader 連線 (demo 與 live 帳戶位於不同伺服器，各自一條連線)
+                const modes = [...new Set(config.accounts.map(account => account.mode))];
+                this.connections = modes.map(mode => new CTraderConnection(config, this.tokenManager, mode));
+            }
 
-            // 自動重連後的認證邏輯
-            this.connection.on('app-auth-success', async () => {
-                console.log('🔄 Application Auth 成功，正在進行 Account Auth...');
-                try {
-                    await this.connection.sendAccountAuth();
-                } catch (error) {
-                    console.error('❌ Account Auth 失敗:', error.message);
-                }
-            });
+            for (const connection of this.connections) {
+                // 自動重連後的認證邏輯 (對該連線的每個帳戶發送 ProtoOAAccountAuthReq)
+                connection.on('app-auth-success', async () => {
+                    console.log(`🔄 Application Auth 成功，正在進行 Account Auth (${connection.accounts.length} 個帳戶)...`);
+                    try {
+                        await connection.sendAccountAuths();
+                    } catch (error) {
+                        console.error('❌ Account Auth 失敗:', error.message);
+                    }
+                });
 
-            await this.connection.connect();
+                await connection.connect();
+            }
+            this.connection = this.connections[0];
 
-            // 建立交易引擎
-            this.engine = new ExecutionEngine(this.connection, config, db);
-            await this.engine.initialize();
+            // 建立交易引擎 (每個帳戶 x 每個商品一個，同一伺服器的帳戶共用連線)
+            this.engines = config.accounts.flatMap(account => {
+                const connection = this.connections.find(c => c.accounts.some(a => a.accountId === account.accountId));
+                return config.instruments.map(instrument => new ExecutionEngine(connection, config, db, instrument, account));
+            });
+            this.engine = this.engines[0];
+            this.newsCalendar.load();
+            await this.profiles.load();
+            for (const engine of this.engines) {
+                engine.newsCalendar = this.newsCalendar;
+                engine.profiles = this.profiles;
+                await engine.initialize();
+            }
 
             this.lastResetDate = this.engine.lastResetDate;
             console.log(`📅 同步重置日期: ${this.lastResetDate || '無'}`);
 
             // 綁定事件
-            this.bindEvents();
+            this.engines.forEach(engine => this.bindEvents(engine));
+            this.bindConnectionEvents();
 
             console.log('✅ 機器人初始化完成');
             return true;
@@ -71,7 +99,7 @@ class TradingBot {
     setupRiskApi() {
         // Simple API for Risk Agent to modify positions
         this.app.post('/api/risk/modify', express.json(), async (req, res) => {
-            const { token, positionId, takeProfit, stopLoss } = req.body;
+            const { token, positionId, takeProfit, stopLoss, symbol, accountId } = req.body;
 
             // Simple security check
             if (token !== process.env.RISK_AGENT_TOKEN) {
@@ -83,7 +111,12 @@ class TradingBot {
             }
 
             try {
-                console.log(`🛡️ Risk Agent requesting modification for Position ${positionId}...`);
+                // 改單需送往持有該部位的帳戶 / 商品引擎
+                const engine = await this.findPositionEngine(positionId, symbol, accountId);
+                if (!engine) {
+                    return res.status(404).json({ error: 'Position not found' });
+                }
+                console.log(`🛡️ Risk Agent requesting modification for Position ${positionId} [${engine.tag}]...`);
 
                 // If stopLoss is not provided, we need to fetch the current one or keep it same.
                 // setPositionSlTp requires both. 
@@ -92,7 +125,7 @@ class TradingBot {
                 let currentTp = takeProfit;
 
                 if (currentSl === undefined || currentTp === undefined) {
-                    const positions = await this.engine.getOpenPositions();
+                    const positions = await engine.getOpenPositions(true);
                     // Handle Long/Integer position ID matching
                     const pos = positions.find(p => {
                         const pId = typeof p.positionId === 'object' ? p.positionId.toNumber() : parseInt(p.positionId);
@@ -113,7 +146,7 @@ class TradingBot {
                     // But if Risk Agent only wants to change TP, it needs to know SL.
                     // For now, let's assume Risk Agent provides BOTH or we use the engine's cached positions.
 
-                    const cachedPos = this.engine.positions.find(p => p.id == positionId);
+                    const cachedPos = engine.positions.find(p => p.id == positionId);
                     if (cachedPos) {
                         // cachedPos doesn't store SL/TP in the lightweight list in ExecutionEngine.js constructor...
                         // It only stores: id, type, entryPrice, volume, openTime.
@@ -125,7 +158,7 @@ class TradingBot {
                 // Simplified: The Risk Agent MUST provide both TP and SL if it calls this.
                 // Or we fetch it here. Let's fetch it here to be robust.
                 if (currentSl === undefined) {
-                    const positions = await this.engine.getOpenPositions();
+                    const positions = await engine.getOpenPositions(true);
                     const pos = positions.find(p => {
                         const pId = typeof p.positionId === 'object' ? p.positionId.toNumber() : parseInt(p.positionId);
                         return pId == positionId;
@@ -137,7 +170,7 @@ class TradingBot {
                 }
 
                 if (currentSl !== undefined && currentTp !== undefined) {
-                    await this.engine.setPositionSlTp(positionId, currentSl, currentTp);
+                    await engine.setPositionSlTp(positionId, currentSl, currentTp);
                     res.json({ success: true, message: 'Modification command sent' });
                 } else {
                     res.status(400).json({ error: 'Missing SL or TP and could not fetch current values' });
@@ -150,9 +183,38 @@ class TradingBot {
         });
     }
 
-    /** 綁定事件監聽 */
-    bindEvents() {
-        this.engine.on('trade-opened', (trade) => {
+    /**
+     * 持有指定部位的引擎：body 指定帳戶 / 商品時直接取得，否則以持倉 ID 搜尋各引擎 (與平倉路由相同)
+     * 本地持倉尚未同步時查詢各帳戶的 cTrader 持倉，再依商品 symbolId 對應引擎
+     */
+    async findPositionEngine(positionId, symbol, accountId) {
+        if (symbol || accountId) return this.getEngine(symbol, accountId);
+
+        const owner = this.engines.find(e => e.positions.some(p => p.id == positionId));
+        if (owner) return owner;
+
+        for (const id of new Set(this.engines.map(e => e.accountId))) {
+            const engines = this.getAccountEngines(id);
+            let position;
+            try {
+                position = (await engines[0].getOpenPositions(true)).find(p => convertLongValue(p.positionId) == positionId);
+            } catch (error) {
+                console.error(`❌ [${engines[0].accountLabel}] 查詢持倉失敗:`, error.message);
+                continue;
+            }
+            if (!position) continue;
+
+            for (const engine of engines) {
+                const symbolData = await engine.getSymbolInfo(engine.symbol);
+                if (symbolData && convertLongValue(symbolData.symbolId) === convertLongValue(position.tradeData.symbolId)) return engine;
+            }
+        }
+        return null;
+    }
+
+    /** 綁定單一商品引擎的事件監聽 */
+    bindEvents(engine) {
+        engine.on('trade-opened', (trade) => {
             // Socket.IO 推送
             if (this.io) {
                 this.io.emit('trade-opened', trade);
@@ -160,92 +222,238 @@ class TradingBot {
         });
 
         // 平倉事件 - 每 100 次結算發送一次統計報告
-        this.engine.on('trade-closed', (trade) => {
+        engine.on('trade-closed', (trade) => {
             // Socket.IO 推送
             if (this.io) {
                 this.io.emit('trade-closed', trade);
             }
 
             // 每 10 次結算發送 Discord 統計報告
-            const totalTrades = this.engine.wins + this.engine.losses;
+            const totalTrades = engine.wins + engine.losses;
             if (totalTrades > 0 && totalTrades % 10 === 0) {
                 // 計算累計統計
-                const totalWinRate = ((this.engine.wins / totalTrades) * 100).toFixed(1);
-                const totalProfit = this.engine.trades.reduce((sum, t) => sum + (t.profit || 0), 0);
+                const totalWinRate = ((engine.wins / totalTrades) * 100).toFixed(1);
+                const totalProfit = engine.trades.reduce((sum, t) => sum + (t.profit || 0), 0);
 
                 // 計算本期區間統計 (最近 10 次)
-                const periodWins = this.engine.wins - this.engine.lastReportWins;
-                const periodLosses = this.engine.losses - this.engine.lastReportLosses;
+                const periodWins = engine.wins - engine.lastReportWins;
+                const periodLosses = engine.losses - engine.lastReportLosses;
                 const periodTotal = periodWins + periodLosses;
                 const periodWinRate = periodTotal > 0 ? ((periodWins / periodTotal) * 100).toFixed(1) : '0.0';
-                const periodProfit = totalProfit - this.engine.lastReportProfit;
+                const periodProfit = totalProfit - engine.lastReportProfit;
 
                 // 計算區間範圍
                 const fromTrade = totalTrades - 9;
                 const toTrade = totalTrades;
 
-                const msg = `📊 **第 ${fromTrade}-${toTrade} 次結算報告**\n` +
+                const msg = `📊 **[${engine.tag}] 第 ${fromTrade}-${toTrade} 次結算報告**\n` +
                     `✅ 本期勝率: ${periodWinRate}% (${periodWins}勝/${periodLosses}敗)\n` +
                     `💰 本期損益: $${periodProfit.toFixed(2)}\n` +
-                    `📈 累計勝率: ${totalWinRate}% (${this.engine.wins}勝/${this.engine.losses}敗)\n` +
-                    `💵 當前餘額: $${this.engine.balance?.toFixed(2) || '--'}`;
+                    `📈 累計勝率: ${totalWinRate}% (${engine.wins}勝/${engine.losses}敗)\n` +
+                    `💵 當前餘額: $${engine.balance?.toFixed(2) || '--'}`;
                 this.sendDiscord(msg);
 
                 // 更新追蹤變數供下次報告使用
-                this.engine.lastReportWins = this.engine.wins;
-                this.engine.lastReportLosses = this.engine.losses;
-                this.engine.lastReportProfit = totalProfit;
+                engine.lastReportWins = engine.wins;
+                engine.lastReportLosses = engine.losses;
+                engine.lastReportProfit = totalProfit;
             }
         });
 
-        this.engine.on('trade-error', (error) => {
-            this.sendDiscord(`❌ 交易錯誤: ${error.message}`);
+        engine.on('trade-error', (error) => {
+            this.sendDiscord(`❌ [${engine.tag}] 交易錯誤: ${error.message}`);
         });
 
-        // 連線事件
-        this.connection.on('reconnect-failed', () => {
-            this.sendDiscord('⚠️ cTrader 重連失敗，請檢查連線');
+        // 熔斷觸發 (帳戶層級熔斷由 tripAccountCircuitBreaker 統一通知)
+        engine.on('circuit-breaker', (data) => {
+            if (this.io) {
+                this.io.emit('circuit-breaker', data);
+            }
+            if (data.lockout.scope === 'account') return;
+            this.sendDiscord(`🛑 **[${engine.tag}] 熔斷觸發，已暫停交易**\n` +
+                `原因: ${data.lockout.reason}\n` +
+                `${data.flatten ? '📤 已執行平倉' : '📌 持倉保留'}，需至 Dashboard 手動解除`);
+        });
+
+        // 已實現損益：同步同帳戶其他引擎的快取餘額後檢查帳戶熔斷
+        engine.on('realized-pnl', ({ balance }) => {
+            for (const sibling of this.getAccountEngines(engine.accountId)) {
+                if (sibling.cachedAccountInfo) sibling.cachedAccountInfo.balance = balance;
+            }
+            this.checkAccountCircuitBreaker(engine.accountId);
         });
 
         // === Socket.IO 即時推送事件 ===
 
-        // 價格更新 (節流：最多每 500ms 推送一次)
+        // 價格更新 (節流：每個商品最多每 500ms 推送一次)
         let lastPricePush = 0;
-        this.engine.on('price-update', (data) => {
+        engine.on('price-update', (data) => {
+            // 帳戶權益回撤每次報價檢查 (不受推送節流影響)
+            this.checkAccountCircuitBreaker(engine.accountId);
             if (this.io && Date.now() - lastPricePush >= 500) {
                 lastPricePush = Date.now();
                 // 附加即時帳戶資訊 (accountInfo.positions 已包含即時損益)
-                const accountInfo = this.engine.calculateRealTimeAccountInfo();
+                const accountInfo = engine.calculateRealTimeAccountInfo();
                 this.io.emit('realtime-update', {
                     ...data,
                     currentPrice: data.price,
                     ...accountInfo,
-                    isWatching: this.engine.isWatching,
-                    tradingPaused: this.engine.tradingPaused,
-                    todayTradeDone: this.engine.todayTradeDone,
-                    wins: this.engine.wins,
-                    losses: this.engine.losses,
-                    winRate: this.engine.wins + this.engine.losses > 0
-                        ? ((this.engine.wins / (this.engine.wins + this.engine.losses)) * 100).toFixed(1) + '%'
+                    isWatching: engine.isWatching,
+                    tradingPaused: engine.tradingPaused,
+                    lockout: engine.lockout,
+                    todayTradeDone: engine.todayTradeDone,
+                    todayTradeCount: engine.todayTradeCount,
+                    wins: engine.wins,
+                    losses: engine.losses,
+                    winRate: engine.wins + engine.losses > 0
+                        ? ((engine.wins / (engine.wins + engine.losses)) * 100).toFixed(1) + '%'
                         : '--'
                 });
             }
         });
 
         // 帳戶更新 (交易完成後)
-        this.engine.on('account-update', (data) => {
+        engine.on('account-update', (data) => {
             if (this.io) {
                 this.io.emit('account-update', data);
             }
         });
+        // 部分平倉 (分批止盈)
+        engine.on('partial-close', (data) => {
+            if (this.io) {
+                this.io.emit('partial-close', data);
+            }
+        });
+        // 止損調整 (保本 / 追蹤 / 定時收緊)
+        engine.on('stop-amended', (amendment) => {
+            if (this.io) {
+                this.io.emit('stop-amended', amendment);
+            }
+        });
         // 佈倉同步完成
-        this.engine.on('positions-reconciled', (positions) => {
+        engine.on('positions-reconciled', (positions) => {
             if (this.io) {
-                this.io.emit('positions-update', { positions });
+                this.io.emit('positions-update', { symbol: engine.symbol, accountId: engine.accountId, positions });
             }
         });
     }
 
+    /** 綁定連線事件監聽 */
+    bindConnectionEvents() {
+        for (const connection of this.connections) {
+            connection.on('reconnect-failed', () => {
+                this.sendDiscord(`⚠️ cTrader ${connection.mode} 重連失敗，請檢查連線`);
+            });
+            connection.on('token-invalidated', ({ accountIds, reason }) => {
+                this.sendDiscord(`🔑 cTrader ${connection.mode} Token 已失效 (帳戶 ${accountIds.join(', ')})，重新認證中` +
+                    (reason ? `\n原因: ${reason}` : ''));
+            });
+            connection.on('client-disconnect', ({ reason, resumeAt }) => {
+                const resumeStr = resumeAt
+                    ? `，維護至 ${new Date(resumeAt).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })} 後重連`
+                    : '，稍後自動重連';
+                this.sendDiscord(`⛔ cTrader ${connection.mode} 伺服器斷開連線${resumeStr}` + (reason ? `\n原因: ${reason}` : ''));
+            });
+            connection.on('account-disconnect', ({ accountId }) => {
+                this.sendDiscord(`⚠️ cTrader ${connection.mode} 帳戶 ${accountId} 被伺服器斷開，重新認證中`);
+            });
+            connection.on('reauth-failed', ({ accountIds, error }) => {
+                this.sendDiscord(`❌ cTrader ${connection.mode} 帳戶 ${accountIds.join(', ')} 重新認證失敗: ${error.message}`);
+            });
+        }
+    }
+
+    /** 依帳戶與商品取得引擎 (未指定時為主要帳戶 / 主要商品) */
+    getEngine(symbol, accountId) {
+        if (!symbol && !accountId) return this.engine;
+        const targetAccount = accountId ? parseInt(accountId) : this.engine.accountId;
+        const targetSymbol = symbol || this.engine.symbol;
+        return this.engines.find(e => e.accountId === targetAccount && e.symbol === targetSymbol) || null;
+    }
+
+    /** 同一帳戶的所有引擎 */
+    getAccountEngines(accountId) {
+        return this.engines.filter(e => e.accountId === accountId);
+    }
+
+    /**
+     * 帳戶層級熔斷：當日已實現虧損與即時權益回撤以同帳戶所有引擎合計計算
+     * 上限取同帳戶引擎中最嚴格的設定 (0 = 停用)；權益高點同步至各引擎的 peakEquity 持久化
+     */
+    checkAccountCircuitBreaker(accountId) {
+        const engines = this.getAccountEngines(accountId);
+        if (engines.every(e => e.lockout)) return;
+
+        const strictest = field => Math.min(...engines.map(e => e[field]).filter(v => v > 0)); // 皆停用時為 Infinity
+
+        // 已手動解除過的虧損水位不再觸發，之後虧損擴大才重新觸發
+        const maxDailyLoss = strictest('maxDailyLoss');
+        const dailyLoss = this.getAccountDailyLoss(engines);
+        const acknowledged = Math.max(...engines.map(e => e.dailyLossAck ?? -Infinity));
+        if (dailyLoss >= maxDailyLoss && dailyLoss > acknowledged) {
+            this.tripAccountCircuitBreaker(accountId, 'daily-loss', `帳戶當日虧損 $${dailyLoss.toFixed(2)} 達上限 $${maxDailyLoss}`, dailyLoss, maxDailyLoss);
+            return;
+        }
+
+        const maxDrawdownPercent = strictest('maxDrawdownPercent');
+        if (!Number.isFinite(maxDrawdownPercent)) return;
+
+        // 餘額為帳戶層級 (各引擎快取同一帳戶)，未實現損益為各引擎持倉合計
+        const balance = engines.map(e => e.cachedAccountInfo?.balance).find(b => b > 0);
+        if (!balance) return; // 尚未取得帳戶資訊
+        const equity = balance + engines.reduce((sum, e) => sum + e.calculateRealTimeAccountInfo().unrealizedPnL, 0);
+
+        const peaks = engines.map(e => e.peakEquity).filter(p => p !== null && p !== undefined);
+        const peakEquity = peaks.length > 0 ? Math.max(...peaks) : null;
+        if (peakEquity === null || equity > peakEquity) {
+            engines.forEach(e => { e.peakEquity = equity; });
+            return;
+        }
+
+        const drawdown = (peakEquity - equity) / peakEquity * 100;
+        if (drawdown >= maxDrawdownPercent) {
+            this.tripAccountCircuitBreaker(accountId, 'drawdown', `帳戶權益回撤 ${drawdown.toFixed(2)}% (高點 $${peakEquity.toFixed(2)} → $${equity.toFixed(2)}) 達上限 ${maxDrawdownPercent}%`, drawdown, maxDrawdownPercent);
+        }
+    }
+
+    /** 觸發帳戶層級熔斷：鎖定同帳戶所有引擎 (各引擎依自身設定撤單 / 平倉) */
+    tripAccountCircuitBreaker(accountId, code, reason, value, limit) {
+        const engines = this.getAccountEngines(accountId);
+        const label = engines[0].accountLabel || accountId;
+        console.error(`🛑 [${label}] 帳戶熔斷觸發: ${reason}，暫停該帳戶所有商品`);
+        this.sendDiscord(`🛑 **[${label}] 帳戶熔斷觸發，已暫停 ${engines.map(e => e.symbol).join(', ')}**\n` +
+            `原因: ${reason}\n` +
+            `需至 Dashboard 手動解除`);
+
+        for (const engine of engines) {
+            engine.tripCircuitBreaker(code, reason, value, limit, 'account');
+        }
+    }
+
+    /** 帳戶當日已實現虧損 (同帳戶所有引擎合計，獲利為負值) */
+    getAccountDailyLoss(engines) {
+        return -engines.reduce((sum, e) => sum + e.todayRealizedPnL, 0);
+    }
+
+    /**
+     * 解除熔斷：帳戶層級鎖定時一併解除同帳戶所有帳戶層級鎖定的引擎
+     * 同帳戶各引擎記錄目前的當日虧損水位 (隨狀態持久化)，避免下一筆報價立即再次觸發當日虧損熔斷
+     */
+    unlockCircuitBreaker(engine) {
+        const engines = this.getAccountEngines(engine.accountId);
+        const targets = engine.lockout?.scope === 'account'
+            ? engines.filter(e => e.lockout?.scope === 'account')
+            : [engine];
+        const dailyLoss = this.getAccountDailyLoss(engines);
+        engines.forEach(e => { e.dailyLossAck = dailyLoss; });
+        targets.forEach(e => e.unlockCircuitBreaker());
+    }
+
+    /** 所有連線皆已連線 */
+    isConnected() {
+        return this.connections.length > 0 && this.connections.every(c => c.connected);
+    }
+
     /** 啟動機器人 */
     start() {
         console.log('🚀 交易機器人啟動');
@@ -263,14 +471,14 @@ class TradingBot {
         });
     }
 
-    /** 取得盯盤時間 */
-    getTargetWatchTime() {
+    /** 取得盯盤時間 (各商品引擎可設定不同的開盤後分鐘數) */
+    getTargetWatchTime(engine = this.engine) {
         const now = new Date();
         const isDst = isUsDst(now);
         const marketConfig = isDst ? config.market.summer : config.market.winter;
 
         // 優先使用 engine 的動態設定，否則使用 config 預設值
-        const minsAfterOpen = this.engine?.minsAfterOpen ?? config.market.minsAfterOpen;
+        const minsAfterOpen = engine?.minsAfterOpen ?? config.market.minsAfterOpen;
 
         const targetMinuteTotal = marketConfig.openMinute + minsAfterOpen;
         const targetHour = marketConfig.openHour + Math.floor(targetMinuteTotal / 60);
@@ -283,9 +491,11 @@ class TradingBot {
     async checkTime() {
         // --- 連線看門狗 (Connection Watchdog) ---
         // 防止週末維護導致斷線後，週一無法自動恢復
-        if (this.connection && !this.connection.connected && !this.connection.reconnectTimeout) {
-            console.log('🐕 看門狗偵測到連線中斷，嘗試復活...');
-            this.connection.connect().catch(err => console.error('看門狗重連失敗:', err.message));
+        for (const connection of this.connections) {
+            if (!connection.connected && !connection.reconnectTimeout) {
+                console.log(`🐕 看門狗偵測到 ${connection.mode} 連線中斷，嘗試復活...`);
+                connection.connect().catch(err => console.error('看門狗重連失敗:', err.message));
+            }
         }
 
         const target = this.getTargetWatchTime();
@@ -313,9 +523,9 @@ class TradingBot {
         if (this.lastResetDate !== today) {
             const seasonStr = isDst ? '夏令' : '冬令';
 
-            // 取得市場狀態 (從 cTrader API)
+            // 取得市場狀態 (從 cTrader API，以主要商品為準)
             let marketStatusStr = isWeekend ? '週末' : '交易日';
-            if (this.engine && this.connection?.connected) {
+            if (this.engine && this.engine.connection.connected) {
                 try {
                     const status = await this.engine.checkMarketStatus();
                     if (!status.isOpen) {
@@ -336,40 +546,51 @@ class TradingBot {
                 // 非休市日才嘗試取得基準點
                 if (!isWeekend) {
                     console.log('🔄 新交易日，嘗試取得今日基準點...');
-                    this.engine.fetchAndSetOpenPrice();
+                    this.engines.forEach(engine => engine.fetchAndSetOpenPrice());
                 }
             }
         }
 
-        // 盯盤時間到了
-        // 只在精確的盯盤時間才觸發，不在之後的時間自動補觸發
-        // 這樣可以防止重啟後自動開始盯盤
-        const isWatchTime = hour === target.hour && minute === target.minute;
+        // 時間出場 (持倉時間上限 / 固定時間 / 收盤前平倉)：週末前收盤也需檢查
+        for (const engine of this.engines) {
+            if (!engine.connection.connected) continue;
+            engine.checkTimeExits().catch(err => console.error(`❌ [${engine.tag}] 時間出場檢查失敗:`, err.message));
+        }
 
         // 週末不盯盤
         if (isWeekend) return;
 
-        // 檢查市場是否開放 (假日等)
-        if (isWatchTime && this.engine && !this.engine.todayTradeDone && !this.engine.isWatching) {
-            // 先檢查市場狀態
-            const marketStatus = await this.engine.checkMarketStatus();
-            if (!marketStatus.isOpen) {
-                console.log(`🚫 市場休市: ${marketStatus.reason}，跳過盯盤`);
-                return;
-            }
+        for (const engine of this.engines) {
+            // 盯盤時間到了
+            // 只在精確的盯盤時間才觸發，不在之後的時間自動補觸發
+            // 這樣可以防止重啟後自動開始盯盤
+            // 盯盤前確認今日排程已套用 (排程可能變更盯盤時間)
+            engine.applySchedule();
+            const engineTarget = this.getTargetWatchTime(engine);
+            const isWatchTime = hour === engineTarget.hour && minute === engineTarget.minute;
+
+            // 檢查市場是否開放 (假日等)
+            if (isWatchTime && !engine.todayTradeDone && !engine.isWatching) {
+                // 先檢查市場狀態
+                const marketStatus = await engine.checkMarketStatus();
+                if (!marketStatus.isOpen) {
+                    console.log(`🚫 [${engine.tag}] 市場休市: ${marketStatus.reason}，跳過盯盤`);
+                    continue;
+                }
 
-            console.log(`⏰ ${target.hour}:${target.minute.toString().padStart(2, '0')} 觸發盯盤機制！`);
-            this.engine.startWatching();
+                console.log(`⏰ [${engine.tag}] ${engineTarget.hour}:${engineTarget.minute.toString().padStart(2, '0')} 觸發盯盤機制！`);
+                engine.startWatching();
+            }
         }
     }
 
     // isUsDst 已移至 utils.js
     // isMajorUSHoliday 已移除，假日判斷由 ExecutionEngine.checkMarketStatus() 透過 cTrader API 動態處理
 
-    /** 每日重置 */
+    /** 每日重置 (所有帳戶 / 商品) */
     async resetDaily() {
-        if (this.engine) {
-            await this.engine.resetDaily();
+        for (const engine of this.engines) {
+            await engine.resetDaily();
         }
     }
 
@@ -415,10 +636,15 @@ class TradingBot {
             };
         }
 
+        // 頂層欄位為主要帳戶的主要商品 (相容舊版)，instruments 為各帳戶 / 商品獨立狀態
         return {
-            connected: this.connection?.connected || false,
-            authenticated: this.connection?.authenticated || false,
-            ...this.engine.getStatus()
+            connected: this.isConnected(),
+            authenticated: this.connections.every(c => c.accounts.every(a => c.authenticatedAccounts.has(parseInt(a.accountId)))),
+            mode: config.ctrader.mode,
+            ...this.engine.getStatus(),
+            newsBlackouts: this.newsCalendar.getUpcomingWindows(),
+            profiles: this.profiles.list(),
+            instruments: this.engines.map(engine => engine.getStatus())
         };
     }
 }
@@ -442,7 +668,7 @@ cron.schedule('0,30 * * * * *', async () => {
     if (status.connected) {
         // 嘗試取得即時餘額
         let balance = status.balance;
-        if (bot.engine && bot.connection?.connected && bot.connection?.authenticated) {
+        if (bot.engine && bot.engine.connection.connected && bot.engine.connection.authenticated) {
             try {
                 const accountInfo = await bot.engine.getAccountInfo();
                 if (accountInfo) {
@@ -452,24 +678,23 @@ cron.schedule('0,30 * * * * *', async () => {
                 // 忽略錯誤，使用原本的餘額
             }
         }
-        console.log(`📊 狀態: 餘額=$${balance?.toFixed(2) || 0} | 勝率=${status.winRate} | 盯盤=${status.isWatching ? '是' : '否'} | 今日完成=${status.todayTradeDone ? '是' : '否'}`);
+        const instrumentStr = status.instruments
+            .map(i => `${bot.engines.length > config.instruments.length ? `${i.accountLabel}/` : ''}${i.symbol}: 勝率=${i.winRate} 盯盤=${i.isWatching ? '是' : '否'} 今日進場=${i.todayTradeCount}/${i.config.maxTradesPerDay}`)
+            .join(' | ');
+        console.log(`📊 狀態: 餘額=$${balance?.toFixed(2) || 0} | ${instrumentStr}`);
     }
 });
 
 // 訊號處理
 process.on('SIGINT', () => {
     console.log('\n👋 機器人關閉中 (SIGINT)...');
-    if (bot.connection) {
-        bot.connection.disconnect();
-    }
+    bot.connections.forEach(connection => connection.disconnect());
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n👋 機器人關閉中 (SIGTERM)...');
-    if (bot.connection) {
-        bot.connection.disconnect();
-    }
+    bot.connections.forEach(connection => connection.disconnect());
     process.exit(0);
 });
 
@@ -533,7 +758,7 @@ console.log = function (...args) {
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
-        connected: bot.connection?.connected || false,
+        connected: bot.isConnected(),
         timestamp: new Date().toISOString()
     });
 });
@@ -543,17 +768,25 @@ app.get('/api/status', async (req, res) => {
     try {
         const status = bot.getStatus();
 
-        // 嘗試取得即時帳戶餘額
-        if (bot.engine && bot.connection?.connected) {
+        // 嘗試取得即時帳戶餘額 (每個帳戶查詢一次，附加到該帳戶的各商品狀態)
+        const accountEngines = bot.engines.filter((e, i, all) => all.findIndex(o => o.accountId === e.accountId) === i);
+        for (const engine of accountEngines) {
+            if (!engine.connection.connected) continue;
             try {
-                const accountInfo = await bot.engine.getAccountInfo();
+                const accountInfo = await engine.getAccountInfo();
                 if (accountInfo) {
-                    status.balance = accountInfo.balance;
-                    status.equity = accountInfo.equity;
-                    status.usedMargin = accountInfo.usedMargin;
-                    status.freeMargin = accountInfo.freeMargin;
-                    status.unrealizedPnL = accountInfo.unrealizedPnL;
-                    status.leverage = accountInfo.leverage;
+                    const fields = {
+                        balance: accountInfo.balance,
+                        equity: accountInfo.equity,
+                        usedMargin: accountInfo.usedMargin,
+                        freeMargin: accountInfo.freeMargin,
+                        unrealizedPnL: accountInfo.unrealizedPnL,
+                        leverage: accountInfo.leverage
+                    };
+                    status.instruments
+                        .filter(i => i.accountId === engine.accountId)
+                        .forEach(i => Object.assign(i, fields));
+                    if (engine === bot.engine) Object.assign(status, fields);
                 }
             } catch (e) {
                 // 忽略錯誤，使用原本的餘額
@@ -569,51 +802,93 @@ app.get('/api/status', async (req, res) => {
     }
 });
 
-// 操作 API
+// 操作 API (body.symbol / body.accountId 指定引擎，未指定時為主要帳戶的主要商品；reset / closePositions 未指定時作用於所有引擎)
 app.post('/api/action', async (req, res) => {
-    const { action } = req.body;
-    console.log(`收到操作請求: ${action}`);
+    const { action, symbol, accountId } = req.body;
+    const targeted = Boolean(symbol || accountId);
+    console.log(`收到操作請求: ${action}${targeted ? ` (${[accountId, symbol].filter(Boolean).join('/')})` : ''}`);
+
+    const engine = bot.getEngine(symbol, accountId);
+    if (targeted && !engine) {
+        return res.status(404).json({ error: `未知的帳戶或商品: ${[accountId, symbol].filter(Boolean).join('/')}` });
+    }
 
     try {
         switch (action) {
             case 'reset':
-                await bot.resetDaily();
+                if (targeted) await engine.resetDaily();
+                else await bot.resetDaily();
                 break;
 
             case 'toggleWatch':
-                if (bot.engine) {
-                    bot.engine.isWatching = !bot.engine.isWatching;
+                if (engine) {
+                    engine.isWatching = !engine.isWatching;
                 }
                 break;
 
             case 'closePositions':
-                if (bot.engine) {
-                    await bot.engine.closeAllPositions();
+                for (const target of targeted ? [engine] : bot.engines) {
+                    await target.cancelRestingOrders('緊急平倉');
+                    await target.closeAllPositions();
                 }
                 break;
 
             case 'closePosition':
-                if (bot.engine && req.body.positionId) {
-                    await bot.engine.closePosition(req.body.positionId);
+                if (req.body.positionId) {
+                    // 由持有該部位的引擎平倉
+                    const owner = bot.engines.find(e => e.positions.some(p => p.id == req.body.positionId)) || engine;
+                    if (owner) await owner.closePosition(req.body.positionId, req.body.volume ? parseInt(req.body.volume) : null);
                 }
                 break;
 
             case 'updateConfig':
-                if (bot.engine && req.body.config) {
-                    bot.engine.updateConfig(req.body.config);
+                if (engine && req.body.config) {
+                    try {
+                        engine.updateConfig(req.body.config);
+                    } catch (error) {
+                        if (error instanceof ConfigError) return res.status(400).json({ error: error.message });
+                        throw error;
+                    }
                 }
                 break;
 
             case 'togglePause':
-                if (bot.engine) {
-                    bot.engine.tradingPaused = !bot.engine.tradingPaused;
-                    console.log(`⏸️ 交易${bot.engine.tradingPaused ? '已暫停' : '已繼續'}`);
+                if (engine?.lockout) {
+                    return res.status(409).json({ error: `熔斷鎖定中 (${engine.lockout.reason})，請先解除熔斷` });
+                }
+                if (engine) {
+                    engine.tradingPaused = !engine.tradingPaused;
+                    console.log(`⏸️ [${engine.tag}] 交易${engine.tradingPaused ? '已暫停' : '已繼續'}`);
+                    if (engine.tradingPaused) await engine.cancelRestingOrders('交易暫停');
+                }
+                break;
+
+            case 'uploadCalendar':
+                try {
+                    const count = bot.newsCalendar.update(req.body.calendar, req.body.format);
+                    console.log(`📰 已上傳新聞日曆 (${count} 個事件)`);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                break;
+
+            case 'unlockCircuitBreaker':
+                if (engine) bot.unlockCircuitBreaker(engine);
+                break;
+
+            case 'setManualBaseline':
+                if (engine) {
+                    try {
+                        engine.setManualBaseline(req.body.price);
+                    } catch (error) {
+                        return res.status(400).json({ error: error.message });
+                    }
                 }
                 break;
 
             case 'fetchOpenPrice':
-                if (bot.engine) {
-                    const success = await bot.engine.fetchAndSetOpenPrice();
+                if (engine) {
+                    const success = await engine.fetchAndSetOpenPrice();
                     if (!success) {
                         return res.json({ success: false, message: '無法取得基準點', state: bot.getStatus() });
                     }
@@ -627,6 +902,132 @@ app.post('/api/action', async (req, res) => {
     }
 });
 
+// Profile (參數預設) API：建立 / 複製 / 編輯 / 刪除 / 套用
+// 套用與「由目前參數建立」以 body.symbol / body.accountId 指定引擎，未指定時為主要帳戶的主要商品
+function sendProfileError(res, error) {
+    if (error instanceof ConfigError) return res.status(400).json({ error: error.message });
+    console.error('Profile API Error:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function getProfileEngine(req, res) {
+    const { symbol, accountId } = req.body || {};
+    const engine = bot.getEngine(symbol, accountId);
+    if (!engine) res.status(404).json({ error: `未知的帳戶或商品: ${[accountId, symbol].filter(Boolean).join('/')}` });
+    return engine;
+}
+
+app.get('/api/profiles', (req, res) => {
+    res.json(bot.profiles.list());
+});
+
+// body.config 未提供時以目標引擎的目前參數建立
+app.post('/api/profiles', (req, res) => {
+    try {
+        let profileConfig = req.body.config;
+        if (!profileConfig) {
+            const engine = getProfileEngine(req, res);
+            if (!engine) return;
+            profileConfig = engine.getProfileConfig();
+        }
+        res.json(bot.profiles.create(req.body.name, profileConfig));
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+// body.fromEngine = true 時以目標引擎的目前參數覆寫
+app.put('/api/profiles/:id', (req, res) => {
+    try {
+        const changes = { name: req.body.name, config: req.body.config };
+        if (req.body.fromEngine) {
+            const engine = getProfileEngine(req, res);
+            if (!engine) return;
+            changes.config = engine.getProfileConfig();
+        }
+        res.json(bot.profiles.update(req.params.id, changes));
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+app.post('/api/profiles/:id/clone', (req, res) => {
+    try {
+        res.json(bot.profiles.clone(req.params.id, req.body.name));
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+app.delete('/api/profiles/:id', (req, res) => {
+    try {
+        res.json(bot.profiles.remove(req.params.id));
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+app.post('/api/profiles/:id/activate', (req, res) => {
+    try {
+        const profile = bot.profiles.get(req.params.id);
+        const engine = getProfileEngine(req, res);
+        if (!engine) return;
+        engine.applyProfile(profile);
+        res.json({ success: true, state: bot.getStatus() });
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+// 參數最佳化結果 API (由 backtest/optimize.js --save 寫入)
+// 資料庫無法讀取時回傳 500，不以空列表 / 404 掩蓋
+function sendOptimizationError(res, error) {
+    console.error('Optimization API Error:', error);
+    res.status(500).json({ error: `無法載入最佳化結果: ${error.message}` });
+}
+
+app.get('/api/optimizations', async (req, res) => {
+    try {
+        res.json(await db.loadOptimizations());
+    } catch (error) {
+        sendOptimizationError(res, error);
+    }
+});
+
+app.get('/api/optimizations/:id', async (req, res) => {
+    try {
+        const record = await db.loadOptimization(req.params.id);
+        if (!record) return res.status(404).json({ error: `找不到最佳化結果: ${req.params.id}` });
+        res.json(record);
+    } catch (error) {
+        sendOptimizationError(res, error);
+    }
+});
+
+// 將排名第 body.index 名 (0 起算) 的參數建立為 Profile，未回測的參數沿用目標引擎的目前參數
+app.post('/api/optimizations/:id/profile', async (req, res) => {
+    try {
+        const record = await db.loadOptimization(req.params.id);
+        if (!record) return res.status(404).json({ error: `找不到最佳化結果: ${req.params.id}` });
+        const index = parseInt(req.body.index) || 0;
+        const result = record.results[index];
+        if (!result) return res.status(404).json({ error: `找不到第 ${index + 1} 名結果` });
+
+        const engine = getProfileEngine(req, res);
+        if (!engine) return;
+        const { lotSize, ...tested } = result.params; // 回測手數僅用於損益換算，不覆寫實盤部位大小
+        const profile = bot.profiles.create(req.body.name || `${record.name || '最佳化'} #${index + 1} (${record.id.slice(0, 8)})`, {
+            ...engine.getProfileConfig(),
+            ...tested,
+            strategy: record.strategy,
+            strategyParams: record.strategyParams
+        });
+        res.json(profile);
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
 // 首頁
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
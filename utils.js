@@ -27,9 +27,19 @@ function getTaipeiTime() {
     return new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Taipei' }));
 }
 
+// 取得指定時區的時間 (回傳的 Date 以本地欄位 getDay/getHours... 表示該時區時間)，時區無效時以 UTC 計算
+function getZonedTime(date, timeZone) {
+    try {
+        return new Date(date.toLocaleString('en-US', { timeZone: timeZone || 'UTC' }));
+    } catch (error) {
+        return new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+    }
+}
+
 // 取得台北時間日期字串 (YYYY-MM-DD)
+// 台北無夏令時間，以固定偏移計算 (回測逐根 K 線呼叫，避免 toLocaleDateString 的時區轉換成本)
 function getTaipeiDateString(date = new Date()) {
-    return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Taipei' });
+    return new Date(date.getTime() + TAIPEI_OFFSET_MS).toISOString().slice(0, 10);
 }
 
 // 判斷美股夏令時間 (DST: 3月第2週日 ~ 11月第1週日)
@@ -48,6 +58,95 @@ function isUsDst(date) {
     return date >= dstStart && date < dstEnd;
 }
 
+// 取得指定台北日期 (YYYY-MM-DD) 的開盤時間 (UTC timestamp)，依美股夏令/冬令選擇 market.summer / market.winter
+function getMarketOpenUtc(taipeiDateStr, market) {
+    const [year, month, day] = taipeiDateStr.split('-').map(Number);
+    const middayUtc = Date.UTC(year, month - 1, day, 12, 0) - TAIPEI_OFFSET_MS;
+    const marketConfig = isUsDst(new Date(middayUtc)) ? market.summer : market.winter;
+    return Date.UTC(year, month - 1, day, marketConfig.openHour, marketConfig.openMinute) - TAIPEI_OFFSET_MS;
+}
+
+// 判斷是否在交易時段 (台北時間，跨越午夜)
+// 冬令: 07:30 ~ 隔天 06:00，夏令: 06:30 ~ 隔天 05:00
+function isWithinTradingHours(date = new Date()) {
+    const taipeiTime = new Date(date.getTime() + TAIPEI_OFFSET_MS);
+    const currentMinutes = taipeiTime.getUTCHours() * 60 + taipeiTime.getUTCMinutes();
+
+    const isDst = isUsDst(date);
+    const openMinutes = isDst ? (6 * 60 + 30) : (7 * 60 + 30);
+    const closeMinutes = isDst ? (5 * 60) : (6 * 60);
+
+    return currentMinutes >= openMinutes || currentMinutes < closeMinutes;
+}
+
+// 基準點計算方式：bar-open / bar-close = 開盤 + 偏移分鐘那根 M1 的開 / 收盤價，prev-close = 前一交易時段收盤價，
+// range-mid = 開盤後 N 分鐘高低點中間價，vwap = 開盤後 N 分鐘成交量加權均價，manual = Dashboard 手動輸入
+const BASELINE_METHODS = ['bar-open', 'bar-close', 'prev-close', 'range-mid', 'vwap', 'manual'];
+
+// 基準點可取得的時間 (UTC ms)：所需 K 線收盤後
+function getBaselineReadyTime(method, { openUtc, offsetMinutes = 0, rangeMinutes = 15 }) {
+    switch (method) {
+        case 'bar-open': return openUtc + offsetMinutes * 60000;
+        case 'bar-close': return openUtc + (offsetMinutes + 1) * 60000;
+        case 'range-mid':
+        case 'vwap': return openUtc + rangeMinutes * 60000;
+        default: return openUtc;
+    }
+}
+
+// 由 M1 K 線 ({ time, open, high, low, close, volume }，Raw Price，依時間排序) 計算基準價
+// 所需 K 線尚未收盤或資料不足時回傳 null；manual 由呼叫端處理
+function computeBaseline(method, bars, { openUtc, offsetMinutes = 0, rangeMinutes = 15, now = Infinity }) {
+    const closed = bars.filter(b => b.time + 60000 <= now);
+    const baselineTime = openUtc + offsetMinutes * 60000;
+
+    switch (method) {
+        case 'bar-open': {
+            const bar = bars.find(b => b.time === baselineTime);
+            return bar ? bar.open : null;
+        }
+        case 'bar-close': {
+            const bar = closed.find(b => b.time === baselineTime);
+            return bar ? bar.close : null;
+        }
+        case 'prev-close': {
+            const previous = closed.filter(b => b.time < openUtc);
+            return previous.length > 0 ? previous[previous.length - 1].close : null;
+        }
+        case 'range-mid':
+        case 'vwap': {
+            const rangeEnd = openUtc + rangeMinutes * 60000;
+            if (now < rangeEnd) return null;
+            const range = closed.filter(b => b.time >= openUtc && b.time < rangeEnd);
+            if (range.length === 0) return null;
+
+            if (method === 'range-mid') {
+                return Math.round((Math.max(...range.map(b => b.high)) + Math.min(...range.map(b => b.low))) / 2);
+            }
+            // 典型價 (H+L+C)/3 以 tick volume 加權，無成交量資料時等權
+            const totalVolume = range.reduce((sum, b) => sum + (b.volume || 0), 0);
+            const weight = (b) => (totalVolume > 0 ? b.volume || 0 : 1);
+            const weighted = range.reduce((sum, b) => sum + (b.high + b.low + b.close) / 3 * weight(b), 0);
+            return Math.round(weighted / range.reduce((sum, b) => sum + weight(b), 0));
+        }
+        default:
+            return null;
+    }
+}
+
+// cTrader ProtoOATrendbar (low + delta，Raw Price) -> { time, open, high, low, close, volume }
+function trendbarToBar(bar) {
+    const low = convertLongValue(bar.low);
+    return {
+        time: convertLongValue(bar.utcTimestampInMinutes) * 60000,
+        open: low + (convertLongValue(bar.deltaOpen) || 0),
+        high: low + (convertLongValue(bar.deltaHigh) || 0),
+        low: low,
+        close: low + (convertLongValue(bar.deltaClose) || 0),
+        volume: convertLongValue(bar.volume) || 0
+    };
+}
+
 module.exports = {
     API_PRICE_MULTIPLIER,
     TAIPEI_OFFSET_MS,
@@ -55,7 +154,14 @@ module.exports = {
     rawToRealPrice,
     realToRawPrice,
     getTaipeiTime,
+    getZonedTime,
     getTaipeiDateString,
-    isUsDst
+    isUsDst,
+    getMarketOpenUtc,
+    isWithinTradingHours,
+    BASELINE_METHODS,
+    getBaselineReadyTime,
+    computeBaseline,
+    trendbarToBar
 };
 